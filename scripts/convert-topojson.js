@@ -1,94 +1,338 @@
 #!/usr/bin/env node
 
 /**
- * Batch convert GeoJSON files to TopoJSON using the JS API directly.
+ * Batch convert GeoJSON files to TopoJSON, in worker threads (see
+ * convert-worker.js).
  *
- * Usage: node scripts/convert-topojson.js
+ * Each converted file is named after a hash of its source's content and the
+ * conversion settings (see data-manifest.js), so its URL changes exactly when
+ * its content does. The hashes, validation results and index entries are
+ * kept in .cache/convert-topojson.json, and sources whose hash hasn't changed
+ * since the last run are neither validated nor converted again. --force
+ * ignores the cache.
+ *
+ * Also writes territory-index.json: for every period file, the named
+ * territories it contains with their area and bounds. The app uses it to
+ * search territories and follow an entity through time without downloading
+ * every period.
+ *
+ * The periods of manifest.json, and PERIODS in src/lib/periodsConfig.ts, are
+ * then regenerated from the converted files, and converted files no period
+ * lists anymore are deleted. Other manifest fields, and the labels of
+ * existing periods, are kept.
+ *
+ * Before converting, every changed input is validated (see validate-data.js)
+ * and the findings for all inputs are written to validation-report.json.
+ * Errors, including files that fail to convert, make the script exit
+ * non-zero without touching the manifest; with --strict so do warnings.
+ * --validate-only stops after validation. --update-known-issues also stops
+ * there, after writing every self-intersection and overlap found to
+ * data/known-issues.json, which accepts them; review its diff before
+ * committing it.
+ *
+ * Usage: node scripts/convert-topojson.js [--validate-only] [--strict] [--force] [--jobs=N]
+ *        [--update-known-issues]
  */
 
-import { readdir, readFile, writeFile, mkdir, stat } from 'node:fs/promises';
-import { join, basename } from 'node:path';
-import * as topojsonServer from 'topojson-server';
-import * as topojsonClient from 'topojson-client';
-import * as topojsonSimplify from 'topojson-simplify';
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile, mkdir, rm, access } from 'node:fs/promises';
+import { availableParallelism } from 'node:os';
+import { join, basename, dirname } from 'node:path';
+import { Worker } from 'node:worker_threads';
+import { CONVERSION } from './convert-worker.js';
+import { buildPeriods, formatManifest, outputName, writePeriods } from './data-manifest.js';
+import { buildReport, checkPeriodFiles, checkPropertyKeys } from './validate-data.js';
 
-const INPUT_DIR = join(import.meta.dirname, '..', 'data');
-const OUTPUT_DIR = join(import.meta.dirname, '..', 'static', 'data');
-const QUANTIZATION = 1e6;
+const ROOT_DIR = join(import.meta.dirname, '..');
+const INPUT_DIR = join(ROOT_DIR, 'data');
+const OUTPUT_DIR = join(ROOT_DIR, 'static', 'data');
+const PERIODS_CONFIG = join(ROOT_DIR, 'src', 'lib', 'periodsConfig.ts');
+const MANIFEST_FILE = join(OUTPUT_DIR, 'manifest.json');
+const REPORT_FILE = join(ROOT_DIR, 'validation-report.json');
+const KNOWN_ISSUES_FILE = join(INPUT_DIR, 'known-issues.json');
+const CACHE_FILE = join(ROOT_DIR, '.cache', 'convert-topojson.json');
+const CACHE_VERSION = 1;
+const WORKER_FILE = join(import.meta.dirname, 'convert-worker.js');
+const COARSE_SUFFIX = '.coarse.topojson';
+const INDEX_FILE = 'territory-index.json';
+const INDEX_VERSION = 2;
 
-async function ensureDir(dir) {
-	await mkdir(dir, { recursive: true });
+const coarseName = (file) => file.replace(/\.topojson$/, COARSE_SUFFIX);
+const megabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/** Content hash of an input file under the current conversion settings. */
+async function hashInput(file) {
+	return createHash('sha256')
+		.update(JSON.stringify({ ...CONVERSION, index: INDEX_VERSION }))
+		.update(await readFile(join(INPUT_DIR, file)))
+		.digest('hex');
+}
+
+/** Cached results of the last run, by input file; empty if there are none. */
+async function readCache() {
+	try {
+		const cache = JSON.parse(await readFile(CACHE_FILE, 'utf-8'));
+		return cache.version === CACHE_VERSION ? cache.files : {};
+	} catch {
+		return {};
+	}
 }
 
-async function convertFile(inputPath, outputPath) {
-	const inputName = basename(inputPath);
+async function writeCache(entries) {
+	await mkdir(dirname(CACHE_FILE), { recursive: true });
+	await writeFile(CACHE_FILE, JSON.stringify({ version: CACHE_VERSION, files: entries }), 'utf-8');
+}
 
+/** Accepted problems of the source files, by file; see validate-data.js. */
+async function readKnownIssues() {
 	try {
-		const raw = await readFile(inputPath, 'utf-8');
-		const geojson = JSON.parse(raw);
+		return JSON.parse(await readFile(KNOWN_ISSUES_FILE, 'utf-8'));
+	} catch (err) {
+		if (err.code === 'ENOENT') return {};
+		throw new Error(`Invalid ${basename(KNOWN_ISSUES_FILE)}: ${err.message}`);
+	}
+}
 
-		// Step 1: Convert GeoJSON to TopoJSON
-		const topology = topojsonServer.topology({ territories: geojson });
+/** known-issues.json listing everything `entries` found, one line per file. */
+function formatKnownIssues(files, entries) {
+	const lines = files
+		.map((file) => [file, entries[file].flagged])
+		.filter(([, flagged]) => flagged && Object.values(flagged).some((list) => list.length > 0))
+		.map(([file, flagged]) => {
+			const lists = Object.entries(flagged).filter(([, list]) => list.length > 0);
+			return `\t${JSON.stringify(file)}: { ${lists.map(([code, list]) => `${JSON.stringify(code)}: ${JSON.stringify(list)}`).join(', ')} }`;
+		});
+	return `{\n${lines.join(',\n')}\n}\n`;
+}
 
-		// Step 2: Quantize coordinates
-		const quantized = topojsonClient.quantize(topology, QUANTIZATION);
+async function exists(path) {
+	try {
+		await access(path);
+		return true;
+	} catch {
+		return false;
+	}
+}
 
-		// Step 3: Serialize with reduced precision
-		const output = JSON.stringify(quantized);
+/**
+ * Run `tasks` on up to `jobs` worker threads, one task per thread at a time,
+ * and call `onResult(task, result)` as each one completes.
+ */
+function runTasks(tasks, jobs, onResult) {
+	if (tasks.length === 0) return Promise.resolve();
+	return new Promise((resolve, reject) => {
+		const workers = [];
+		let next = 0;
+		let done = 0;
+		const finish = (err) => {
+			for (const worker of workers) worker.terminate();
+			if (err) reject(err);
+			else resolve();
+		};
+		const startNext = (worker) => {
+			if (next < tasks.length) worker.postMessage({ id: next, ...tasks[next++] });
+		};
+		for (let i = 0; i < Math.min(jobs, tasks.length); i++) {
+			const worker = new Worker(WORKER_FILE);
+			worker.on('message', (result) => {
+				onResult(tasks[result.id], result);
+				if (++done === tasks.length) finish();
+				else startNext(worker);
+			});
+			worker.on('error', finish);
+			workers.push(worker);
+			startNext(worker);
+		}
+	});
+}
 
-		await writeFile(outputPath, output, 'utf-8');
+/**
+ * Validate the `files` whose cache `entries` have no results yet, or results
+ * for other `known` issues, then check property keys and file names across
+ * all files.
+ */
+async function validateInputs(files, entries, known, jobs) {
+	const knownOf = (file) => known[file] ?? {};
+	const pending = files.filter(
+		(file) =>
+			!entries[file].keys || JSON.stringify(entries[file].known) !== JSON.stringify(knownOf(file))
+	);
+	console.log(
+		`Validating ${pending.length} of ${files.length} GeoJSON files (${files.length - pending.length} unchanged)...\n`
+	);
+	await runTasks(
+		pending.map((file) => ({
+			task: 'validate',
+			file,
+			input: join(INPUT_DIR, file),
+			known: knownOf(file)
+		})),
+		jobs,
+		({ file, known: fileKnown }, result) => {
+			entries[file].issues = result.error
+				? [{ severity: 'error', code: 'invalid-json', message: result.error }]
+				: result.issues;
+			if (result.error) return;
+			Object.assign(entries[file], {
+				keys: result.keys,
+				flagged: result.flagged,
+				known: fileKnown
+			});
+		}
+	);
 
-		const inputStats = await stat(inputPath);
-		const outputStats = await stat(outputPath);
-		const ratio = ((1 - outputStats.size / inputStats.size) * 100).toFixed(1);
+	const issues = checkPeriodFiles(files);
+	const keysByFile = new Map();
+	for (const file of files) {
+		issues.push(...entries[file].issues.map((found) => ({ file, ...found })));
+		if (entries[file].keys) keysByFile.set(file, new Set(entries[file].keys));
+	}
+	issues.push(...checkPropertyKeys(keysByFile));
+	return issues;
+}
 
+/** Convert the `files` whose outputs are missing, storing the results in `entries`. */
+async function convertInputs(files, entries, jobs, issues) {
+	const pending = [];
+	for (const file of files) {
+		const { output, index } = entries[file];
+		const written =
+			(await exists(join(OUTPUT_DIR, output))) &&
+			(await exists(join(OUTPUT_DIR, coarseName(output))));
+		if (!index || !written) pending.push(file);
+	}
+	console.log(
+		`Converting ${pending.length} of ${files.length} GeoJSON files to TopoJSON (${files.length - pending.length} unchanged)...\n`
+	);
+
+	const tasks = pending.map((file) => ({
+		task: 'convert',
+		file,
+		input: join(INPUT_DIR, file),
+		output: join(OUTPUT_DIR, entries[file].output),
+		coarse: join(OUTPUT_DIR, coarseName(entries[file].output))
+	}));
+	let failed = 0;
+	await runTasks(tasks, jobs, ({ file }, result) => {
+		if (result.error) {
+			console.error(`  ERROR converting ${file}: ${result.error}`);
+			issues.push({ severity: 'error', code: 'conversion-failed', file, message: result.error });
+			failed++;
+			return;
+		}
+		const { input, output, coarse } = result.sizes;
+		const ratio = ((1 - output / input) * 100).toFixed(1);
 		console.log(
-			`  ${inputName}: ${(inputStats.size / 1024).toFixed(0)} KB → ${(outputStats.size / 1024).toFixed(0)} KB (${ratio}% smaller)`
+			`  ${file}: ${(input / 1024).toFixed(0)} KB → ${(output / 1024).toFixed(0)} KB (${ratio}% smaller), coarse ${(coarse / 1024).toFixed(0)} KB`
 		);
+		entries[file].sizes = result.sizes;
+		entries[file].index = result.index;
+	});
+	return { converted: pending.length - failed, failed };
+}
 
-		return { input: inputStats.size, output: outputStats.size };
-	} catch (err) {
-		console.error(`  ERROR converting ${inputName}: ${err.message}`);
-		return null;
+/**
+ * Write the territory index, the manifest's periods and PERIODS for the
+ * converted `files`, and delete converted files no period lists.
+ */
+async function writeOutputs(files, entries) {
+	const index = { version: INDEX_VERSION, periods: {} };
+	for (const file of files) index.periods[entries[file].output] = entries[file].index;
+	await writeFile(join(OUTPUT_DIR, INDEX_FILE), JSON.stringify(index), 'utf-8');
+
+	const manifest = JSON.parse(await readFile(MANIFEST_FILE, 'utf-8'));
+	const periods = buildPeriods(
+		files.map((file) => ({ source: file, output: entries[file].output })),
+		manifest.periods
+	);
+	await writeFile(MANIFEST_FILE, formatManifest({ ...manifest, periods }), 'utf-8');
+	const config = await readFile(PERIODS_CONFIG, 'utf-8');
+	await writeFile(PERIODS_CONFIG, writePeriods(config, periods), 'utf-8');
+
+	const listed = new Set(periods.flatMap(({ file }) => [file, coarseName(file)]));
+	const unlisted = (await readdir(OUTPUT_DIR)).filter(
+		(file) => file.endsWith('.topojson') && !listed.has(file)
+	);
+	for (const file of unlisted) await rm(join(OUTPUT_DIR, file));
+	return unlisted.length;
+}
+
+async function writeReport(files, issues) {
+	const report = buildReport(files, issues);
+	await writeFile(REPORT_FILE, JSON.stringify(report, null, '\t') + '\n', 'utf-8');
+	return report;
+}
+
+function printIssues(report) {
+	for (const found of report.issues.filter((i) => i.severity === 'error')) {
+		console.error(`  ERROR ${found.file ? `${found.file}: ` : ''}${found.message}`);
+	}
+	const warnings = new Map();
+	for (const found of report.issues.filter((i) => i.severity === 'warning')) {
+		warnings.set(found.code, (warnings.get(found.code) ?? 0) + 1);
 	}
+	for (const [code, count] of warnings) console.log(`  ${code}: ${count} warnings`);
+	console.log(
+		`\n${report.errors} errors, ${report.warnings} warnings (see ${basename(REPORT_FILE)})\n`
+	);
 }
 
 async function main() {
-	console.log('Converting GeoJSON → TopoJSON...\n');
-
-	await ensureDir(OUTPUT_DIR);
+	const args = process.argv.slice(2);
+	const strict = args.includes('--strict');
+	const validateOnly = args.includes('--validate-only');
+	const force = args.includes('--force');
+	const updateKnown = args.includes('--update-known-issues');
+	const jobsArg = args.find((arg) => arg.startsWith('--jobs='));
+	const jobs = jobsArg ? Math.max(1, parseInt(jobsArg.slice(7), 10) || 1) : availableParallelism();
 
 	const files = (await readdir(INPUT_DIR)).filter((f) => f.endsWith('.geojson'));
 	files.sort();
 
-	console.log(`Found ${files.length} GeoJSON files.\n`);
+	const cache = force ? {} : await readCache();
+	const entries = {};
+	for (const file of files) {
+		const hash = await hashInput(file);
+		entries[file] =
+			cache[file]?.hash === hash ? cache[file] : { hash, output: outputName(file, hash) };
+	}
 
-	let totalInput = 0;
-	let totalOutput = 0;
-	let converted = 0;
-	let failed = 0;
+	const issues = await validateInputs(files, entries, await readKnownIssues(), jobs);
+	await writeCache(entries);
+	if (updateKnown) {
+		await writeFile(KNOWN_ISSUES_FILE, formatKnownIssues(files, entries), 'utf-8');
+		console.log(`Wrote ${basename(KNOWN_ISSUES_FILE)}; review it, then run again to convert.`);
+		return;
+	}
+	const report = await writeReport(files, issues);
+	printIssues(report);
+	if (report.errors > 0 || (strict && report.warnings > 0)) {
+		console.error('Validation failed; nothing converted.');
+		process.exitCode = 1;
+		return;
+	}
+	if (validateOnly) return;
 
-	for (const file of files) {
-		const inputPath = join(INPUT_DIR, file);
-		const outputName = file.replace('.geojson', '.topojson');
-		const outputPath = join(OUTPUT_DIR, outputName);
-
-		const result = await convertFile(inputPath, outputPath);
-		if (result) {
-			totalInput += result.input;
-			totalOutput += result.output;
-			converted++;
-		} else {
-			failed++;
-		}
+	await mkdir(OUTPUT_DIR, { recursive: true });
+	const { converted, failed } = await convertInputs(files, entries, jobs, issues);
+	await writeCache(entries);
+	if (failed > 0) {
+		await writeReport(files, issues);
+		console.error(`\n${failed} files failed to convert; manifest and PERIODS left unchanged.`);
+		process.exitCode = 1;
+		return;
 	}
+	const removed = await writeOutputs(files, entries);
 
+	const sizes = files.map((file) => entries[file].sizes);
+	const total = (key) => sizes.reduce((sum, size) => sum + size[key], 0);
 	console.log('\n--- Summary ---');
-	console.log(`Converted: ${converted}/${files.length}`);
-	if (failed > 0) console.log(`Failed: ${failed}`);
+	console.log(`Converted: ${converted}, unchanged: ${files.length - converted}`);
+	if (removed > 0) console.log(`Removed ${removed} unlisted files`);
 	console.log(
-		`Total: ${(totalInput / 1024 / 1024).toFixed(1)} MB → ${(totalOutput / 1024 / 1024).toFixed(1)} MB (${((1 - totalOutput / totalInput) * 100).toFixed(1)}% smaller)`
+		`Total: ${megabytes(total('input'))} → ${megabytes(total('output'))} (${((1 - total('output') / total('input')) * 100).toFixed(1)}% smaller)`
 	);
+	console.log(`Coarse variants: ${megabytes(total('coarse'))}`);
 }
 
 main().catch((err) => {
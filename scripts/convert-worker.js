@@ -0,0 +1,180 @@
+/**
+ * Worker thread of convert-topojson.js: validates or converts one source
+ * file per message.
+ *
+ * Messages are `{ id, task: 'validate', input, known }` or
+ * `{ id, task: 'convert', input, output, coarse }` with absolute paths. The
+ * reply carries the same `id` and either `error` or the task's result:
+ * `{ issues, keys, flagged }` for validation, and the sizes of the files and
+ * the territory index entries for a conversion.
+ *
+ * Each period is written twice: at full resolution, and as a coarse variant
+ * simplified for world-scale zooms, which the app loads first and replaces
+ * with the full file once the map is zoomed in. Both come from the same
+ * topology, so they hold the same features in the same order.
+ */
+
+import { parentPort } from 'node:worker_threads';
+import { readFile, writeFile, stat } from 'node:fs/promises';
+import * as topojsonServer from 'topojson-server';
+import * as topojsonClient from 'topojson-client';
+import * as topojsonSimplify from 'topojson-simplify';
+import { geoArea, geoBounds } from 'd3-geo';
+import { validateCollection } from './validate-data.js';
+
+/**
+ * Settings of the conversion. They are part of every output file's hash, so
+ * changing one renames (and reconverts) every file. Bump `version` when the
+ * conversion itself changes.
+ */
+export const CONVERSION = {
+	version: 2,
+	quantization: 1e6,
+	/**
+	 * Planar weight (triangle area, in square degrees) below which points are
+	 * dropped from the coarse variant: a few square pixels at zoom 3, where
+	 * the app switches to the full files (see `detail` in the manifest).
+	 */
+	coarseMinWeight: 2e-2,
+	/**
+	 * Area in square degrees below which the coarse variant drops islands and
+	 * holes, except each feature's largest polygon: a few pixels across at
+	 * zoom 3.
+	 */
+	coarseMinRingArea: 5e-2,
+	/** Grid of the coarse variant; one step is under a pixel below zoom 3. */
+	coarseQuantization: 1e4
+};
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Spherical area of a GeoJSON geometry in km².
+ * d3-geo expects clockwise exterior rings; a polygon wound the other way
+ * measures as the rest of the globe, so such areas are flipped back.
+ */
+function areaKm2(geometry) {
+	if (!geometry) return 0;
+	const polygons =
+		geometry.type === 'Polygon'
+			? [geometry.coordinates]
+			: geometry.type === 'MultiPolygon'
+				? geometry.coordinates
+				: [];
+	let steradians = 0;
+	for (const coordinates of polygons) {
+		const area = geoArea({ type: 'Polygon', coordinates });
+		steradians += Math.min(area, 4 * Math.PI - area);
+	}
+	return steradians * EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Summarize the named territories of a FeatureCollection. Features sharing a
+ * NAME are merged, their areas summed and bounds combined. ABBREVN, SUBJECTO
+ * and PARTOF are omitted when they equal NAME, which is the case for most
+ * features.
+ */
+function buildIndexEntries(geojson) {
+	const byName = new Map();
+	for (const feature of geojson.features) {
+		const props = feature.properties ?? {};
+		const name = props.NAME ?? props.name ?? props.NAME_EN;
+		if (name == null || String(name).trim() === '') continue;
+
+		let group = byName.get(name);
+		if (!group) {
+			const entry = { n: String(name) };
+			if (props.ABBREVN && props.ABBREVN !== name) entry.a = String(props.ABBREVN);
+			if (props.SUBJECTO && props.SUBJECTO !== name) entry.s = String(props.SUBJECTO);
+			if (props.PARTOF && props.PARTOF !== name) entry.p = String(props.PARTOF);
+			entry.km2 = 0;
+			group = { entry, features: [] };
+			byName.set(name, group);
+		}
+		if (!feature.geometry) continue;
+		group.entry.km2 += areaKm2(feature.geometry);
+		group.features.push(feature);
+	}
+	return [...byName.values()]
+		.filter(({ features }) => features.length > 0)
+		.map(({ entry, features }) => {
+			// [[west, south], [east, north]]; west > east when crossing the antimeridian.
+			const bounds = geoBounds({ type: 'FeatureCollection', features });
+			return { ...entry, km2: Math.round(entry.km2), b: bounds.flat().map(round2) };
+		});
+}
+
+/** Planar area of `ring`, a list of arc indexes of `topology`, in square degrees. */
+function ringArea(topology, ring) {
+	const polygon = topojsonClient.feature(topology, { type: 'Polygon', arcs: [ring] });
+	return topojsonSimplify.planarRingArea(polygon.geometry.coordinates[0]);
+}
+
+/**
+ * Coarse variant of `topology`, with simplified arcs and without small
+ * islands and holes. The largest polygon of every feature is kept, so every
+ * feature keeps its place and the app can swap one file for the other
+ * without losing track of features.
+ */
+function coarseTopology(topology) {
+	const simplified = topojsonSimplify.simplify(
+		topojsonSimplify.presimplify(topology),
+		CONVERSION.coarseMinWeight
+	);
+	const largest = new Set();
+	for (const geometry of simplified.objects.territories.geometries) {
+		const exteriors =
+			geometry.type === 'Polygon'
+				? [geometry.arcs[0]]
+				: geometry.type === 'MultiPolygon'
+					? geometry.arcs.map((polygon) => polygon[0])
+					: [];
+		let area = -1;
+		let kept = null;
+		for (const ring of exteriors) {
+			const ringSize = ringArea(simplified, ring);
+			if (ringSize > area) [area, kept] = [ringSize, ring];
+		}
+		if (kept) largest.add(kept);
+	}
+	const filtered = topojsonSimplify.filter(
+		simplified,
+		(ring) => largest.has(ring) || ringArea(simplified, ring) >= CONVERSION.coarseMinRingArea
+	);
+	return topojsonClient.quantize(filtered, CONVERSION.coarseQuantization);
+}
+
+async function validate({ input, known }) {
+	const geojson = JSON.parse(await readFile(input, 'utf-8'));
+	const { issues, keys, flagged } = validateCollection(geojson, known);
+	return { issues, keys: [...keys], flagged };
+}
+
+async function convert({ input, output, coarse }) {
+	const geojson = JSON.parse(await readFile(input, 'utf-8'));
+	const topology = topojsonServer.topology({ territories: geojson });
+	const quantized = topojsonClient.quantize(topology, CONVERSION.quantization);
+	await writeFile(output, JSON.stringify(quantized), 'utf-8');
+	await writeFile(coarse, JSON.stringify(coarseTopology(topology)), 'utf-8');
+
+	return {
+		sizes: {
+			input: (await stat(input)).size,
+			output: (await stat(output)).size,
+			coarse: (await stat(coarse)).size
+		},
+		index: buildIndexEntries(geojson)
+	};
+}
+
+parentPort?.on('message', async (message) => {
+	try {
+		const result = message.task === 'validate' ? await validate(message) : await convert(message);
+		parentPort.postMessage({ id: message.id, ...result });
+	} catch (err) {
+		parentPort.postMessage({ id: message.id, error: err.message });
+	}
+});
@@ -0,0 +1,20 @@
+/** Types of data-manifest.js, for the tests. */
+
+import type { Period } from '../src/lib/periodsConfig.js';
+
+export const HASH_LENGTH: number;
+
+export function periodYear(file: string): number | null;
+
+export function formatYear(year: number): string;
+
+export function outputName(file: string, hash: string): string;
+
+export function buildPeriods(
+	files: Array<{ source: string; output: string }>,
+	previous?: Period[]
+): Period[];
+
+export function writePeriods(source: string, periods: Period[]): string;
+
+export function formatManifest(manifest: object): string;
@@ -0,0 +1,119 @@
+/**
+ * Naming of the converted data files and generation of the period list,
+ * used by convert-topojson.js.
+ *
+ * Source files are named after their year (`world_1492.geojson`,
+ * `world_bc500.geojson` for 500 BC). Each converted file is named after its
+ * source and a hash of the source's content and the conversion settings
+ * (`world_1492.3f9a1c2b7d.topojson`), so a file's URL changes exactly when
+ * its content does and it can be cached for good.
+ *
+ * The periods of static/data/manifest.json are built from the converted
+ * files, and PERIODS in periodsConfig.ts from the manifest, between the
+ * markers below. Neither is edited by hand, so neither can list a file that
+ * doesn't exist.
+ */
+
+/** Hex digits of the content hash kept in file names. */
+export const HASH_LENGTH = 10;
+
+const GENERATED_START = '// #region PERIODS, generated from static/data/manifest.json';
+const GENERATED_END = '// #endregion';
+
+/** Year of a source file from its name, e.g. -500 for `world_bc500.geojson`; `null` if it has none. */
+export function periodYear(file) {
+	const match = /_(bc)?(\d+)\.geojson$/.exec(file);
+	if (!match) return null;
+	const year = parseInt(match[2], 10);
+	return match[1] ? -year : year;
+}
+
+/** Same as `formatYear` in periodsConfig.ts: "1492 AD" or "500 BC". */
+export function formatYear(year) {
+	return year < 0 ? `${-year} BC` : `${year} AD`;
+}
+
+/** Name of the TopoJSON file converted from source `file` whose content hash is `hash`. */
+export function outputName(file, hash) {
+	return file.replace(/\.geojson$/, `.${hash.slice(0, HASH_LENGTH)}.topojson`);
+}
+
+/**
+ * The manifest's periods for the converted `files`, as `{ source, output }`
+ * names, in chronological order. A period keeps the label it had in
+ * `previous` (the last manifest's periods), so labels can be edited there;
+ * new periods are labelled from their year.
+ */
+export function buildPeriods(files, previous = []) {
+	const labels = new Map(previous.map((period) => [period.year, period.label]));
+	return files
+		.map(({ source, output }) => {
+			const year = periodYear(source);
+			return { year, label: labels.get(year) ?? formatYear(year), file: output };
+		})
+		.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * `source` of periodsConfig.ts with the generated PERIODS replaced by
+ * `periods`.
+ *
+ * @throws If the generated section's markers are missing.
+ */
+export function writePeriods(source, periods) {
+	const start = source.indexOf(GENERATED_START);
+	const end = source.indexOf(GENERATED_END, start);
+	if (start < 0 || end < 0) {
+		throw new Error(`periodsConfig.ts has no "${GENERATED_START}" section`);
+	}
+	const range = periods.length
+		? ` from ${formatYear(periods[0].year)} to ${formatYear(periods.at(-1).year)}`
+		: '';
+	const lines = [
+		GENERATED_START,
+		'/**',
+		` * All ${periods.length} historical periods, sorted chronologically${range}.`,
+		' * Sourced from the Historical Basemaps dataset by Euratlas-Nüssli. Generated',
+		' * by `npm run convert-topojson`, together with the files it lists.',
+		' */',
+		'export const PERIODS: Period[] = [',
+		...periods.map(
+			(period, i) =>
+				`\t{ year: ${period.year}, file: ${quote(period.file)}, label: ${quote(period.label)} }${i < periods.length - 1 ? ',' : ''}`
+		),
+		'];',
+		''
+	];
+	return source.slice(0, start) + lines.join('\n') + source.slice(end);
+}
+
+/**
+ * `manifest` as JSON, laid out as the shipped manifest.json: tab-indented,
+ * with one line per period and property and short objects kept on one line.
+ */
+export function formatManifest(manifest) {
+	const fields = Object.entries(manifest).map(([key, value]) => {
+		let json;
+		if (Array.isArray(value)) {
+			json = `[\n${value.map((item) => `\t\t${inline(item)}`).join(',\n')}\n\t]`;
+		} else if (value && typeof value === 'object' && inline(value).length <= 80) {
+			json = inline(value);
+		} else {
+			json = JSON.stringify(value, null, '\t').replace(/\n/g, '\n\t');
+		}
+		return `\t${JSON.stringify(key)}: ${json}`;
+	});
+	return `{\n${fields.join(',\n')}\n}\n`;
+}
+
+function inline(value) {
+	if (!value || typeof value !== 'object' || Array.isArray(value)) return JSON.stringify(value);
+	const fields = Object.entries(value).map(
+		([key, field]) => `${JSON.stringify(key)}: ${inline(field)}`
+	);
+	return `{ ${fields.join(', ')} }`;
+}
+
+function quote(text) {
+	return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
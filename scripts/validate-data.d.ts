@@ -0,0 +1,60 @@
+/** Types of validate-data.js, for the tests. */
+
+export interface FeatureRef {
+	index: number;
+	name: string | null;
+	/** What is wrong with the feature, for invalid geometries. */
+	reason?: string;
+	/** Where a self-intersection was found. */
+	at?: [number, number];
+}
+
+export interface Issue {
+	severity: 'error' | 'warning';
+	code: string;
+	message: string;
+	/** Source file, for issues about a single file. */
+	file?: string;
+	/** Affected features, at most 20. */
+	features?: FeatureRef[];
+	/** Number of affected features when more than are listed. */
+	featureCount?: number;
+	/** Overlapping pairs of features and a point where they overlap, at most 20. */
+	overlaps?: Array<{ pair: [FeatureRef, FeatureRef]; at: [number, number] }>;
+	overlapCount?: number;
+	/** Property of an `inconsistent-keys` issue, its other spellings and the files using it or not. */
+	key?: string;
+	variants?: string[];
+	presentIn?: string[];
+	missingFrom?: string[];
+	/** Year of a `duplicate-year` issue. */
+	year?: number;
+}
+
+export interface Report {
+	version: number;
+	generated: string;
+	files: number;
+	errors: number;
+	warnings: number;
+	issues: Issue[];
+}
+
+export const REPORT_VERSION: number;
+
+/** Indices of features with self-intersections and overlaps, as in data/known-issues.json. */
+export interface FlaggedFeatures {
+	'self-intersection'?: number[];
+	overlap?: number[];
+}
+
+export function validateCollection(
+	geojson: unknown,
+	known?: FlaggedFeatures
+): { issues: Issue[]; keys: Set<string>; flagged: Required<FlaggedFeatures> };
+
+export function checkPropertyKeys(keysByFile: Map<string, Set<string>>): Issue[];
+
+export function checkPeriodFiles(inputFiles: string[]): Issue[];
+
+export function buildReport(files: string[], issues: Issue[]): Report;
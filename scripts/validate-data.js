@@ -0,0 +1,408 @@
+/**
+ * Validation of the source GeoJSON files, run by convert-topojson.js before
+ * anything is converted.
+ *
+ * Checks each file for:
+ * - a FeatureCollection of Polygon/MultiPolygon features
+ * - rings that are closed, have at least four finite positions, and stay
+ *   within longitude/latitude bounds
+ * - self-intersecting polygons: edges of a polygon crossing each other
+ * - overlapping territories: edges of two features crossing, or the interior
+ *   of one feature lying inside another
+ * - features without a NAME
+ *
+ * and across files for property keys only some files use, and for file
+ * names without a year or with the year of another file, since the periods
+ * are built from the names (see data-manifest.js).
+ *
+ * Every finding is an issue `{ severity, code, file?, message, features? }`.
+ * Errors would break the conversion or the app and fail the build; warnings
+ * are reported only.
+ *
+ * Self-intersections and overlaps are errors, except in features listed in
+ * data/known-issues.json: problems of the upstream data that have been
+ * looked at and accepted. That file maps each source file to the indices of
+ * its known-bad features, `{ "self-intersection": [...], "overlap": [...] }`;
+ * an overlap is known when both of its features are listed. Known problems
+ * are reported as warnings.
+ */
+
+import polylabel from 'polylabel';
+import { periodYear } from './data-manifest.js';
+
+export const REPORT_VERSION = 1;
+
+/** Most features listed per issue; the rest are only counted. */
+const MAX_LISTED_FEATURES = 20;
+
+function issue(severity, code, message, extra = {}) {
+	return { severity, code, message, ...extra };
+}
+
+function featureName(feature) {
+	const props = feature?.properties ?? {};
+	const name = props.NAME ?? props.name ?? props.NAME_EN;
+	return name == null || String(name).trim() === '' ? null : String(name);
+}
+
+/** `{ index, name }` of a feature for the report. */
+function featureRef(features, index) {
+	return { index, name: featureName(features[index]) };
+}
+
+/** Polygons of a geometry as lists of rings; `null` for unsupported types. */
+function polygonsOf(geometry) {
+	if (geometry.type === 'Polygon') return [geometry.coordinates];
+	if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+	return null;
+}
+
+/** Why `ring` isn't a valid linear ring, or `null` if it is. */
+function ringProblem(ring) {
+	if (!Array.isArray(ring) || ring.length < 4) return 'has fewer than 4 positions';
+	for (const position of ring) {
+		const [x, y] = Array.isArray(position) ? position : [];
+		if (!Number.isFinite(x) || !Number.isFinite(y)) return 'has a non-numeric position';
+		if (Math.abs(x) > 180 || Math.abs(y) > 90) return `has a position out of range (${x}, ${y})`;
+	}
+	const first = ring[0];
+	const last = ring[ring.length - 1];
+	if (first[0] !== last[0] || first[1] !== last[1]) return 'is not closed';
+	return null;
+}
+
+const orient = (ax, ay, bx, by, cx, cy) => (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+
+/**
+ * Whether segments `s` and `t` (`[x1, y1, x2, y2]`) cross at a point inside
+ * both. Touching at an end point and running along each other don't count,
+ * since neighbouring rings and territories share vertices and edges.
+ */
+function crosses(s, t) {
+	const d1 = orient(s[0], s[1], s[2], s[3], t[0], t[1]);
+	const d2 = orient(s[0], s[1], s[2], s[3], t[2], t[3]);
+	const d3 = orient(t[0], t[1], t[2], t[3], s[0], s[1]);
+	const d4 = orient(t[0], t[1], t[2], t[3], s[2], s[3]);
+	return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+/** Intersection point of two crossing segments. */
+function crossingPoint(s, t) {
+	const d1 = orient(t[0], t[1], t[2], t[3], s[0], s[1]);
+	const d2 = orient(t[0], t[1], t[2], t[3], s[2], s[3]);
+	const k = d1 / (d1 - d2);
+	return [s[0] + k * (s[2] - s[0]), s[1] + k * (s[3] - s[1])];
+}
+
+/**
+ * Every pair of crossing segments, found with a sweep along x so only
+ * segments whose x ranges overlap are compared. Segments are
+ * `[x1, y1, x2, y2, feature]`; `callback(s, t)` is called once per pair.
+ */
+function forEachCrossing(segments, callback) {
+	const sorted = segments
+		.map((s) => ({
+			s,
+			minX: Math.min(s[0], s[2]),
+			maxX: Math.max(s[0], s[2]),
+			minY: Math.min(s[1], s[3]),
+			maxY: Math.max(s[1], s[3])
+		}))
+		.sort((a, b) => a.minX - b.minX);
+	let active = [];
+	for (const current of sorted) {
+		active = active.filter((other) => other.maxX >= current.minX);
+		for (const other of active) {
+			if (other.maxY < current.minY || other.minY > current.maxY) continue;
+			if (crosses(current.s, other.s)) callback(current.s, other.s);
+		}
+		active.push(current);
+	}
+}
+
+/** Even-odd test of `point` against a polygon's rings, so holes are excluded. */
+function inRings(point, rings) {
+	const [x, y] = point;
+	let inside = false;
+	for (const ring of rings) {
+		for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+			const [xi, yi] = ring[i];
+			const [xj, yj] = ring[j];
+			if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+		}
+	}
+	return inside;
+}
+
+function bboxOf(polygons) {
+	const box = [Infinity, Infinity, -Infinity, -Infinity];
+	for (const rings of polygons) {
+		for (const [x, y] of rings[0]) {
+			box[0] = Math.min(box[0], x);
+			box[1] = Math.min(box[1], y);
+			box[2] = Math.max(box[2], x);
+			box[3] = Math.max(box[3], y);
+		}
+	}
+	return box;
+}
+
+/** Planar area of a ring in square degrees, for picking a feature's largest polygon. */
+function ringArea(ring) {
+	let sum = 0;
+	for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+		sum += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+	}
+	return Math.abs(sum / 2);
+}
+
+/** A point well inside the feature's largest polygon. */
+function interiorPoint(polygons) {
+	let largest = polygons[0];
+	for (const rings of polygons) {
+		if (ringArea(rings[0]) > ringArea(largest[0])) largest = rings;
+	}
+	const [minX, minY, maxX, maxY] = bboxOf([largest]);
+	return polylabel(largest, Math.max(maxX - minX, maxY - minY) * 0.01 || 1e-6);
+}
+
+/** Feature list of an issue, capped at {@link MAX_LISTED_FEATURES}. */
+function listed(refs) {
+	return refs.length > MAX_LISTED_FEATURES
+		? { features: refs.slice(0, MAX_LISTED_FEATURES), featureCount: refs.length }
+		: { features: refs };
+}
+
+/**
+ * Split `refs` into an error for the new ones and a warning for the known
+ * ones, as `isKnown` tells.
+ */
+function knownSplit(code, refs, isKnown, message, list) {
+	const known = refs.filter(isKnown);
+	const found = refs.filter((ref) => !isKnown(ref));
+	const issues = [];
+	if (found.length > 0) issues.push(issue('error', code, message(found.length), list(found)));
+	if (known.length > 0) {
+		issues.push(
+			issue('warning', code, `${message(known.length)}, listed in known-issues.json`, list(known))
+		);
+	}
+	return issues;
+}
+
+/**
+ * Validate one parsed GeoJSON file. Returns the file's issues (without the
+ * `file` field), the property keys its features use, and the indices of the
+ * features found with self-intersections and overlaps, in the form of
+ * `known`: the file's entry of known-issues.json.
+ */
+export function validateCollection(geojson, known = {}) {
+	const issues = [];
+	const keys = new Set();
+	const flagged = { 'self-intersection': [], overlap: [] };
+	if (geojson?.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+		issues.push(issue('error', 'invalid-collection', 'Not a GeoJSON FeatureCollection'));
+		return { issues, keys, flagged };
+	}
+
+	const features = geojson.features;
+	/** Valid polygons per feature index; features with problems are left out of later checks. */
+	const shapes = new Map();
+	const unnamed = [];
+	const invalid = [];
+	const unsupported = [];
+
+	features.forEach((feature, index) => {
+		for (const key of Object.keys(feature?.properties ?? {})) keys.add(key);
+		if (featureName(feature) === null) unnamed.push(featureRef(features, index));
+
+		if (!feature?.geometry) {
+			unsupported.push({ ...featureRef(features, index), reason: 'has no geometry' });
+			return;
+		}
+		const polygons = polygonsOf(feature.geometry);
+		if (!polygons) {
+			unsupported.push({ ...featureRef(features, index), reason: feature.geometry.type });
+			return;
+		}
+		for (const rings of polygons) {
+			const ring = rings.map(ringProblem).find(Boolean);
+			const problem = rings.length === 0 ? 'polygon has no rings' : ring && `ring ${ring}`;
+			if (problem) {
+				invalid.push({ ...featureRef(features, index), reason: problem });
+				return;
+			}
+		}
+		shapes.set(index, polygons);
+	});
+
+	if (invalid.length > 0) {
+		issues.push(
+			issue(
+				'error',
+				'invalid-ring',
+				`${invalid.length} features have invalid rings`,
+				listed(invalid)
+			)
+		);
+	}
+	if (unsupported.length > 0) {
+		issues.push(
+			issue(
+				'warning',
+				'unsupported-geometry',
+				`${unsupported.length} features have no polygon geometry and won't be drawn`,
+				listed(unsupported)
+			)
+		);
+	}
+	if (unnamed.length > 0) {
+		issues.push(
+			issue('warning', 'missing-name', `${unnamed.length} features have no NAME`, listed(unnamed))
+		);
+	}
+
+	// Self-intersections and crossing borders, from one sweep over every edge
+	const segments = [];
+	for (const [index, polygons] of shapes) {
+		polygons.forEach((rings, polygon) => {
+			for (const ring of rings) {
+				for (let i = 1; i < ring.length; i++) {
+					segments.push([ring[i - 1][0], ring[i - 1][1], ring[i][0], ring[i][1], index, polygon]);
+				}
+			}
+		});
+	}
+	const selfCrossings = new Map();
+	const overlaps = new Map();
+	forEachCrossing(segments, (s, t) => {
+		if (s[4] === t[4]) {
+			if (s[5] !== t[5]) return; // polygons of a MultiPolygon overlapping; rare and drawn fine
+			if (!selfCrossings.has(s[4])) selfCrossings.set(s[4], crossingPoint(s, t));
+		} else {
+			const pair = s[4] < t[4] ? `${s[4]},${t[4]}` : `${t[4]},${s[4]}`;
+			if (!overlaps.has(pair)) overlaps.set(pair, crossingPoint(s, t));
+		}
+	});
+
+	// Territories lying wholly inside another, which have no crossing edges
+	const boxes = new Map([...shapes].map(([index, polygons]) => [index, bboxOf(polygons)]));
+	for (const [index, polygons] of shapes) {
+		const point = interiorPoint(polygons);
+		for (const [other, box] of boxes) {
+			if (other === index || point[0] < box[0] || point[0] > box[2]) continue;
+			if (point[1] < box[1] || point[1] > box[3]) continue;
+			if (!shapes.get(other).some((rings) => inRings(point, rings))) continue;
+			const pair = index < other ? `${index},${other}` : `${other},${index}`;
+			if (!overlaps.has(pair)) overlaps.set(pair, [point[0], point[1]]);
+		}
+	}
+
+	const knownSelf = new Set(known['self-intersection'] ?? []);
+	const refs = [...selfCrossings].map(([index, at]) => ({ ...featureRef(features, index), at }));
+	issues.push(
+		...knownSplit(
+			'self-intersection',
+			refs,
+			(ref) => knownSelf.has(ref.index),
+			(count) => `${count} features have self-intersecting polygons`,
+			listed
+		)
+	);
+
+	const knownOverlap = new Set(known.overlap ?? []);
+	const pairs = [...overlaps].map(([pair, at]) => ({
+		pair: pair.split(',').map((index) => featureRef(features, Number(index))),
+		at
+	}));
+	issues.push(
+		...knownSplit(
+			'overlap',
+			pairs,
+			({ pair }) => pair.every((ref) => knownOverlap.has(ref.index)),
+			(count) => `${count} pairs of territories overlap`,
+			(found) =>
+				found.length > MAX_LISTED_FEATURES
+					? { overlaps: found.slice(0, MAX_LISTED_FEATURES), overlapCount: found.length }
+					: { overlaps: found }
+		)
+	);
+
+	flagged['self-intersection'] = [...selfCrossings.keys()].sort((a, b) => a - b);
+	flagged.overlap = [...new Set(pairs.flatMap(({ pair }) => pair.map((ref) => ref.index)))].sort(
+		(a, b) => a - b
+	);
+	return { issues, keys, flagged };
+}
+
+/**
+ * Property keys used by some files but not all, such as `type` or `weblnks`.
+ * `keysByFile` maps file names to the keys their features use.
+ */
+export function checkPropertyKeys(keysByFile) {
+	const files = [...keysByFile.keys()];
+	const usage = new Map();
+	for (const [file, keys] of keysByFile) {
+		for (const key of keys) usage.set(key, [...(usage.get(key) ?? []), file]);
+	}
+	return [...usage]
+		.filter(([, using]) => using.length < files.length)
+		.sort(([a], [b]) => a.localeCompare(b))
+		.map(([key, using]) => {
+			const missing = files.filter((file) => !using.includes(file));
+			const fewer = using.length <= missing.length;
+			// Other spellings of the key, e.g. TYPE for type
+			const variants = [...usage.keys()].filter(
+				(other) => other !== key && other.toLowerCase() === key.toLowerCase()
+			);
+			return issue(
+				'warning',
+				'inconsistent-keys',
+				`Property "${key}" is used by ${using.length} of ${files.length} files`,
+				{
+					key,
+					...(variants.length > 0 ? { variants } : {}),
+					...(fewer ? { presentIn: using } : { missingFrom: missing })
+				}
+			);
+		});
+}
+
+/**
+ * Source files whose name gives no year, or the year of another file. Either
+ * is an error: the period list is built from the names, one period per year.
+ */
+export function checkPeriodFiles(inputFiles) {
+	const issues = [];
+	const byYear = new Map();
+	for (const file of inputFiles) {
+		const year = periodYear(file);
+		if (year === null) {
+			const message = `${file} isn't named after a year (e.g. world_bc500.geojson)`;
+			issues.push(issue('error', 'unknown-year', message, { file }));
+		} else if (byYear.has(year)) {
+			issues.push(
+				issue('error', 'duplicate-year', `${file} has the same year as ${byYear.get(year)}`, {
+					file,
+					year
+				})
+			);
+		} else {
+			byYear.set(year, file);
+		}
+	}
+	return issues;
+}
+
+/** Machine-readable report of a validation run over `files`. */
+export function buildReport(files, issues) {
+	const count = (severity) => issues.filter((i) => i.severity === severity).length;
+	return {
+		version: REPORT_VERSION,
+		generated: new Date().toISOString(),
+		files: files.length,
+		errors: count('error'),
+		warnings: count('warning'),
+		issues
+	};
+}
@@ -0,0 +1,159 @@
+/**
+ * Basemaps: what is drawn under the territories.
+ *
+ * - `carto`: CARTO's raster tiles in the variant matching the theme, or
+ *   `carto-light` / `carto-dark` to keep one variant in both themes
+ * - `terrain`: shaded relief computed from elevation tiles
+ * - `custom`: raster tiles from a URL template, e.g. a self-hosted tile
+ *   server (`https://tiles.example.org/{z}/{x}/{y}.png`) or tiles served
+ *   with the app (`/tiles/{z}/{x}/{y}.png`), credited with the attribution
+ *   given with it. The Content-Security-Policy of the shipped server
+ *   configurations only lets tiles load from other hosts once they are
+ *   listed there (see the README).
+ * - `none`: only the territories, on the plain ocean color
+ *
+ * The Map adds the returned source and layer under the territories and
+ * treats tile errors from it as the basemap being unavailable.
+ *
+ * @module basemaps
+ */
+
+import type maplibregl from 'maplibre-gl';
+import type { MessageKey } from './i18n.js';
+
+export type BasemapId = 'carto' | 'carto-light' | 'carto-dark' | 'terrain' | 'custom' | 'none';
+
+/** The basemaps, with the message key of their name. */
+export const BASEMAPS: Array<{ value: BasemapId; label: MessageKey }> = [
+	{ value: 'carto', label: 'basemap.carto' },
+	{ value: 'carto-light', label: 'basemap.cartoLight' },
+	{ value: 'carto-dark', label: 'basemap.cartoDark' },
+	{ value: 'terrain', label: 'basemap.terrain' },
+	{ value: 'custom', label: 'basemap.custom' },
+	{ value: 'none', label: 'basemap.none' }
+];
+
+export function isBasemapId(value: unknown): value is BasemapId {
+	return BASEMAPS.some((basemap) => basemap.value === value);
+}
+
+export type MapProjection = 'mercator' | 'globe';
+
+export function isMapProjection(value: unknown): value is MapProjection {
+	return value === 'mercator' || value === 'globe';
+}
+
+/** A basemap as MapLibre draws it: one source and the layer showing it. */
+export interface BasemapStyle {
+	source: maplibregl.RasterSourceSpecification | maplibregl.RasterDEMSourceSpecification;
+	layer:
+		| Omit<maplibregl.RasterLayerSpecification, 'id' | 'source'>
+		| Omit<maplibregl.HillshadeLayerSpecification, 'id' | 'source'>;
+}
+
+const CARTO_ATTRIBUTION =
+	'&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>';
+
+const TERRAIN_TILES = 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png';
+const TERRAIN_ATTRIBUTION =
+	'Elevation: <a href="https://github.com/tilezen/joerd/blob/master/docs/attribution.md">Mapzen Terrain Tiles</a>';
+
+/** Relief shading per theme; the light theme's is the softer. */
+const HILLSHADE: Record<'light' | 'dark', maplibregl.HillshadeLayerSpecification['paint']> = {
+	light: {
+		'hillshade-shadow-color': '#6b7280',
+		'hillshade-highlight-color': '#ffffff',
+		'hillshade-accent-color': '#9ca3af',
+		'hillshade-exaggeration': 0.5
+	},
+	dark: {
+		'hillshade-shadow-color': '#000000',
+		'hillshade-highlight-color': '#475569',
+		'hillshade-accent-color': '#1e293b',
+		'hillshade-exaggeration': 0.6
+	}
+};
+
+function cartoTiles(variant: 'light_all' | 'dark_all'): string[] {
+	return ['a', 'b', 'c', 'd'].map(
+		(s) => `https://${s}.basemaps.cartocdn.com/${variant}/{z}/{x}/{y}.png`
+	);
+}
+
+/**
+ * A tile URL template typed by the user, or `null` if it is unusable. It
+ * must be an http(s) URL or a path on this site, with `{z}`, `{x}` and
+ * `{y}` (or `{-y}` for TMS tiles) placeholders.
+ */
+export function parseTileTemplate(value: string | null): string | null {
+	const template = value?.trim() ?? '';
+	if (!/^(https?:\/\/[^/]+|\/)/i.test(template)) return null;
+	if (!template.includes('{z}') || !template.includes('{x}')) return null;
+	if (!template.includes('{y}') && !template.includes('{-y}')) return null;
+	return template;
+}
+
+/** `text` as HTML, since MapLibre shows attributions as markup. */
+function escapeHtml(text: string): string {
+	return text.replace(
+		/[&<>"']/g,
+		(c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]!
+	);
+}
+
+/**
+ * How to draw `basemap` in `theme`, or `null` when nothing is drawn: for
+ * `none`, and for `custom` without a usable `template`. `attribution` is
+ * plain text crediting the `custom` tiles.
+ */
+export function basemapStyle(
+	basemap: BasemapId,
+	theme: 'light' | 'dark',
+	template: string | null = null,
+	attribution: string | null = null
+): BasemapStyle | null {
+	switch (basemap) {
+		case 'carto':
+		case 'carto-light':
+		case 'carto-dark': {
+			const light = basemap === 'carto' ? theme === 'light' : basemap === 'carto-light';
+			return {
+				source: {
+					type: 'raster',
+					tiles: cartoTiles(light ? 'light_all' : 'dark_all'),
+					tileSize: 256,
+					attribution: CARTO_ATTRIBUTION
+				},
+				layer: { type: 'raster', minzoom: 0, maxzoom: 19 }
+			};
+		}
+		case 'terrain':
+			return {
+				source: {
+					type: 'raster-dem',
+					tiles: [TERRAIN_TILES],
+					encoding: 'terrarium',
+					tileSize: 256,
+					maxzoom: 12,
+					attribution: TERRAIN_ATTRIBUTION
+				},
+				layer: { type: 'hillshade', paint: HILLSHADE[theme] }
+			};
+		case 'custom': {
+			const tiles = parseTileTemplate(template);
+			if (!tiles) return null;
+			return {
+				source: {
+					type: 'raster',
+					tiles: [tiles.replace('{-y}', '{y}')],
+					tileSize: 256,
+					scheme: tiles.includes('{-y}') ? 'tms' : 'xyz',
+					...(attribution?.trim() && { attribution: escapeHtml(attribution.trim()) })
+				},
+				layer: { type: 'raster' }
+			};
+		}
+		case 'none':
+			return null;
+	}
+}
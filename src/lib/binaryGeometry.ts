@@ -0,0 +1,238 @@
+/**
+ * Compact binary form of a FeatureCollection, for moving period data from the
+ * worker to the main thread and keeping it in the DataService cache.
+ *
+ * Posting GeoJSON from a worker structured-clones every coordinate pair as
+ * its own array, and the main thread then holds millions of small objects.
+ * A {@link PackedCollection} keeps the coordinates of all polygons in one
+ * `Float64Array`, with offset tables saying where each ring, polygon and
+ * feature starts, and the properties in a table. Its buffers are
+ * transferred rather than copied, and the GeoJSON is only rebuilt with
+ * {@link unpack} for the periods actually shown.
+ *
+ * Geometries other than polygons (only found in user files) are kept as
+ * GeoJSON in {@link PackedCollection.otherGeometries}.
+ *
+ * @module binaryGeometry
+ */
+
+import type { Feature, FeatureCollection, Geometry, Position } from 'geojson';
+
+/** `geometryTypes` codes. */
+export const GEOMETRY_NONE = 0;
+export const GEOMETRY_POLYGON = 1;
+export const GEOMETRY_MULTIPOLYGON = 2;
+export const GEOMETRY_OTHER = 3;
+
+export interface PackedCollection {
+	type: 'PackedCollection';
+	/** x, y of every vertex of every ring, in order. */
+	coordinates: Float64Array;
+	/** Vertex index where each ring starts, then the total vertex count. */
+	ringOffsets: Uint32Array;
+	/** Ring index where each polygon starts, then the total ring count. */
+	polygonOffsets: Uint32Array;
+	/** Polygon index where each feature starts, then the total polygon count. */
+	featureOffsets: Uint32Array;
+	/** Kind of geometry of each feature, one of the `GEOMETRY_*` codes. */
+	geometryTypes: Uint8Array;
+	/** Property names used by any feature. */
+	keys: string[];
+	/** Property values, one row of `keys.length` values per feature; `undefined` where absent. */
+	values: unknown[];
+	/** Whether each feature has a properties object at all. */
+	hasProperties: Uint8Array;
+	/** Geometries coded `GEOMETRY_OTHER`, by feature index. */
+	otherGeometries: Record<number, Geometry>;
+	/** Approximate memory use in bytes, see {@link packedBytes}. */
+	bytes: number;
+}
+
+function polygonsOf(geometry: Geometry): Position[][][] {
+	return geometry.type === 'Polygon'
+		? [geometry.coordinates]
+		: (geometry as { coordinates: Position[][][] }).coordinates;
+}
+
+/**
+ * Approximate memory use of packed data: the typed arrays exactly, and the
+ * property table by its string lengths.
+ */
+export function packedBytes(packed: Omit<PackedCollection, 'bytes'>): number {
+	let bytes =
+		packed.coordinates.byteLength +
+		packed.ringOffsets.byteLength +
+		packed.polygonOffsets.byteLength +
+		packed.featureOffsets.byteLength +
+		packed.geometryTypes.byteLength +
+		packed.hasProperties.byteLength;
+	for (const value of packed.values) {
+		// Strings take two bytes per character; other values a slot each
+		bytes += typeof value === 'string' ? 2 * value.length + 16 : 8;
+	}
+	for (const geometry of Object.values(packed.otherGeometries)) {
+		bytes += 2 * JSON.stringify(geometry).length;
+	}
+	return bytes;
+}
+
+/** Rough V8 sizes of the objects {@link unpack} creates. */
+const POSITION_BYTES = 72; // a two-element array of doubles and its slot in the ring
+const ARRAY_BYTES = 32;
+const FEATURE_BYTES = 160; // the feature, its geometry and properties objects
+
+/**
+ * Approximate memory use of the GeoJSON that {@link unpack} rebuilds from
+ * `packed`, which is several times that of the packed data itself.
+ */
+export function unpackedBytes(packed: PackedCollection): number {
+	const vertices = packed.coordinates.length / 2;
+	const arrays =
+		packed.ringOffsets.length + packed.polygonOffsets.length + packed.featureOffsets.length;
+	// Property values and other geometries take about as much room either way
+	const shared = packed.bytes - packed.coordinates.byteLength;
+	return (
+		vertices * POSITION_BYTES +
+		arrays * ARRAY_BYTES +
+		packed.geometryTypes.length * FEATURE_BYTES +
+		shared
+	);
+}
+
+/** Pack `collection` into the binary form. */
+export function pack(collection: FeatureCollection): PackedCollection {
+	const { features } = collection;
+	const geometryTypes = new Uint8Array(features.length);
+	const hasProperties = new Uint8Array(features.length);
+	const otherGeometries: Record<number, Geometry> = {};
+
+	// Size the arrays first, so the coordinates are written only once
+	let vertexCount = 0;
+	let ringCount = 0;
+	let polygonCount = 0;
+	const keyIndex = new Map<string, number>();
+	features.forEach((feature, i) => {
+		const geometry = feature.geometry;
+		if (!geometry) {
+			geometryTypes[i] = GEOMETRY_NONE;
+		} else if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+			geometryTypes[i] = geometry.type === 'Polygon' ? GEOMETRY_POLYGON : GEOMETRY_MULTIPOLYGON;
+			for (const rings of polygonsOf(geometry)) {
+				polygonCount++;
+				ringCount += rings.length;
+				for (const ring of rings) vertexCount += ring.length;
+			}
+		} else {
+			geometryTypes[i] = GEOMETRY_OTHER;
+			otherGeometries[i] = geometry;
+		}
+		if (feature.properties) {
+			hasProperties[i] = 1;
+			for (const key of Object.keys(feature.properties)) {
+				if (!keyIndex.has(key)) keyIndex.set(key, keyIndex.size);
+			}
+		}
+	});
+
+	const coordinates = new Float64Array(vertexCount * 2);
+	const ringOffsets = new Uint32Array(ringCount + 1);
+	const polygonOffsets = new Uint32Array(polygonCount + 1);
+	const featureOffsets = new Uint32Array(features.length + 1);
+	const keys = [...keyIndex.keys()];
+	const values: unknown[] = new Array(features.length * keys.length);
+
+	let vertex = 0;
+	let ring = 0;
+	let polygon = 0;
+	features.forEach((feature, i) => {
+		featureOffsets[i] = polygon;
+		const type = geometryTypes[i];
+		if (type === GEOMETRY_POLYGON || type === GEOMETRY_MULTIPOLYGON) {
+			for (const rings of polygonsOf(feature.geometry)) {
+				polygonOffsets[polygon++] = ring;
+				for (const positions of rings) {
+					ringOffsets[ring++] = vertex;
+					for (const [x, y] of positions) {
+						coordinates[vertex * 2] = x;
+						coordinates[vertex * 2 + 1] = y;
+						vertex++;
+					}
+				}
+			}
+		}
+		for (const [key, value] of Object.entries(feature.properties ?? {})) {
+			values[i * keys.length + (keyIndex.get(key) as number)] = value;
+		}
+	});
+	featureOffsets[features.length] = polygon;
+	polygonOffsets[polygonCount] = ring;
+	ringOffsets[ringCount] = vertex;
+
+	const packed = {
+		type: 'PackedCollection' as const,
+		coordinates,
+		ringOffsets,
+		polygonOffsets,
+		featureOffsets,
+		geometryTypes,
+		keys,
+		values,
+		hasProperties,
+		otherGeometries
+	};
+	return { ...packed, bytes: packedBytes(packed) };
+}
+
+/** Rebuild the FeatureCollection that {@link pack} was given. */
+export function unpack(packed: PackedCollection): FeatureCollection {
+	const { coordinates, ringOffsets, polygonOffsets, featureOffsets, keys, values } = packed;
+	const features: Feature[] = [];
+	for (let i = 0; i < packed.geometryTypes.length; i++) {
+		let properties: Record<string, unknown> | null = null;
+		if (packed.hasProperties[i]) {
+			properties = {};
+			for (let k = 0; k < keys.length; k++) {
+				const value = values[i * keys.length + k];
+				if (value !== undefined) properties[keys[k]] = value;
+			}
+		}
+
+		const type = packed.geometryTypes[i];
+		let geometry: Geometry | null = null;
+		if (type === GEOMETRY_OTHER) {
+			geometry = packed.otherGeometries[i];
+		} else if (type !== GEOMETRY_NONE) {
+			const polygons: Position[][][] = [];
+			for (let p = featureOffsets[i]; p < featureOffsets[i + 1]; p++) {
+				const rings: Position[][] = [];
+				for (let r = polygonOffsets[p]; r < polygonOffsets[p + 1]; r++) {
+					const ring: Position[] = [];
+					for (let v = ringOffsets[r]; v < ringOffsets[r + 1]; v++) {
+						ring.push([coordinates[v * 2], coordinates[v * 2 + 1]]);
+					}
+					rings.push(ring);
+				}
+				polygons.push(rings);
+			}
+			geometry =
+				type === GEOMETRY_POLYGON
+					? { type: 'Polygon', coordinates: polygons[0] }
+					: { type: 'MultiPolygon', coordinates: polygons };
+		}
+		// The data has features without geometry, which the GeoJSON types don't allow
+		features.push({ type: 'Feature', properties, geometry: geometry as Geometry });
+	}
+	return { type: 'FeatureCollection', features };
+}
+
+/** Buffers of `packed` to list as transferable when posting it. */
+export function transferables(packed: PackedCollection): ArrayBuffer[] {
+	return [
+		packed.coordinates,
+		packed.ringOffsets,
+		packed.polygonOffsets,
+		packed.featureOffsets,
+		packed.geometryTypes,
+		packed.hasProperties
+	].map((array) => array.buffer as ArrayBuffer);
+}
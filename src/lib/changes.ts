@@ -0,0 +1,133 @@
+/**
+ * Change detection between two periods.
+ *
+ * Entities are matched by name. Each entity of either period is classified
+ * as new, dissolved, grown, shrunk or unchanged by comparing its total area
+ * in both. Runs inside the Web Worker (see `worker.ts`); DataService falls
+ * back to calling it on the main thread.
+ *
+ * @module changes
+ */
+
+import type { Feature, FeatureCollection } from 'geojson';
+import { areaKm2, featureBounds, type Bounds } from './geo.js';
+import { getTerritoryName } from './territory.js';
+
+export type ChangeKind = 'new' | 'dissolved' | 'grown' | 'shrunk' | 'unchanged';
+
+/** Display order of the kinds, most notable first. */
+export const CHANGE_KINDS: ChangeKind[] = ['new', 'dissolved', 'grown', 'shrunk', 'unchanged'];
+
+/** Fill colors of each kind, shared by the map and its legend. */
+export const CHANGE_COLORS: Record<ChangeKind, string> = {
+	new: '#22c55e',
+	dissolved: '#ef4444',
+	grown: '#3b82f6',
+	shrunk: '#a855f7',
+	unchanged: '#94a3b8'
+};
+
+/**
+ * Relative area change below which an entity counts as unchanged. Borders are
+ * redrawn between periods, so small differences are mostly noise.
+ */
+export const AREA_CHANGE_THRESHOLD = 0.05;
+
+/** One entity's change between the two periods. */
+export interface ChangeEntry {
+	name: string;
+	kind: ChangeKind;
+	/** Area in the previous period (0 for new entities). */
+	previousKm2: number;
+	/** Area in the current period (0 for dissolved entities). */
+	currentKm2: number;
+	/** Extent in the current period, or in the previous one for dissolved entities. */
+	bounds: Bounds;
+}
+
+export interface PeriodChanges {
+	/** Entries ordered by {@link CHANGE_KINDS}, then by the size of the change. */
+	entries: ChangeEntry[];
+	/** Features of dissolved entities, taken from the previous period. */
+	dissolved: FeatureCollection;
+}
+
+interface Entity {
+	km2: number;
+	features: Feature[];
+}
+
+/** Group the named features of `collection` by name, summing their areas. */
+function groupByName(collection: FeatureCollection): Map<string, Entity> {
+	const entities = new Map<string, Entity>();
+	for (const feature of collection.features) {
+		if (!feature.geometry) continue;
+		const name = getTerritoryName(feature.properties ?? {});
+		if (name === null) continue;
+		let entity = entities.get(name);
+		if (!entity) {
+			entity = { km2: 0, features: [] };
+			entities.set(name, entity);
+		}
+		entity.km2 += areaKm2(feature.geometry);
+		entity.features.push(feature);
+	}
+	return entities;
+}
+
+function classify(previousKm2: number, currentKm2: number, threshold: number): ChangeKind {
+	if (previousKm2 === 0) return 'new';
+	if (currentKm2 === 0) return 'dissolved';
+	const ratio = currentKm2 / previousKm2;
+	if (ratio > 1 + threshold) return 'grown';
+	if (ratio < 1 - threshold) return 'shrunk';
+	return 'unchanged';
+}
+
+/**
+ * Compare the entities of two periods.
+ *
+ * @param threshold Relative area change that counts as grown or shrunk.
+ */
+export function detectChanges(
+	previous: FeatureCollection,
+	current: FeatureCollection,
+	threshold = AREA_CHANGE_THRESHOLD
+): PeriodChanges {
+	const before = groupByName(previous);
+	const after = groupByName(current);
+
+	const entries: ChangeEntry[] = [];
+	const dissolved: Feature[] = [];
+
+	for (const [name, entity] of after) {
+		const previousKm2 = before.get(name)?.km2 ?? 0;
+		entries.push({
+			name,
+			kind: classify(previousKm2, entity.km2, threshold),
+			previousKm2,
+			currentKm2: entity.km2,
+			bounds: featureBounds(entity.features)
+		});
+	}
+	for (const [name, entity] of before) {
+		if (after.has(name)) continue;
+		entries.push({
+			name,
+			kind: 'dissolved',
+			previousKm2: entity.km2,
+			currentKm2: 0,
+			bounds: featureBounds(entity.features)
+		});
+		dissolved.push(...entity.features);
+	}
+
+	entries.sort(
+		(a, b) =>
+			CHANGE_KINDS.indexOf(a.kind) - CHANGE_KINDS.indexOf(b.kind) ||
+			Math.abs(b.currentKm2 - b.previousKm2) - Math.abs(a.currentKm2 - a.previousKm2) ||
+			a.name.localeCompare(b.name)
+	);
+
+	return { entries, dissolved: { type: 'FeatureCollection', features: dissolved } };
+}
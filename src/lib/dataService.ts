@@ -5,21 +5,64 @@
  * - Uses a Web Worker for fetching and converting TopoJSON to GeoJSON so the
  *   main thread stays responsive during large file loads.
  * - Falls back to main-thread fetching automatically if the Worker fails to
- *   initialize (e.g. in environments that don't support module workers).
- * - Maintains an LRU cache whose size adapts to device memory (10 on
- *   low-memory devices, 25 otherwise) to balance memory use vs. reload speed.
+ *   initialize (e.g. in environments that don't support module workers),
+ *   crashes or stops responding. Errors the worker reports are not retried.
+ * - Receives period data from the worker in the packed binary form of
+ *   `binaryGeometry.ts`, transferred rather than structured-cloned, and
+ *   caches it packed. Only the periods actually shown are unpacked to
+ *   GeoJSON, so preloads cost the main thread almost nothing. The unpacked
+ *   GeoJSON is cached alongside and counts towards the same budget.
+ * - Maintains an LRU cache whose budget in bytes adapts to device memory
+ *   (16 MB on low-memory devices, 48 MB otherwise) to balance memory use vs.
+ *   reload speed.
  * - Preloads adjacent periods during idle time so forward/backward navigation
  *   is instant in most cases.
- * - Coalesces rapid period changes: if the user drags the slider quickly,
- *   only the most recently requested period is actually loaded.
+ * - Cancels superseded loads: when another period is requested, the download
+ *   of the previous one is aborted, in the worker too, unless something else
+ *   is still waiting for the same file.
+ * - Shares in-flight downloads, so a preload and a load of the same file
+ *   (or two views showing the same period) only fetch it once.
+ * - Reports download progress in bytes, and retries transient failures with
+ *   backoff before giving up (see `download.ts`).
+ * - Runs change detection between consecutive periods and label placement
+ *   in the worker too, caching the results like period data.
+ * - Reads periods and file locations from a dataset manifest (see
+ *   `datasets.ts`) rather than a fixed list, so datasets can be switched at
+ *   runtime. Caches are keyed by file URL, so switching back is instant.
+ * - Loads the coarse variant of a period when the dataset has one, which is
+ *   what preloading and labels use too. `loadDetail` fetches the
+ *   full-resolution file once the map is zoomed in, and callers zoomed in
+ *   that far can ask for it instead of the coarse one. A period whose full
+ *   file is cached or downloading is loaded from it rather than fetched
+ *   coarse. Change detection always compares coarse variants, so both
+ *   periods are simplified alike.
+ * - Answers point queries across all periods in the worker, one
+ *   full-resolution file at a time and bypassing the cache (see
+ *   `placeHistory.ts`).
  *
  * @module dataService
  */
 
-import type { GeoJSON } from 'geojson';
-import * as topojson from 'topojson-client';
-import type { Topology } from 'topojson-specification';
-import { PERIODS } from './periodsConfig.js';
+import type { FeatureCollection, GeoJSON, Position } from 'geojson';
+import { pack, unpack, unpackedBytes, type PackedCollection } from './binaryGeometry.js';
+import { detectChanges, type PeriodChanges } from './changes.js';
+import { fetchJson, type DownloadProgress } from './download.js';
+import { parseGeoFile, toFeatureCollection } from './geoFile.js';
+import { territoryLabels, type TerritoryLabels } from './labels.js';
+import { boxIndex, normalizePoint, territoriesAt, type PlaceRow } from './placeHistory.js';
+import {
+	DATASET_REGISTRY_URL,
+	DEFAULT_DATASET,
+	coarseFile,
+	dataFileUrl,
+	parseManifest,
+	parseNameTable,
+	parseRegistry,
+	type DatasetManifest,
+	type DatasetRegistryEntry
+} from './datasets.js';
+import type { Period } from './periodsConfig.js';
+import type { TerritoryIndex } from './territoryIndex.js';
 import type { WorkerRequest, WorkerResponse } from './worker.js';
 
 // Safari doesn't support requestIdleCallback — fall back to setTimeout.
@@ -28,21 +71,25 @@ const rIC =
 		? requestIdleCallback
 		: (cb: () => void) => setTimeout(cb, 1) as unknown as number;
 const cIC =
-	typeof cancelIdleCallback === 'function'
-		? cancelIdleCallback
-		: (id: number) => clearTimeout(id);
+	typeof cancelIdleCallback === 'function' ? cancelIdleCallback : (id: number) => clearTimeout(id);
 
 /**
  * Generic LRU (Least Recently Used) cache backed by a Map.
  * Exploits Map's insertion-order iteration: the first entry is the least
  * recently used. On access, entries are moved to the end (most recent).
+ *
+ * Entries count as 1 towards `maxSize` unless `sizeOf` says otherwise. The
+ * most recent entry is always kept, even if it alone exceeds `maxSize`.
  */
 class LRUCache<K, V> {
 	private map = new Map<K, V>();
 	private maxSize: number;
+	private sizeOf: (value: V) => number;
+	private total = 0;
 
-	constructor(maxSize: number) {
+	constructor(maxSize: number, sizeOf: (value: V) => number = () => 1) {
 		this.maxSize = maxSize;
+		this.sizeOf = sizeOf;
 	}
 
 	get(key: K): V | undefined {
@@ -56,14 +103,19 @@ class LRUCache<K, V> {
 	}
 
 	set(key: K, value: V): void {
-		if (this.map.has(key)) {
+		const previous = this.map.get(key);
+		if (previous !== undefined) {
+			this.total -= this.sizeOf(previous);
 			this.map.delete(key);
-		} else if (this.map.size >= this.maxSize) {
+		}
+		this.map.set(key, value);
+		this.total += this.sizeOf(value);
+		while (this.total > this.maxSize && this.map.size > 1) {
 			// Evict least recently used (first entry)
-			const firstKey = this.map.keys().next().value!;
+			const [firstKey, firstValue] = this.map.entries().next().value!;
+			this.total -= this.sizeOf(firstValue);
 			this.map.delete(firstKey);
 		}
-		this.map.set(key, value);
 	}
 
 	has(key: K): boolean {
@@ -76,20 +128,66 @@ class LRUCache<K, V> {
 
 	clear(): void {
 		this.map.clear();
+		this.total = 0;
 	}
 }
 
+/** A data file in the cache. */
+interface CachedFile {
+	packed: PackedCollection;
+	/**
+	 * The file unpacked, once it has been handed out. Asking again for the
+	 * same file returns the same GeoJSON object while it is cached.
+	 */
+	geojson?: GeoJSON;
+	/** Memory use of both forms, counted towards the cache budget. */
+	bytes: number;
+}
+
+/** A fetch of a data file, shared by everyone waiting for the file. */
+interface Download {
+	promise: Promise<PackedCollection>;
+	controller: AbortController;
+	/** Callers still waiting; the download is aborted once all of them have given up. */
+	waiting: number;
+	listeners: Set<(progress: DownloadProgress) => void>;
+}
+
 /**
- * Determine cache capacity based on device memory.
+ * The worker itself failed: it couldn't start, crashed or stopped
+ * responding. Unlike an error the worker reports, such as a failed download,
+ * the request is worth repeating on the main thread.
+ */
+class WorkerFailure extends Error {
+	constructor(message: string) {
+		super(message);
+		this.name = 'WorkerFailure';
+	}
+}
+
+/** How long the worker may go without responding to a request before it is abandoned. */
+const WORKER_TIMEOUT = 30000;
+
+/**
+ * How long fetching the registry or a manifest may take. The built-in
+ * dataset stays on screen meanwhile, and stays if the fetch times out.
+ */
+const MANIFEST_TIMEOUT = 10000;
+
+const MB = 1024 * 1024;
+
+/**
+ * Determine the cache budget in bytes based on device memory.
  * Uses the Navigator.deviceMemory API (Chrome/Edge) when available.
- * Returns 10 on devices with <= 2 GB RAM, 25 otherwise.
+ * Returns 16 MB on devices with <= 2 GB RAM, 48 MB otherwise: enough for
+ * every coarse period of the bundled dataset plus some full-resolution ones.
  */
-function getCacheSize(): number {
+function getCacheBytes(): number {
 	if (typeof navigator !== 'undefined' && 'deviceMemory' in navigator) {
 		const mem = (navigator as { deviceMemory?: number }).deviceMemory ?? 4;
-		return mem <= 2 ? 10 : 25;
+		return mem <= 2 ? 16 * MB : 48 * MB;
 	}
-	return 25;
+	return 48 * MB;
 }
 
 /**
@@ -99,28 +197,133 @@ function getCacheSize(): number {
  * Usage:
  * ```ts
  * const service = new DataService();
+ * await service.loadDataset(); // load the default dataset's manifest
  * const geojson = await service.loadPeriod(0); // load first period
+ * const other = await service.getPeriod(30); // load without coalescing
  * service.destroy(); // clean up worker + cache
  * ```
  */
 export class DataService {
 	private worker: Worker | null = null;
 	private workerFailed = false;
-	private cache: LRUCache<string, GeoJSON>;
-	/** Index of the most recently requested period (for request coalescing). */
-	private pendingIndex: number | null = null;
-	/** Guard to prevent concurrent loadPeriod executions. */
-	private isLoading = false;
+	private dataset: DatasetManifest = DEFAULT_DATASET;
+	/** Period data keyed by file URL, limited by size in bytes. */
+	private cache: LRUCache<string, CachedFile>;
+	/** Aborts the `loadPeriod` call in progress. */
+	private loadController: AbortController | null = null;
 	/** Monotonic counter for correlating worker request/response pairs. */
 	private requestId = 0;
 	private pendingRequests = new Map<
 		number,
-		{ resolve: (data: GeoJSON) => void; reject: (err: Error) => void }
+		{
+			resolve: (response: WorkerResponse) => void;
+			reject: (err: Error) => void;
+			progress: (progress: DownloadProgress) => void;
+		}
 	>();
+	/** Change analyses keyed by "previous URL|current URL". */
+	private changesCache = new LRUCache<string, PeriodChanges>(8);
+	/** Label points by period file URL. */
+	private labelsCache = new LRUCache<string, TerritoryLabels>(8);
+	/** Fetches in progress, keyed by file URL. */
+	private inflight = new Map<string, Download>();
 	private idleCallbackId: number | null = null;
+	/** Incremented by each `locate` call, so earlier ones stop. */
+	private locateGeneration = 0;
+	private territoryIndex: Promise<TerritoryIndex> | null = null;
+	private registry: Promise<DatasetRegistryEntry[]> | null = null;
+	/** Name tables by URL. */
+	private names = new Map<string, Promise<Record<string, string>>>();
 
 	constructor() {
-		this.cache = new LRUCache<string, GeoJSON>(getCacheSize());
+		this.cache = new LRUCache<string, CachedFile>(getCacheBytes(), (file) => file.bytes);
+	}
+
+	/** Periods of the current dataset. */
+	get periods(): Period[] {
+		return this.dataset.periods;
+	}
+
+	/**
+	 * URL of the data file of the period at `index` in the current dataset:
+	 * its coarse variant if it has one.
+	 */
+	private periodUrl(index: number): string {
+		const file = this.dataset.periods[index].file;
+		return dataFileUrl(this.dataset, coarseFile(this.dataset, file) ?? file);
+	}
+
+	/**
+	 * URL of the full-resolution file of the period at `index`, or `null` if
+	 * {@link periodUrl} already is.
+	 */
+	private detailUrl(index: number): string | null {
+		const file = this.dataset.periods[index].file;
+		return coarseFile(this.dataset, file) === null ? null : dataFileUrl(this.dataset, file);
+	}
+
+	/**
+	 * URL to load the period at `index` from: its full-resolution file if
+	 * `detail` is set or that file is cached or downloading anyway, otherwise
+	 * {@link periodUrl}.
+	 */
+	private loadUrl(index: number, detail = false): string {
+		const full = this.detailUrl(index);
+		if (full !== null && (detail || this.cache.has(full) || this.inflight.has(full))) return full;
+		return this.periodUrl(index);
+	}
+
+	/**
+	 * Load the dataset registry. Fetched once and shared by all callers; a
+	 * failed fetch is retried on the next call.
+	 */
+	loadRegistry(): Promise<DatasetRegistryEntry[]> {
+		if (!this.registry) {
+			this.registry = fetch(DATASET_REGISTRY_URL, { signal: AbortSignal.timeout(MANIFEST_TIMEOUT) })
+				.then((response) => {
+					if (!response.ok) {
+						throw new Error(`Failed to load dataset registry: ${response.statusText}`);
+					}
+					return response.json();
+				})
+				.then(parseRegistry)
+				.catch((err) => {
+					this.registry = null;
+					throw err;
+				});
+		}
+		return this.registry;
+	}
+
+	/**
+	 * Fetch the manifest of the registered dataset `id` (the default dataset
+	 * if omitted) and make it the current dataset. Loads already in progress
+	 * finish with the previous dataset's data.
+	 *
+	 * @throws If `id` isn't registered or the manifest can't be loaded.
+	 */
+	async loadDataset(id?: string): Promise<DatasetManifest> {
+		const registry = await this.loadRegistry();
+		const entry = id === undefined ? registry[0] : registry.find((e) => e.id === id);
+		if (!entry) throw new Error(`Unknown dataset "${id}"`);
+
+		const response = await fetch(entry.manifest, {
+			signal: AbortSignal.timeout(MANIFEST_TIMEOUT)
+		});
+		if (!response.ok) {
+			throw new Error(`Failed to load manifest of ${entry.name}: ${response.statusText}`);
+		}
+		const manifest = parseManifest(await response.json(), entry.manifest);
+
+		if (manifest.index !== this.dataset.index || manifest.baseUrl !== this.dataset.baseUrl) {
+			this.territoryIndex = null;
+		}
+		if (this.idleCallbackId !== null) {
+			cIC(this.idleCallbackId);
+			this.idleCallbackId = null;
+		}
+		this.dataset = manifest;
+		return manifest;
 	}
 
 	private getWorker(): Worker | null {
@@ -132,14 +335,16 @@ export class DataService {
 					type: 'module'
 				});
 				this.worker.onmessage = (e: MessageEvent<WorkerResponse>) => {
-					const { id, geojson, error } = e.data;
+					const { id, error, progress } = e.data;
 					const pending = this.pendingRequests.get(id);
-					if (pending) {
+					if (pending && progress) {
+						pending.progress(progress);
+					} else if (pending) {
 						this.pendingRequests.delete(id);
 						if (error) {
 							pending.reject(new Error(error));
-						} else if (geojson) {
-							pending.resolve(geojson);
+						} else {
+							pending.resolve(e.data);
 						}
 					}
 				};
@@ -148,7 +353,7 @@ export class DataService {
 					this.workerFailed = true;
 					// Reject all pending requests so they can be retried on main thread
 					for (const [id, pending] of this.pendingRequests) {
-						pending.reject(new Error('Worker failed'));
+						pending.reject(new WorkerFailure('Worker failed'));
 						this.pendingRequests.delete(id);
 					}
 					this.worker?.terminate();
@@ -163,107 +368,302 @@ export class DataService {
 		return this.worker;
 	}
 
-	/** Send a load request to the Web Worker. Rejects after 30s if the worker hangs. */
-	private fetchViaWorker(file: string): Promise<GeoJSON> {
+	/**
+	 * Send a request to the Web Worker. Rejects if the worker stays silent for
+	 * {@link WORKER_TIMEOUT}; progress responses count as a sign of life. When
+	 * `signal` fires, the worker is told to abort the request.
+	 */
+	private postToWorker(
+		request: WorkerRequest,
+		onprogress?: (progress: DownloadProgress) => void,
+		signal?: AbortSignal
+	): Promise<WorkerResponse> {
 		const worker = this.getWorker();
-		if (!worker) return Promise.reject(new Error('Worker not available'));
+		if (!worker) return Promise.reject(new WorkerFailure('Worker not available'));
 
-		const id = ++this.requestId;
-		return new Promise<GeoJSON>((resolve, reject) => {
-			// Timeout after 30s in case the worker hangs
-			const timeout = setTimeout(() => {
-				this.pendingRequests.delete(id);
-				reject(new Error(`Worker timeout loading ${file}`));
-			}, 30000);
-
-			this.pendingRequests.set(id, {
-				resolve: (data) => {
-					clearTimeout(timeout);
-					resolve(data);
+		return new Promise<WorkerResponse>((resolve, reject) => {
+			signal?.throwIfAborted();
+			let timeout: ReturnType<typeof setTimeout>;
+			const restartTimeout = () => {
+				clearTimeout(timeout);
+				timeout = setTimeout(() => {
+					finish();
+					reject(new WorkerFailure(`Worker timeout handling ${request.type} request`));
+				}, WORKER_TIMEOUT);
+			};
+			const abort = () => {
+				finish();
+				worker.postMessage({ id: request.id, type: 'abort' } satisfies WorkerRequest);
+				reject(signal?.reason);
+			};
+			const finish = () => {
+				clearTimeout(timeout);
+				this.pendingRequests.delete(request.id);
+				signal?.removeEventListener('abort', abort);
+			};
+
+			this.pendingRequests.set(request.id, {
+				resolve: (response) => {
+					finish();
+					resolve(response);
 				},
 				reject: (err) => {
-					clearTimeout(timeout);
+					finish();
 					reject(err);
+				},
+				progress: (progress) => {
+					restartTimeout();
+					onprogress?.(progress);
 				}
 			});
-			const msg: WorkerRequest = { id, file };
-			worker.postMessage(msg);
+			signal?.addEventListener('abort', abort, { once: true });
+			restartTimeout();
+			worker.postMessage(request);
 		});
 	}
 
+	private async fetchViaWorker(
+		url: string,
+		onprogress?: (progress: DownloadProgress) => void,
+		signal?: AbortSignal
+	): Promise<PackedCollection> {
+		const request: WorkerRequest = { id: ++this.requestId, type: 'load', url };
+		const response = await this.postToWorker(request, onprogress, signal);
+		if (!response.packed) throw new Error(`Worker returned no data for ${url}`);
+		return response.packed;
+	}
+
 	/** Fetch and convert TopoJSON on the main thread (fallback path). */
-	private async fetchOnMainThread(file: string): Promise<GeoJSON> {
-		const response = await fetch(`/data/${file}`);
-		if (!response.ok) {
-			throw new Error(`Failed to load ${file}: ${response.statusText}`);
-		}
-		const topoData: Topology = await response.json();
-		const objectKey = Object.keys(topoData.objects)[0];
-		return topojson.feature(topoData, topoData.objects[objectKey]) as unknown as GeoJSON;
+	private async fetchOnMainThread(
+		url: string,
+		onprogress?: (progress: DownloadProgress) => void,
+		signal?: AbortSignal
+	): Promise<FeatureCollection> {
+		return toFeatureCollection(await fetchJson(url, onprogress, signal));
 	}
 
-	/** Fetch data via worker, falling back to main thread on failure. */
-	private async fetchData(file: string): Promise<GeoJSON> {
+	/**
+	 * Fetch data via worker, falling back to main thread if the worker fails.
+	 * Errors the worker reports, such as a download that failed after its
+	 * retries, are passed on as they are: the main thread would only repeat
+	 * them.
+	 */
+	private async fetchData(
+		url: string,
+		onprogress?: (progress: DownloadProgress) => void,
+		signal?: AbortSignal
+	): Promise<PackedCollection> {
 		const worker = this.getWorker();
 		if (worker) {
 			try {
-				return await this.fetchViaWorker(file);
-			} catch {
-				// Worker failed for this request; try main thread
+				return await this.fetchViaWorker(url, onprogress, signal);
+			} catch (err) {
+				if (signal?.aborted || !(err instanceof WorkerFailure)) throw err;
 				console.warn('Worker request failed, retrying on main thread');
 			}
 		}
-		return this.fetchOnMainThread(file);
+		return pack(await this.fetchOnMainThread(url, onprogress, signal));
 	}
 
 	/**
-	 * Load the GeoJSON data for the period at `index`.
+	 * Parse a GeoJSON or TopoJSON file supplied by the user, in the worker
+	 * when available. A file that fails to parse is not retried on the main
+	 * thread, since it would fail the same way there.
+	 */
+	async parseFile(file: File): Promise<FeatureCollection> {
+		if (this.getWorker()) {
+			const response = await this.postToWorker({ id: ++this.requestId, type: 'parse', file });
+			if (!response.geojson) throw new Error(`Worker returned no data for ${file.name}`);
+			return response.geojson as FeatureCollection;
+		}
+		return parseGeoFile(await file.text());
+	}
+
+	/**
+	 * Add `period` to the current dataset's timeline, e.g. a user-supplied
+	 * file whose `file` is an object URL. Its data is loaded like any other
+	 * period's; pass `data` if it has already been parsed.
 	 *
-	 * If a load is already in progress, the new index is stored and will be
-	 * loaded once the current fetch completes (request coalescing). This means
-	 * rapidly dragging the slider results in at most one in-flight fetch at a
-	 * time, with only the latest requested period actually returned.
+	 * @returns The updated dataset.
+	 */
+	addPeriod(period: Period, data?: GeoJSON): DatasetManifest {
+		if (data) {
+			const url = dataFileUrl(this.dataset, period.file);
+			this.cacheFile(url, pack(data as FeatureCollection), data);
+		}
+		const periods = [...this.dataset.periods, period].sort((a, b) => a.year - b.year);
+		this.dataset = { ...this.dataset, periods };
+		return this.dataset;
+	}
+
+	/**
+	 * Remove the period whose `file` is `file` from the current dataset.
 	 *
-	 * @returns The GeoJSON data, or `null` if the request was superseded.
+	 * @returns The updated dataset.
 	 */
-	async loadPeriod(index: number): Promise<GeoJSON | null> {
-		this.pendingIndex = index;
+	removePeriod(file: string): DatasetManifest {
+		const periods = this.dataset.periods.filter((period) => period.file !== file);
+		this.dataset = { ...this.dataset, periods };
+		return this.dataset;
+	}
 
-		if (this.isLoading) return null;
+	/**
+	 * Load the GeoJSON data for the period at `index` through the cache,
+	 * without request coalescing: concurrent calls for different periods never
+	 * supersede each other. Use this when more than one period is shown at once.
+	 *
+	 * @param detail Load the full-resolution data rather than the coarse variant.
+	 */
+	getPeriod(index: number, detail = false): Promise<GeoJSON> {
+		return this.getFile(this.loadUrl(index, detail));
+	}
 
-		this.isLoading = true;
+	/**
+	 * Load `url` through the cache, sharing a fetch already in progress. If
+	 * `signal` fires, this call rejects with an `AbortError` at once, and the
+	 * fetch is aborted unless other callers are still waiting for it; callers
+	 * without a signal always keep it going.
+	 */
+	private getFile(
+		url: string,
+		onprogress?: (progress: DownloadProgress) => void,
+		signal?: AbortSignal
+	): Promise<GeoJSON> {
+		const cached = this.cachedFile(url);
+		if (cached) return Promise.resolve(cached);
+		if (signal?.aborted) return Promise.reject(signal.reason);
 
-		try {
-			while (this.pendingIndex !== null) {
-				const targetIndex = this.pendingIndex;
-				this.pendingIndex = null;
-
-				const period = PERIODS[targetIndex];
-				const cacheKey = period.file;
-				let geojsonData: GeoJSON;
-
-				if (this.cache.has(cacheKey)) {
-					geojsonData = this.cache.get(cacheKey)!;
-				} else {
-					geojsonData = await this.fetchData(period.file);
-					this.cache.set(cacheKey, geojsonData);
-				}
+		const download = this.inflight.get(url) ?? this.startDownload(url);
+		download.waiting++;
+		if (onprogress) download.listeners.add(onprogress);
+		const geojson = (packed: PackedCollection) => this.unpackFile(url, packed);
+		if (!signal) return download.promise.then(geojson);
 
-				// Only return if no newer request arrived during fetch
-				if (this.pendingIndex === null) {
-					this.schedulePreload(targetIndex);
-					return geojsonData;
+		return new Promise<GeoJSON>((resolve, reject) => {
+			const abort = () => {
+				if (onprogress) download.listeners.delete(onprogress);
+				if (--download.waiting === 0) {
+					download.controller.abort();
+					if (this.inflight.get(url) === download) this.inflight.delete(url);
 				}
-			}
+				reject(signal.reason);
+			};
+			signal.addEventListener('abort', abort, { once: true });
+			download.promise
+				.then(geojson)
+				.then(resolve, reject)
+				.finally(() => signal.removeEventListener('abort', abort));
+		});
+	}
+
+	private startDownload(url: string): Download {
+		const controller = new AbortController();
+		const listeners = new Set<(progress: DownloadProgress) => void>();
+		const promise = this.fetchData(
+			url,
+			(progress) => listeners.forEach((listener) => listener(progress)),
+			controller.signal
+		)
+			.then((data) => {
+				this.cacheFile(url, data);
+				return data;
+			})
+			.finally(() => {
+				if (this.inflight.get(url) === download) this.inflight.delete(url);
+			});
+		// Callers handle failures; an aborted download may have none left
+		promise.catch(() => {});
+		const download: Download = { promise, controller, waiting: 0, listeners };
+		this.inflight.set(url, download);
+		return download;
+	}
+
+	/**
+	 * Download `url` into the cache without unpacking it, unless it is cached
+	 * or already downloading. Nothing waits for it, so it is never aborted.
+	 */
+	private prefetch(url: string): void {
+		if (this.cache.has(url) || this.inflight.has(url)) return;
+		this.startDownload(url).waiting++;
+	}
+
+	private cacheFile(url: string, packed: PackedCollection, geojson?: GeoJSON): void {
+		const bytes = packed.bytes + (geojson ? unpackedBytes(packed) : 0);
+		this.cache.set(url, { packed, geojson, bytes });
+	}
+
+	/** The GeoJSON data of `url` if it is cached, unpacking it if needed. */
+	private cachedFile(url: string): GeoJSON | undefined {
+		const cached = this.cache.get(url);
+		return cached && (cached.geojson ?? this.unpackFile(url, cached.packed));
+	}
+
+	/**
+	 * Unpack `packed`, the data of `url`, unless an earlier call already has.
+	 * The unpacked form is cached with it, which may evict other files.
+	 */
+	private unpackFile(url: string, packed: PackedCollection): GeoJSON {
+		const cached = this.cache.get(url)?.geojson;
+		if (cached) return cached;
+		const geojson = unpack(packed);
+		this.cacheFile(url, packed, geojson);
+		return geojson;
+	}
+
+	/**
+	 * Load the full-resolution data of the period at `index`, which has the
+	 * same features in the same order as its coarse variant.
+	 *
+	 * @returns The data, or `null` if the period has a single level of detail.
+	 */
+	async loadDetail(index: number): Promise<GeoJSON | null> {
+		const url = this.detailUrl(index);
+		return url === null ? null : this.getFile(url);
+	}
+
+	/** The full-resolution data of the period at `index` if it is cached. */
+	getCachedDetail(index: number): GeoJSON | undefined {
+		const url = this.dataset.periods[index] ? this.detailUrl(index) : null;
+		return url === null ? undefined : this.cachedFile(url);
+	}
+
+	/**
+	 * Load the GeoJSON data for the period at `index`.
+	 *
+	 * A call supersedes the one before it, whose download is aborted (unless
+	 * a preload or another view still needs the file). Rapidly dragging the
+	 * slider therefore only ever downloads the latest requested period.
+	 *
+	 * @param onprogress Called as the file downloads; not called if it is cached.
+	 * @param detail Load the full-resolution data rather than the coarse
+	 *   variant, and preload the adjacent periods' too.
+	 * @returns The GeoJSON data, or `null` if the request was superseded.
+	 */
+	async loadPeriod(
+		index: number,
+		onprogress?: (progress: DownloadProgress) => void,
+		detail = false
+	): Promise<GeoJSON | null> {
+		this.loadController?.abort();
+		const controller = new AbortController();
+		this.loadController = controller;
+
+		try {
+			const url = this.loadUrl(index, detail);
+			const geojsonData = await this.getFile(url, onprogress, controller.signal);
+			if (controller.signal.aborted) return null;
+			this.schedulePreload(index, detail);
+			return geojsonData;
+		} catch (err) {
+			if (controller.signal.aborted) return null;
+			throw err;
 		} finally {
-			this.isLoading = false;
+			if (this.loadController === controller) this.loadController = null;
 		}
-
-		return null;
 	}
 
 	/** Preload the periods immediately before and after `currentIndex` during idle time. */
-	private schedulePreload(currentIndex: number): void {
+	private schedulePreload(currentIndex: number, detail: boolean): void {
 		if (this.idleCallbackId !== null) {
 			cIC(this.idleCallbackId);
 		}
@@ -272,51 +672,218 @@ export class DataService {
 			this.idleCallbackId = null;
 			const adjacent = [currentIndex - 1, currentIndex + 1];
 			for (const idx of adjacent) {
-				if (idx >= 0 && idx < PERIODS.length) {
-					const file = PERIODS[idx].file;
-					if (!this.cache.has(file)) {
-						this.fetchData(file)
-							.then((data) => this.cache.set(file, data))
-							.catch(() => {
-								/* preload failure is silent */
-							});
-					}
+				if (idx >= 0 && idx < this.periods.length) {
+					this.prefetch(this.loadUrl(idx, detail));
 				}
 			}
 		});
 	}
 
 	/**
-	 * Eagerly preload the period two steps ahead in the given direction.
+	 * Eagerly preload periods starting two steps ahead in the given direction.
 	 * Called when the user navigates so the next-next period is likely cached
-	 * by the time they reach it.
+	 * by the time they reach it (the adjacent one is covered by the idle
+	 * preload). Timeline playback passes a larger `count` to stay further ahead.
 	 *
 	 * @param direction 1 for forward, -1 for backward.
+	 * @param count Number of periods to preload, from two steps ahead onwards.
+	 * @param detail Preload the full-resolution data rather than the coarse variant.
+	 */
+	preloadDirection(currentIndex: number, direction: number, count = 1, detail = false): void {
+		for (let step = 2; step < 2 + count; step++) {
+			const targetIdx = currentIndex + direction * step;
+			if (targetIdx < 0 || targetIdx >= this.periods.length) break;
+			this.prefetch(this.loadUrl(targetIdx, detail));
+		}
+	}
+
+	/**
+	 * Classify the entities of the period at `index` as new, dissolved, grown,
+	 * shrunk or unchanged relative to the previous period. Computed in the
+	 * worker when available, otherwise on the main thread from cached data.
+	 *
+	 * @throws If `index` is the first period, which has nothing to compare with.
 	 */
-	preloadDirection(currentIndex: number, direction: number): void {
-		const targetIdx = currentIndex + direction * 2;
-		if (targetIdx >= 0 && targetIdx < PERIODS.length) {
-			const file = PERIODS[targetIdx].file;
-			if (!this.cache.has(file)) {
-				this.fetchData(file)
-					.then((data) => this.cache.set(file, data))
-					.catch(() => {
-						/* preload failure is silent */
-					});
+	async getChanges(index: number): Promise<PeriodChanges> {
+		if (index <= 0 || index >= this.periods.length) {
+			throw new Error(`No previous period to compare period ${index} with`);
+		}
+		const previous = this.periodUrl(index - 1);
+		const current = this.periodUrl(index);
+		const key = `${previous}|${current}`;
+		const cached = this.changesCache.get(key);
+		if (cached) return cached;
+
+		let changes: PeriodChanges | undefined;
+		if (this.getWorker()) {
+			try {
+				const response = await this.postToWorker({
+					id: ++this.requestId,
+					type: 'changes',
+					previous,
+					current
+				});
+				changes = response.changes;
+			} catch (err) {
+				if (!(err instanceof WorkerFailure)) throw err;
+				console.warn('Worker change detection failed, retrying on main thread');
+			}
+		}
+		if (!changes) {
+			const [before, after] = await Promise.all([this.getPeriod(index - 1), this.getPeriod(index)]);
+			changes = detectChanges(before as FeatureCollection, after as FeatureCollection);
+		}
+
+		this.changesCache.set(key, changes);
+		return changes;
+	}
+
+	/**
+	 * Label points of the named territories of the period at `index`. Computed
+	 * in the worker when available, otherwise on the main thread from cached
+	 * data. Placed on the full-resolution data if it is cached.
+	 */
+	async getLabels(index: number): Promise<TerritoryLabels> {
+		const url = this.loadUrl(index);
+		const cached = this.labelsCache.get(url);
+		if (cached) return cached;
+
+		let labels: TerritoryLabels | undefined;
+		if (this.getWorker()) {
+			try {
+				const response = await this.postToWorker({ id: ++this.requestId, type: 'labels', url });
+				labels = response.labels;
+			} catch (err) {
+				if (!(err instanceof WorkerFailure)) throw err;
+				console.warn('Worker label placement failed, retrying on main thread');
+			}
+		}
+		if (!labels) {
+			labels = territoryLabels((await this.getPeriod(index)) as FeatureCollection);
+		}
+
+		this.labelsCache.set(url, labels);
+		return labels;
+	}
+
+	/**
+	 * List the territories covering `point` ([longitude, latitude]) in every
+	 * period of the current dataset, in order, using the full-resolution files.
+	 * Runs in the worker when available; files are read one at a time and not
+	 * cached, so a query doesn't push the periods being viewed out of the cache.
+	 *
+	 * @param onrow Called with each period's row as soon as it is known.
+	 * @returns The rows, or `null` if another query was started meanwhile.
+	 * @throws On the first file that couldn't be read.
+	 */
+	async locate(point: Position, onrow?: (row: PlaceRow) => void): Promise<PlaceRow[] | null> {
+		const generation = ++this.locateGeneration;
+		const dataset = this.dataset;
+		const place = normalizePoint(point);
+		const rows: PlaceRow[] = [];
+		for (let index = 0; index < dataset.periods.length; index++) {
+			const url = dataFileUrl(dataset, dataset.periods[index].file);
+			const territories = await this.locateIn(url, place);
+			if (generation !== this.locateGeneration) return null;
+			const row = { index, territories };
+			rows.push(row);
+			onrow?.(row);
+		}
+		return rows;
+	}
+
+	private async locateIn(url: string, point: Position): Promise<Array<string | null>> {
+		if (this.getWorker()) {
+			try {
+				const response = await this.postToWorker({
+					id: ++this.requestId,
+					type: 'locate',
+					url,
+					point
+				});
+				if (response.territories) return response.territories;
+			} catch (err) {
+				if (!(err instanceof WorkerFailure)) throw err;
+				console.warn('Worker point query failed, retrying on main thread');
 			}
 		}
+		const cached = this.cache.get(url);
+		const collection =
+			((cached?.geojson ?? (cached && unpack(cached.packed))) as FeatureCollection) ??
+			(await this.fetchOnMainThread(url));
+		return territoriesAt(collection, boxIndex(collection), point);
+	}
+
+	/**
+	 * Load the current dataset's territory index (named territories and their
+	 * areas for every period). Fetched once per dataset and shared by all
+	 * callers; a failed fetch is retried on the next call.
+	 *
+	 * @throws If the dataset has no territory index.
+	 */
+	loadTerritoryIndex(): Promise<TerritoryIndex> {
+		if (!this.dataset.index) {
+			return Promise.reject(new Error(`${this.dataset.name} has no territory index`));
+		}
+		if (!this.territoryIndex) {
+			this.territoryIndex = fetch(dataFileUrl(this.dataset, this.dataset.index))
+				.then((response) => {
+					if (!response.ok) {
+						throw new Error(`Failed to load territory index: ${response.statusText}`);
+					}
+					return response.json() as Promise<TerritoryIndex>;
+				})
+				.catch((err) => {
+					this.territoryIndex = null;
+					throw err;
+				});
+		}
+		return this.territoryIndex;
+	}
+
+	/**
+	 * Load the current dataset's translations of territory NAMEs into
+	 * `locale`, or `null` if it has none. Each table is fetched once and
+	 * shared by all callers; a failed fetch is retried on the next call.
+	 */
+	async loadNames(locale: string): Promise<Record<string, string> | null> {
+		const file = this.dataset.names?.[locale];
+		if (!file) return null;
+		const url = dataFileUrl(this.dataset, file);
+		let names = this.names.get(url);
+		if (!names) {
+			names = fetch(url)
+				.then((response) => {
+					if (!response.ok) {
+						throw new Error(`Failed to load territory names: ${response.statusText}`);
+					}
+					return response.json();
+				})
+				.then(parseNameTable)
+				.catch((err) => {
+					this.names.delete(url);
+					throw err;
+				});
+			this.names.set(url, names);
+		}
+		return names;
 	}
 
-	/** Terminate the worker, cancel pending preloads, and clear the cache. */
+	/** Terminate the worker, cancel pending preloads and downloads, and clear the cache. */
 	destroy(): void {
 		if (this.idleCallbackId !== null) {
 			cIC(this.idleCallbackId);
 		}
+		this.loadController?.abort();
+		for (const download of this.inflight.values()) download.controller.abort();
 		if (this.worker) {
 			this.worker.terminate();
 			this.worker = null;
 		}
 		this.cache.clear();
+		this.changesCache.clear();
+		this.labelsCache.clear();
+		this.inflight.clear();
 		for (const [, pending] of this.pendingRequests) {
 			pending.reject(new Error('DataService destroyed'));
 		}
@@ -0,0 +1,295 @@
+/**
+ * Dataset manifests and the dataset registry.
+ *
+ * A dataset is a series of period files together with what is needed to show
+ * them, described by a manifest:
+ *
+ * ```json
+ * {
+ *   "id": "historical-basemaps",
+ *   "name": "Historical Basemaps",
+ *   "attribution": { "text": "Historical Basemaps", "url": "https://…" },
+ *   "baseUrl": "/data/",
+ *   "index": "territory-index.json",
+ *   "properties": [{ "key": "SUBJECTO", "label": "Subject of" }],
+ *   "detail": { "coarseSuffix": ".coarse.topojson", "fineZoom": 4 },
+ *   "names": { "fr": "names/fr.json" },
+ *   "periods": [{ "year": -123000, "label": "123000 BC", "file": "world_bc123000.topojson" }]
+ * }
+ * ```
+ *
+ * Period files and the territory index are resolved against `baseUrl`, which
+ * may itself be relative to the manifest. With `detail`, every period file
+ * has a simplified variant (e.g. `world_bc123000.coarse.topojson`) that is
+ * loaded first; the full file is only loaded once the map is zoomed in.
+ * `names` lists, by locale, tables translating territory NAMEs
+ * (`{ "Holy Roman Empire": "Saint-Empire romain germanique" }`), also
+ * resolved against `baseUrl`. The registry (`/datasets.json`)
+ * lists the manifests the dataset picker offers; its first entry is the
+ * default dataset.
+ *
+ * @module datasets
+ */
+
+import { PERIODS, type Period } from './periodsConfig.js';
+
+/** How a feature property is labelled in the InfoPanel. */
+export const PROPERTY_TYPES = ['string', 'number', 'url', 'entity', 'precision'] as const;
+
+export type PropertyType = (typeof PROPERTY_TYPES)[number];
+
+export interface PropertySchema {
+	/** Property key in the period files (e.g. "SUBJECTO"). */
+	key: string;
+	/** Label shown instead of the key. */
+	label: string;
+	/**
+	 * How the info panel shows the value: `url` as links, `entity` as the
+	 * name of another territory it can select, `precision` as the label of a
+	 * BORDERPRECISION value. Defaults to `string`.
+	 */
+	type?: PropertyType;
+}
+
+export interface DatasetAttribution {
+	/** Credit shown in the timeline and stamped on exports. */
+	text: string;
+	url?: string;
+}
+
+export interface DatasetManifest {
+	/** Stable identifier, used in the `dataset` URL parameter. */
+	id: string;
+	name: string;
+	attribution: DatasetAttribution;
+	/** URL prefix of the dataset's files, ending in "/". */
+	baseUrl: string;
+	/** Territory index file written by `convert-topojson`; search and tracking need it. */
+	index?: string;
+	/** Labels of known feature properties, in display order. */
+	properties: PropertySchema[];
+	/** Coarse variants of the period files; without it, periods have a single level. */
+	detail?: DetailLevels;
+	/** Files translating territory NAMEs, by locale (e.g. "fr"). */
+	names?: Record<string, string>;
+	/** Periods sorted chronologically. */
+	periods: Period[];
+}
+
+/** Levels of detail of the period files, written by `convert-topojson`. */
+export interface DetailLevels {
+	/** Replaces the extension of a period file to name its coarse variant. */
+	coarseSuffix: string;
+	/** Zoom from which the full-resolution files are shown. */
+	fineZoom: number;
+}
+
+/** One dataset offered by the picker. */
+export interface DatasetRegistryEntry {
+	id: string;
+	name: string;
+	/** URL of the dataset's manifest. */
+	manifest: string;
+}
+
+/** URL of the dataset registry. */
+export const DATASET_REGISTRY_URL = '/datasets.json';
+
+/**
+ * The Historical Basemaps dataset shipped in `static/data/`. Shown until the
+ * registry has loaded, and kept if it can't be.
+ */
+export const DEFAULT_DATASET: DatasetManifest = {
+	id: 'historical-basemaps',
+	name: 'Historical Basemaps',
+	attribution: {
+		text: 'Historical Basemaps',
+		url: 'https://github.com/aourednik/historical-basemaps'
+	},
+	baseUrl: '/data/',
+	index: 'territory-index.json',
+	properties: [
+		{ key: 'ABBREVN', label: 'Abbreviation' },
+		{ key: 'SUBJECTO', label: 'Subject of', type: 'entity' },
+		{ key: 'PARTOF', label: 'Part of', type: 'entity' },
+		{ key: 'BORDERPRECISION', label: 'Border precision', type: 'precision' },
+		{ key: 'wikipedia', label: 'Wikipedia', type: 'url' },
+		{ key: 'weblnks', label: 'Links', type: 'url' },
+		{ key: 'weblinks', label: 'Links', type: 'url' },
+		{ key: 'INFO_UR', label: 'More information', type: 'url' }
+	],
+	detail: { coarseSuffix: '.coarse.topojson', fineZoom: 3 },
+	names: { fr: 'names/fr.json', es: 'names/es.json', de: 'names/de.json' },
+	periods: PERIODS
+};
+
+/** A URL with a scheme, such as an object URL of a user file. */
+const ABSOLUTE_URL = /^[a-z][a-z\d+.-]*:/i;
+
+/** URL of `file` in `dataset`. Absolute URLs (e.g. object URLs of user files) are kept. */
+export function dataFileUrl(dataset: DatasetManifest, file: string): string {
+	return ABSOLUTE_URL.test(file) ? file : `${dataset.baseUrl}${file}`;
+}
+
+/**
+ * Name of the coarse variant of `file`, or `null` if `dataset` has a single
+ * level of detail. Files given as absolute URLs (user files) have no variant.
+ */
+export function coarseFile(dataset: DatasetManifest, file: string): string | null {
+	if (!dataset.detail || ABSOLUTE_URL.test(file)) return null;
+	const dot = file.lastIndexOf('.');
+	return (dot > file.lastIndexOf('/') ? file.slice(0, dot) : file) + dataset.detail.coarseSuffix;
+}
+
+/**
+ * Whether `a` and `b` describe the same files, so that data loaded for one
+ * can be shown for the other. Names and attribution may differ.
+ */
+export function sameFiles(a: DatasetManifest, b: DatasetManifest): boolean {
+	return (
+		a.baseUrl === b.baseUrl &&
+		a.index === b.index &&
+		a.detail?.coarseSuffix === b.detail?.coarseSuffix &&
+		a.detail?.fineZoom === b.detail?.fineZoom &&
+		JSON.stringify(a.names ?? {}) === JSON.stringify(b.names ?? {}) &&
+		a.periods.length === b.periods.length &&
+		a.periods.every((p, i) => p.year === b.periods[i].year && p.file === b.periods[i].file)
+	);
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+	return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function requireString(value: unknown, what: string): string {
+	if (typeof value !== 'string' || value.trim() === '') {
+		throw new Error(`Invalid dataset manifest: ${what} must be a non-empty string`);
+	}
+	return value;
+}
+
+/** Make `baseUrl` end in "/" and resolve it against the manifest's directory if relative. */
+function resolveBaseUrl(baseUrl: string, manifestUrl: string): string {
+	let url = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+	if (!/^([a-z][a-z\d+.-]*:|\/)/i.test(url)) {
+		const directory = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+		url = directory + url.replace(/^\.\//, '');
+	}
+	return url;
+}
+
+function parsePeriod(value: unknown, i: number): Period {
+	if (!isRecord(value) || typeof value.year !== 'number' || !Number.isFinite(value.year)) {
+		throw new Error(`Invalid dataset manifest: period ${i} needs a numeric year`);
+	}
+	return {
+		year: value.year,
+		label: requireString(value.label, `label of period ${i}`),
+		file: requireString(value.file, `file of period ${i}`)
+	};
+}
+
+function parseDetail(value: unknown): DetailLevels {
+	if (!isRecord(value) || typeof value.fineZoom !== 'number' || !Number.isFinite(value.fineZoom)) {
+		throw new Error('Invalid dataset manifest: detail needs a numeric fineZoom');
+	}
+	return {
+		coarseSuffix: requireString(value.coarseSuffix, 'detail.coarseSuffix'),
+		fineZoom: value.fineZoom
+	};
+}
+
+function parseNames(value: unknown): Record<string, string> {
+	if (!isRecord(value)) throw new Error('Invalid dataset manifest: names must be an object');
+	return Object.fromEntries(
+		Object.entries(value).map(([locale, file]) => [locale, requireString(file, `names.${locale}`)])
+	);
+}
+
+function parseProperty(value: unknown, i: number): PropertySchema {
+	if (!isRecord(value))
+		throw new Error(`Invalid dataset manifest: property ${i} must be an object`);
+	const property: PropertySchema = {
+		key: requireString(value.key, `key of property ${i}`),
+		label: requireString(value.label, `label of property ${i}`)
+	};
+	const type = PROPERTY_TYPES.find((t) => t === value.type);
+	if (type) property.type = type;
+	return property;
+}
+
+/**
+ * Validate a manifest fetched from `manifestUrl`. Periods are sorted by year.
+ *
+ * @throws If a required field is missing or malformed.
+ */
+export function parseManifest(raw: unknown, manifestUrl: string): DatasetManifest {
+	if (!isRecord(raw)) throw new Error('Invalid dataset manifest: expected an object');
+	if (!Array.isArray(raw.periods) || raw.periods.length === 0) {
+		throw new Error('Invalid dataset manifest: periods must be a non-empty array');
+	}
+	if (raw.properties !== undefined && !Array.isArray(raw.properties)) {
+		throw new Error('Invalid dataset manifest: properties must be an array');
+	}
+
+	const name = requireString(raw.name, 'name');
+	const attribution = isRecord(raw.attribution) ? raw.attribution : {};
+	const manifest: DatasetManifest = {
+		id: requireString(raw.id, 'id'),
+		name,
+		attribution: {
+			text: typeof attribution.text === 'string' ? attribution.text : name,
+			...(typeof attribution.url === 'string' && { url: attribution.url })
+		},
+		baseUrl: resolveBaseUrl(requireString(raw.baseUrl, 'baseUrl'), manifestUrl),
+		properties: (raw.properties ?? []).map(parseProperty),
+		periods: raw.periods.map(parsePeriod).sort((a, b) => a.year - b.year)
+	};
+	if (raw.index !== undefined) manifest.index = requireString(raw.index, 'index');
+	if (raw.detail !== undefined) manifest.detail = parseDetail(raw.detail);
+	if (raw.names !== undefined) manifest.names = parseNames(raw.names);
+	return manifest;
+}
+
+/**
+ * Validate a table translating territory NAMEs. Entries that aren't
+ * strings are dropped.
+ *
+ * @throws If `raw` isn't an object.
+ */
+export function parseNameTable(raw: unknown): Record<string, string> {
+	if (!isRecord(raw)) throw new Error('Invalid name table: expected an object');
+	return Object.fromEntries(
+		Object.entries(raw).filter((entry): entry is [string, string] => typeof entry[1] === 'string')
+	);
+}
+
+/**
+ * Validate the dataset registry.
+ *
+ * @throws If it lists no datasets, an entry is malformed, or IDs repeat.
+ */
+export function parseRegistry(raw: unknown): DatasetRegistryEntry[] {
+	const datasets = isRecord(raw) ? raw.datasets : undefined;
+	if (!Array.isArray(datasets) || datasets.length === 0) {
+		throw new Error('Invalid dataset registry: datasets must be a non-empty array');
+	}
+
+	const ids = new Set<string>();
+	return datasets.map((value: unknown, i) => {
+		const entry = isRecord(value) ? value : {};
+		const id = entry.id;
+		if (typeof id !== 'string' || id === '' || ids.has(id)) {
+			throw new Error(`Invalid dataset registry: entry ${i} needs a unique id`);
+		}
+		ids.add(id);
+		if (typeof entry.manifest !== 'string' || entry.manifest === '') {
+			throw new Error(`Invalid dataset registry: entry ${i} needs a manifest URL`);
+		}
+		return {
+			id,
+			name: typeof entry.name === 'string' ? entry.name : id,
+			manifest: entry.manifest
+		};
+	});
+}
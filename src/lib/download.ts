@@ -0,0 +1,116 @@
+/**
+ * Downloading data files: progress as the bytes arrive, cancellation with an
+ * `AbortSignal`, and retries of failures that may go away on their own (a
+ * dropped connection, an overloaded server). Used by the worker and by the
+ * DataService's main-thread fallback alike.
+ *
+ * @module download
+ */
+
+export interface DownloadProgress {
+	/** Bytes received so far. */
+	loaded: number;
+	/** Size of the file, or `null` if the server didn't say. */
+	total: number | null;
+}
+
+/** Waits in ms before each retry of a transient failure. */
+export const RETRY_DELAYS = [500, 1500, 4000];
+
+/** A response with an error status. */
+export class HttpError extends Error {
+	constructor(
+		readonly status: number,
+		message: string
+	) {
+		super(message);
+		this.name = 'HttpError';
+	}
+}
+
+/**
+ * Whether `err` is worth retrying: a request that never completed, a server
+ * error, a timeout or rate limiting.
+ */
+export function isTransient(err: unknown): boolean {
+	if (!(err instanceof HttpError)) {
+		// fetch rejects with a TypeError when the network fails
+		return err instanceof TypeError;
+	}
+	return err.status >= 500 || err.status === 408 || err.status === 429;
+}
+
+function wait(ms: number, signal?: AbortSignal): Promise<void> {
+	return new Promise((resolve, reject) => {
+		signal?.throwIfAborted();
+		const abort = () => {
+			clearTimeout(timer);
+			reject(signal?.reason);
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener('abort', abort);
+			resolve();
+		}, ms);
+		signal?.addEventListener('abort', abort, { once: true });
+	});
+}
+
+/** The body of `response` as text, read chunk by chunk to report progress. */
+async function readBody(
+	response: Response,
+	onprogress: (progress: DownloadProgress) => void
+): Promise<string> {
+	const length = Number(response.headers.get('Content-Length'));
+	const total = Number.isFinite(length) && length > 0 ? length : null;
+	if (!response.body) return response.text();
+
+	const reader = response.body.getReader();
+	const chunks: Uint8Array[] = [];
+	let loaded = 0;
+	onprogress({ loaded, total });
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		chunks.push(value);
+		loaded += value.byteLength;
+		// The length of a compressed response is its compressed size, which the
+		// decompressed bytes overtake
+		onprogress({ loaded, total: total !== null && loaded <= total ? total : null });
+	}
+
+	const bytes = new Uint8Array(loaded);
+	let offset = 0;
+	for (const chunk of chunks) {
+		bytes.set(chunk, offset);
+		offset += chunk.byteLength;
+	}
+	return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Fetch `url` and parse it as JSON. Transient failures are retried after
+ * each of `delays` in turn.
+ *
+ * @throws {HttpError} If the server answers with an error status, or the last
+ *   error once retries run out; an `AbortError` if `signal` fires.
+ */
+export async function fetchJson(
+	url: string,
+	onprogress?: (progress: DownloadProgress) => void,
+	signal?: AbortSignal,
+	delays: number[] = RETRY_DELAYS
+): Promise<unknown> {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			const response = await fetch(url, { signal });
+			if (!response.ok) {
+				throw new HttpError(response.status, `Failed to load ${url}: ${response.statusText}`);
+			}
+			return JSON.parse(onprogress ? await readBody(response, onprogress) : await response.text());
+		} catch (err) {
+			if (signal?.aborted || attempt >= delays.length || !isTransient(err)) throw err;
+			console.warn(`Retrying ${url}:`, err);
+			await wait(delays[attempt], signal);
+		}
+	}
+}
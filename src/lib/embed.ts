@@ -0,0 +1,172 @@
+/**
+ * The embeddable map at `/embed`: its options and its postMessage API.
+ *
+ * The page is meant to be shown in an iframe. It reads the deep-link
+ * parameters of the full app (`year`, `lat`/`lng`/`zoom`, `territory`,
+ * `dataset`, see `urlState.ts`) and these options:
+ *
+ * | Parameter | Example | Effect |
+ * |-----------|---------|--------|
+ * | `from`, `to` | `from=1492&to=1815` | Limit the timeline to the periods between two years |
+ * | `chrome` | `chrome=0` | Hide the timeline, the map controls and the info panel |
+ * | `theme` | `theme=light` | `light` or `dark`; the viewer's preference otherwise |
+ * | `lang` | `lang=fr` | UI language, see `i18n.ts`; the viewer's otherwise |
+ * | `era` | `era=common` | Label years BCE/CE (`common`) or BC/AD (`traditional`, the default) |
+ * | `basemap` | `basemap=terrain` | Basemap, see `basemaps.ts`; `custom` takes its template from `tiles` |
+ * | `attribution` | `attribution=© Example` | Credit shown for the `custom` basemap's tiles |
+ * | `projection` | `projection=globe` | `globe` or `mercator` (the default) |
+ *
+ * The embedding page controls the map by posting {@link EmbedCommand}s to
+ * the iframe's window, and receives {@link EmbedEvent}s from it, all tagged
+ * with `source: 'historical-world-map'`:
+ *
+ * ```js
+ * frame.contentWindow.postMessage({ type: 'setPeriod', year: 1492 }, '*');
+ * window.addEventListener('message', (e) => {
+ *   if (e.data?.source === 'historical-world-map' && e.data.type === 'periodchange') …
+ * });
+ * ```
+ *
+ * `static/embed.js` wraps both in a `<historical-map>` custom element.
+ *
+ * @module embed
+ */
+
+import { findNearestPeriodIndex, type Period } from './periodsConfig.js';
+import { parseUrlState, parseYear, type MapView, type UrlState } from './urlState.js';
+import { isEraStyle, isLocale, type EraStyle, type Locale } from './i18n.js';
+import {
+	isBasemapId,
+	isMapProjection,
+	parseTileTemplate,
+	type BasemapId,
+	type MapProjection
+} from './basemaps.js';
+
+/** `source` of every message the embedded map posts. */
+export const EMBED_SOURCE = 'historical-world-map';
+
+export interface EmbedOptions extends UrlState {
+	/** Years the timeline is limited to; either end may be open. */
+	range: { from?: number; to?: number };
+	/** Whether the timeline, map controls and info panel are shown. */
+	chrome: boolean;
+	/** Theme to use instead of the viewer's preference. */
+	theme?: 'light' | 'dark';
+	/** UI language to use instead of the viewer's. */
+	lang?: Locale;
+	era?: EraStyle;
+	basemap?: BasemapId;
+	/** Tile URL template of the `custom` basemap. */
+	tiles?: string;
+	/** Plain-text credit for the `tiles`. */
+	tileAttribution?: string;
+	projection?: MapProjection;
+}
+
+/** A message from the embedding page. */
+export type EmbedCommand =
+	| { type: 'setPeriod'; year: number }
+	| { type: 'selectTerritory'; name: string }
+	| { type: 'flyTo'; view: MapView };
+
+/** A message to the embedding page. */
+export type EmbedEvent = { source: typeof EMBED_SOURCE } & (
+	| {
+			/** Posted once the first period is shown. */
+			type: 'ready';
+			/** Periods the timeline offers. */
+			periods: Array<{ year: number; label: string }>;
+	  }
+	| { type: 'periodchange'; year: number; label: string }
+	| {
+			/** Posted when a territory is selected, by a click or `selectTerritory`. */
+			type: 'territoryclick';
+			name: string | null;
+			properties: Record<string, unknown>;
+	  }
+);
+
+/** Read the embed options from the iframe's query parameters. Invalid values are ignored. */
+export function parseEmbedOptions(params: URLSearchParams): EmbedOptions {
+	const options: EmbedOptions = { ...parseUrlState(params), range: {}, chrome: true };
+	const from = parseYear(params.get('from'));
+	const to = parseYear(params.get('to'));
+	if (from !== undefined) options.range.from = from;
+	if (to !== undefined) options.range.to = to;
+	if (from !== undefined && to !== undefined && from > to) options.range = { from: to, to: from };
+
+	const chrome = params.get('chrome');
+	if (chrome === '0' || chrome === 'false' || chrome === 'none') options.chrome = false;
+	const theme = params.get('theme');
+	if (theme === 'light' || theme === 'dark') options.theme = theme;
+	const lang = params.get('lang');
+	if (isLocale(lang)) options.lang = lang;
+	const era = params.get('era');
+	if (isEraStyle(era)) options.era = era;
+	const basemap = params.get('basemap');
+	const tiles = parseTileTemplate(params.get('tiles'));
+	if (isBasemapId(basemap) && (basemap !== 'custom' || tiles)) options.basemap = basemap;
+	if (basemap === 'custom' && tiles) options.tiles = tiles;
+	const attribution = params.get('attribution')?.trim();
+	if (options.tiles && attribution) options.tileAttribution = attribution;
+	const projection = params.get('projection');
+	if (isMapProjection(projection)) options.projection = projection;
+	return options;
+}
+
+/**
+ * Indices of the first and last period within `range`. A range no period
+ * falls in keeps the period nearest to it, so the timeline is never empty.
+ */
+export function periodRange(
+	periods: Period[],
+	range: EmbedOptions['range']
+): { first: number; last: number } {
+	const from = range.from ?? -Infinity;
+	const to = range.to ?? Infinity;
+	const first = periods.findIndex((period) => period.year >= from);
+	const last = periods.findLastIndex((period) => period.year <= to);
+	if (first >= 0 && last >= first) return { first, last };
+
+	const nearest = Math.max(0, findNearestPeriodIndex(range.from ?? to, periods));
+	return { first: nearest, last: nearest };
+}
+
+function isFiniteNumber(value: unknown): value is number {
+	return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Validate a message posted to the embedded map.
+ *
+ * @returns The command, or `null` if `data` isn't one (other scripts post
+ *   messages too).
+ */
+export function parseEmbedCommand(data: unknown): EmbedCommand | null {
+	if (typeof data !== 'object' || data === null) return null;
+	const message = data as Record<string, unknown>;
+	if (message.type === 'setPeriod') {
+		const year = typeof message.year === 'string' ? parseYear(message.year) : message.year;
+		return isFiniteNumber(year) ? { type: 'setPeriod', year } : null;
+	}
+	if (message.type === 'selectTerritory') {
+		return typeof message.name === 'string' && message.name !== ''
+			? { type: 'selectTerritory', name: message.name }
+			: null;
+	}
+	if (message.type === 'flyTo') {
+		const { center, zoom } = message;
+		if (
+			!Array.isArray(center) ||
+			center.length !== 2 ||
+			!center.every(isFiniteNumber) ||
+			Math.abs(center[1]) > 90
+		) {
+			return null;
+		}
+		const view: MapView = { center: [center[0], center[1]], zoom: isFiniteNumber(zoom) ? zoom : 4 };
+		return { type: 'flyTo', view };
+	}
+	return null;
+}
@@ -0,0 +1,349 @@
+/**
+ * Exporting the map: PNG snapshots of the rendered map, SVG of the
+ * territories and GeoJSON of the current period.
+ *
+ * The geometry functions are pure so they can be tested without a browser;
+ * the capture and download helpers need the DOM.
+ *
+ * @module export
+ */
+
+import type maplibregl from 'maplibre-gl';
+import type { Feature, FeatureCollection, Geometry, Position } from 'geojson';
+import type { Bounds } from './geo.js';
+import type { Period } from './periodsConfig.js';
+import { getTerritoryName } from './territory.js';
+
+const BASEMAP_CREDIT = 'Basemap: © OpenStreetMap contributors © CARTO';
+
+/** Attribution stamped on exported images. */
+export const EXPORT_ATTRIBUTION = `Borders: Historical Basemaps (Euratlas-Nüssli) · ${BASEMAP_CREDIT}`;
+
+/** Export attribution crediting `borders` (a dataset's attribution text) for the borders. */
+export function exportAttribution(borders: string): string {
+	return `Borders: ${borders} · ${BASEMAP_CREDIT}`;
+}
+
+/** Colors of exported SVGs, which are drawn on white regardless of the app theme. */
+const SVG_STYLE = {
+	background: '#ffffff',
+	named: '#3498db',
+	unnamed: '#95a5a6',
+	stroke: '#ffffff',
+	text: '#1f2937'
+};
+
+/** File name for an export of `period`, e.g. "historical-map-1492-ad.png". */
+export function exportFilename(period: Period, extension: string): string {
+	const slug = period.label
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-|-$/g, '');
+	return `historical-map-${slug}.${extension}`;
+}
+
+// --- Clipping -------------------------------------------------------------
+
+type Ring = Position[];
+
+/**
+ * Clip a closed ring to an axis-aligned rectangle (Sutherland–Hodgman).
+ * @returns The clipped, closed ring, or `null` if nothing of it remains.
+ */
+function clipRing(ring: Ring, [west, south, east, north]: Bounds): Ring | null {
+	const edges: Array<{ inside: (p: Position) => boolean; axis: 0 | 1; value: number }> = [
+		{ inside: (p) => p[0] >= west, axis: 0, value: west },
+		{ inside: (p) => p[0] <= east, axis: 0, value: east },
+		{ inside: (p) => p[1] >= south, axis: 1, value: south },
+		{ inside: (p) => p[1] <= north, axis: 1, value: north }
+	];
+
+	// Work on the open ring; it is closed again at the end.
+	let points = ring.slice(0, -1);
+	for (const { inside, axis, value } of edges) {
+		if (points.length === 0) break;
+		const input = points;
+		points = [];
+		for (let i = 0; i < input.length; i++) {
+			const current = input[i];
+			const previous = input[(i + input.length - 1) % input.length];
+			const currentInside = inside(current);
+			if (currentInside !== inside(previous)) {
+				const t = (value - previous[axis]) / (current[axis] - previous[axis]);
+				const crossing: Position = [
+					previous[0] + t * (current[0] - previous[0]),
+					previous[1] + t * (current[1] - previous[1])
+				];
+				crossing[axis] = value;
+				points.push(crossing);
+			}
+			if (currentInside) points.push(current);
+		}
+	}
+
+	if (points.length < 3) return null;
+	return [...points, points[0]];
+}
+
+/**
+ * The rectangles covering `bounds` in [-180, 180] longitudes. A viewport
+ * crossing the antimeridian (east > 180 after normalizing) becomes two.
+ */
+function clipWindows([west, south, east, north]: Bounds): Bounds[] {
+	if (east - west >= 360) return [[-180, south, 180, north]];
+	const shift = Math.floor((west + 180) / 360) * 360;
+	const w = west - shift;
+	const e = east - shift;
+	const windows: Bounds[] = [[w, south, Math.min(e, 180), north]];
+	if (e > 180) windows.push([-180, south, e - 360, north]);
+	return windows;
+}
+
+function clipPolygon(rings: Ring[], window: Bounds): Ring[] | null {
+	const outer = clipRing(rings[0], window);
+	if (!outer) return null;
+	const holes = rings
+		.slice(1)
+		.map((hole) => clipRing(hole, window))
+		.filter((hole): hole is Ring => hole !== null);
+	return [outer, ...holes];
+}
+
+/**
+ * Clip a geometry to `bounds`. Only polygons are clipped; other geometry
+ * types are returned unchanged.
+ *
+ * @returns The clipped geometry, or `null` if none of it is inside.
+ */
+export function clipGeometry(geometry: Geometry, bounds: Bounds): Geometry | null {
+	if (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') return geometry;
+
+	const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+	const clipped: Ring[][] = [];
+	for (const window of clipWindows(bounds)) {
+		for (const rings of polygons) {
+			const polygon = clipPolygon(rings, window);
+			if (polygon) clipped.push(polygon);
+		}
+	}
+
+	if (clipped.length === 0) return null;
+	if (clipped.length === 1) return { type: 'Polygon', coordinates: clipped[0] };
+	return { type: 'MultiPolygon', coordinates: clipped };
+}
+
+/** Clip every feature of `collection` to `bounds`, dropping those entirely outside. */
+export function clipCollection(collection: FeatureCollection, bounds: Bounds): FeatureCollection {
+	const features: Feature[] = [];
+	for (const feature of collection.features) {
+		if (!feature.geometry) continue;
+		const geometry = clipGeometry(feature.geometry, bounds);
+		if (geometry) features.push({ ...feature, geometry });
+	}
+	return { type: 'FeatureCollection', features };
+}
+
+// --- SVG ------------------------------------------------------------------
+
+function escapeXml(text: string): string {
+	return text.replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function ringPath(ring: Ring, project: (p: Position) => [number, number]): string {
+	return (
+		ring
+			.slice(0, -1)
+			.map((p, i) => {
+				const [x, y] = project(p);
+				return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)} ${y.toFixed(1)}`;
+			})
+			.join('') + 'Z'
+	);
+}
+
+function geometryPath(geometry: Geometry, project: (p: Position) => [number, number]): string {
+	const polygons =
+		geometry.type === 'Polygon'
+			? [geometry.coordinates]
+			: geometry.type === 'MultiPolygon'
+				? geometry.coordinates
+				: [];
+	return polygons.map((rings) => rings.map((ring) => ringPath(ring, project)).join('')).join('');
+}
+
+export interface SvgOptions {
+	width: number;
+	height: number;
+	/** Converts [longitude, latitude] to SVG pixel coordinates. */
+	project: (position: Position) => [number, number];
+	/** Heading drawn in the top-left corner, e.g. the period label. */
+	title: string;
+	attribution?: string;
+}
+
+/**
+ * Render the territories of `collection` as a standalone SVG document.
+ * Each territory is a path titled with its name, so the SVG stays
+ * inspectable and editable in vector tools.
+ */
+export function territoriesToSvg(collection: FeatureCollection, options: SvgOptions): string {
+	const { width, height, project, title, attribution = EXPORT_ATTRIBUTION } = options;
+	const paths: string[] = [];
+	for (const feature of collection.features) {
+		if (!feature.geometry) continue;
+		const d = geometryPath(feature.geometry, project);
+		if (d === '') continue;
+		const name = getTerritoryName(feature.properties ?? {});
+		const fill = name === null ? SVG_STYLE.unnamed : SVG_STYLE.named;
+		const opacity = name === null ? 0.4 : 0.7;
+		const label = name === null ? '' : `<title>${escapeXml(name)}</title>`;
+		paths.push(`<path d="${d}" fill="${fill}" fill-opacity="${opacity}">${label}</path>`);
+	}
+
+	return [
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+		`<rect width="100%" height="100%" fill="${SVG_STYLE.background}"/>`,
+		`<g stroke="${SVG_STYLE.stroke}" stroke-width="1" fill-rule="evenodd">`,
+		...paths,
+		'</g>',
+		`<text x="16" y="32" font-family="sans-serif" font-size="20" font-weight="600" fill="${SVG_STYLE.text}">${escapeXml(title)}</text>`,
+		`<text x="${width - 8}" y="${height - 8}" text-anchor="end" font-family="sans-serif" font-size="10" fill="${SVG_STYLE.text}">${escapeXml(attribution)}</text>`,
+		'</svg>'
+	].join('\n');
+}
+
+// --- Browser helpers ------------------------------------------------------
+
+/**
+ * Copy the map's current frame into a 2D canvas. The WebGL drawing buffer is
+ * only readable while a frame is being rendered, so the copy happens in a
+ * `render` callback after forcing a repaint.
+ */
+export function captureMap(map: maplibregl.Map): Promise<HTMLCanvasElement> {
+	return new Promise((resolve, reject) => {
+		map.once('render', () => {
+			try {
+				const source = map.getCanvas();
+				const canvas = document.createElement('canvas');
+				canvas.width = source.width;
+				canvas.height = source.height;
+				const ctx = canvas.getContext('2d');
+				if (!ctx) throw new Error('Canvas 2D context is not available');
+				ctx.drawImage(source, 0, 0);
+				resolve(canvas);
+			} catch (err) {
+				reject(err);
+			}
+		});
+		map.triggerRepaint();
+	});
+}
+
+/**
+ * Draw `title` in the top-left corner and `attribution` along the bottom-right
+ * edge of `canvas`. `scale` is the ratio of canvas pixels to CSS pixels.
+ */
+export function stampCanvas(
+	canvas: HTMLCanvasElement,
+	title: string,
+	scale: number,
+	attribution = EXPORT_ATTRIBUTION
+): void {
+	const ctx = canvas.getContext('2d');
+	if (!ctx) return;
+	ctx.save();
+	ctx.scale(scale, scale);
+	const width = canvas.width / scale;
+	const height = canvas.height / scale;
+
+	ctx.font = '600 20px system-ui, sans-serif';
+	const titleWidth = ctx.measureText(title).width;
+	ctx.fillStyle = 'rgba(15, 23, 42, 0.75)';
+	ctx.beginPath();
+	ctx.roundRect(12, 12, titleWidth + 24, 36, 8);
+	ctx.fill();
+	ctx.fillStyle = '#ffffff';
+	ctx.textBaseline = 'middle';
+	ctx.fillText(title, 24, 30);
+
+	ctx.font = '11px system-ui, sans-serif';
+	const attributionWidth = ctx.measureText(attribution).width;
+	ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+	ctx.fillRect(width - attributionWidth - 12, height - 20, attributionWidth + 12, 20);
+	ctx.fillStyle = '#1f2937';
+	ctx.fillText(attribution, width - attributionWidth - 6, height - 10);
+	ctx.restore();
+}
+
+export function canvasToBlob(canvas: HTMLCanvasElement): Promise<Blob> {
+	return new Promise((resolve, reject) => {
+		canvas.toBlob(
+			(blob) => (blob ? resolve(blob) : reject(new Error('Failed to encode PNG'))),
+			'image/png'
+		);
+	});
+}
+
+/** Save `blob` as a file named `filename`. */
+export function downloadBlob(blob: Blob, filename: string): void {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	// Give the browser a moment to start the download before revoking.
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** The visible area of `map` as [west, south, east, north]; west/east may exceed ±180. */
+export function viewBounds(map: maplibregl.Map): Bounds {
+	const bounds = map.getBounds();
+	return [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+}
+
+/** Save the rendered map, stamped with the period label and attribution, as PNG. */
+export async function exportPng(
+	map: maplibregl.Map,
+	period: Period,
+	attribution = EXPORT_ATTRIBUTION
+): Promise<void> {
+	const canvas = await captureMap(map);
+	stampCanvas(canvas, period.label, canvas.width / map.getCanvas().clientWidth, attribution);
+	downloadBlob(await canvasToBlob(canvas), exportFilename(period, 'png'));
+}
+
+/** Save the territories visible in `map` as SVG, laid out as on screen. */
+export function exportSvg(
+	map: maplibregl.Map,
+	data: FeatureCollection,
+	period: Period,
+	attribution = EXPORT_ATTRIBUTION
+): void {
+	const bounds = viewBounds(map);
+	const [west, , east] = bounds;
+	const container = map.getContainer();
+	const svg = territoriesToSvg(clipCollection(data, bounds), {
+		width: container.clientWidth,
+		height: container.clientHeight,
+		title: period.label,
+		attribution,
+		// Clipped pieces lie in [-180, 180]; move them onto the world copy in view.
+		project: ([lng, lat]) => {
+			let x = lng;
+			while (x < west - 1e-9) x += 360;
+			while (x > east + 1e-9) x -= 360;
+			const point = map.project([x, lat]);
+			return [point.x, point.y];
+		}
+	});
+	downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), exportFilename(period, 'svg'));
+}
+
+/** Save `data` as GeoJSON, clipped to `bounds` when given. */
+export function exportGeoJson(data: FeatureCollection, period: Period, bounds?: Bounds): void {
+	const collection = bounds ? clipCollection(data, bounds) : data;
+	downloadBlob(
+		new Blob([JSON.stringify(collection)], { type: 'application/geo+json' }),
+		exportFilename(period, 'geojson')
+	);
+}
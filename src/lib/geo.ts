@@ -0,0 +1,44 @@
+/**
+ * Spherical geometry helpers shared by the app and the Web Worker.
+ *
+ * Mirrors the measurements made by `scripts/convert-topojson.js`, so areas
+ * computed in the browser agree with those in the territory index.
+ *
+ * @module geo
+ */
+
+import { geoArea, geoBounds } from 'd3-geo';
+import type { Feature, Geometry } from 'geojson';
+
+/** Mean Earth radius in km (IUGG). */
+export const EARTH_RADIUS_KM = 6371.0088;
+
+/** Bounds as [west, south, east, north]; west > east when crossing the antimeridian. */
+export type Bounds = [number, number, number, number];
+
+/**
+ * Spherical area of a GeoJSON geometry in km².
+ * d3-geo expects clockwise exterior rings; a polygon wound the other way
+ * measures as the rest of the globe, so such areas are flipped back.
+ */
+export function areaKm2(geometry: Geometry | null): number {
+	if (!geometry) return 0;
+	const polygons =
+		geometry.type === 'Polygon'
+			? [geometry.coordinates]
+			: geometry.type === 'MultiPolygon'
+				? geometry.coordinates
+				: [];
+	let steradians = 0;
+	for (const coordinates of polygons) {
+		const area = geoArea({ type: 'Polygon', coordinates });
+		steradians += Math.min(area, 4 * Math.PI - area);
+	}
+	return steradians * EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+}
+
+/** Combined bounds of `features`. */
+export function featureBounds(features: Feature[]): Bounds {
+	const [[west, south], [east, north]] = geoBounds({ type: 'FeatureCollection', features });
+	return [west, south, east, north];
+}
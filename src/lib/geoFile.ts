@@ -0,0 +1,89 @@
+/**
+ * Parsing of TopoJSON and GeoJSON files into GeoJSON FeatureCollections.
+ *
+ * Shared by the worker, the main-thread fallback in DataService, and the
+ * loading of user-supplied files, so every path accepts both formats.
+ *
+ * @module geoFile
+ */
+
+import * as topojson from 'topojson-client';
+import type { Topology } from 'topojson-specification';
+import type { Feature, FeatureCollection, Geometry } from 'geojson';
+
+/** File extensions accepted for user-supplied files. */
+export const GEO_FILE_EXTENSIONS = ['.geojson', '.topojson', '.json'];
+
+const GEOMETRY_TYPES = new Set([
+	'Point',
+	'MultiPoint',
+	'LineString',
+	'MultiLineString',
+	'Polygon',
+	'MultiPolygon',
+	'GeometryCollection'
+]);
+
+/**
+ * Convert a topology to GeoJSON. TopoJSON files contain one or more named
+ * geometry objects; we take the first one.
+ */
+export function topologyToGeoJson(topology: Topology): FeatureCollection {
+	const objectKey = Object.keys(topology.objects)[0];
+	if (objectKey === undefined) throw new Error('TopoJSON file has no objects');
+	const result = topojson.feature(topology, topology.objects[objectKey]);
+	// A single geometry object converts to a lone Feature
+	return result.type === 'FeatureCollection'
+		? (result as FeatureCollection)
+		: { type: 'FeatureCollection', features: [result as Feature] };
+}
+
+/**
+ * Turn parsed JSON into a FeatureCollection. Accepts a Topology, a
+ * FeatureCollection, a single Feature or a bare geometry.
+ *
+ * @throws If `json` is none of these.
+ */
+export function toFeatureCollection(json: unknown): FeatureCollection {
+	const type = typeof json === 'object' && json !== null ? (json as { type?: unknown }).type : null;
+
+	if (type === 'Topology') return topologyToGeoJson(json as Topology);
+	if (type === 'FeatureCollection' && Array.isArray((json as FeatureCollection).features)) {
+		return json as FeatureCollection;
+	}
+	if (type === 'Feature') {
+		return { type: 'FeatureCollection', features: [json as Feature] };
+	}
+	if (typeof type === 'string' && GEOMETRY_TYPES.has(type)) {
+		return {
+			type: 'FeatureCollection',
+			features: [{ type: 'Feature', properties: {}, geometry: json as Geometry }]
+		};
+	}
+	throw new Error('Not a GeoJSON or TopoJSON file');
+}
+
+/**
+ * Parse the text of a GeoJSON or TopoJSON file.
+ *
+ * @throws If the text isn't JSON or isn't GeoJSON/TopoJSON, or has no features.
+ */
+export function parseGeoFile(text: string): FeatureCollection {
+	let json: unknown;
+	try {
+		json = JSON.parse(text);
+	} catch {
+		throw new Error('The file is not valid JSON');
+	}
+	const collection = toFeatureCollection(json);
+	if (!collection.features.some((feature) => feature?.geometry)) {
+		throw new Error('The file contains no geometries');
+	}
+	return collection;
+}
+
+/** Whether `name` has one of the {@link GEO_FILE_EXTENSIONS}. */
+export function isGeoFileName(name: string): boolean {
+	const lower = name.toLowerCase();
+	return GEO_FILE_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
@@ -0,0 +1,196 @@
+/**
+ * Localization: UI strings, era-style year labels and translated territory
+ * names.
+ *
+ * UI strings live in one catalog per locale under `locales/`; `en.ts`
+ * defines the message keys. Period labels are generated from `Period.year`
+ * in the chosen era convention, so datasets don't need to be translated.
+ * Territory NAMEs stay the key of every lookup; a dataset may list
+ * per-locale tables translating them (`names` in its manifest), which
+ * only change what is shown.
+ *
+ * @module i18n
+ */
+
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+import es from './locales/es.js';
+import de from './locales/de.js';
+import { formatYear as formatEnglishYear, type Period } from './periodsConfig.js';
+import { parseYear as parseEnglishYear } from './urlState.js';
+import type { TerritoryLabels } from './labels.js';
+
+/** A message with a form per plural category, picked by its `count` parameter. */
+export interface PluralMessage {
+	one: string;
+	other: string;
+}
+
+export type Message = string | PluralMessage;
+export type MessageKey = keyof typeof en;
+export type Messages = Record<MessageKey, Message>;
+
+export const LOCALES = [
+	{ code: 'en', name: 'English' },
+	{ code: 'fr', name: 'Français' },
+	{ code: 'es', name: 'Español' },
+	{ code: 'de', name: 'Deutsch' }
+] as const;
+
+export type Locale = (typeof LOCALES)[number]['code'];
+
+/**
+ * How years are labelled: `traditional` is BC/AD and its equivalents,
+ * `common` the religiously neutral BCE/CE.
+ */
+export const ERA_STYLES = ['traditional', 'common'] as const;
+
+export type EraStyle = (typeof ERA_STYLES)[number];
+
+const CATALOGS: Record<Locale, Messages> = { en, fr, es, de };
+
+/** Suffixes of years before and after year 1, by locale and era style. */
+const ERAS: Record<Locale, Record<EraStyle, { before: string; after: string }>> = {
+	en: { traditional: { before: 'BC', after: 'AD' }, common: { before: 'BCE', after: 'CE' } },
+	fr: {
+		traditional: { before: 'av. J.-C.', after: 'apr. J.-C.' },
+		common: { before: 'AEC', after: 'EC' }
+	},
+	es: {
+		traditional: { before: 'a. C.', after: 'd. C.' },
+		common: { before: 'a. e. c.', after: 'e. c.' }
+	},
+	de: {
+		traditional: { before: 'v. Chr.', after: 'n. Chr.' },
+		common: { before: 'v. u. Z.', after: 'u. Z.' }
+	}
+};
+
+export function isLocale(value: unknown): value is Locale {
+	return LOCALES.some((locale) => locale.code === value);
+}
+
+export function isEraStyle(value: unknown): value is EraStyle {
+	return ERA_STYLES.some((style) => style === value);
+}
+
+/**
+ * The locale to show: the stored choice if there is one, else the first of
+ * the browser's `languages` we have a catalog for (by language, so "fr-CA"
+ * picks French), else English.
+ */
+export function detectLocale(stored: string | null, languages: readonly string[]): Locale {
+	if (isLocale(stored)) return stored;
+	for (const language of languages) {
+		const code = language.split('-')[0].toLowerCase();
+		if (isLocale(code)) return code;
+	}
+	return 'en';
+}
+
+/** Everything the UI needs to speak one locale. */
+export interface I18n {
+	locale: Locale;
+	era: EraStyle;
+	/** The message `key`, with `{name}` placeholders filled from `params`. */
+	t(key: MessageKey, params?: Record<string, string | number>): string;
+	/** Label of `year`, e.g. "500 BC" or "500 av. J.-C.". Negative years are before year 1. */
+	formatYear(year: number): string;
+	/**
+	 * Read a year typed in this locale's era labels (either style) or in
+	 * English, e.g. "500 v. Chr.", "500 BCE" or "-500". Spaces and commas
+	 * are ignored.
+	 */
+	parseYear(value: string): number | undefined;
+	formatNumber(value: number): string;
+}
+
+export function createI18n(locale: Locale, era: EraStyle = 'traditional'): I18n {
+	const catalog = CATALOGS[locale];
+	const plurals = new Intl.PluralRules(locale);
+	const numbers = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
+	const { before, after } = ERAS[locale][era];
+	// Longest first, as "e. c." is the end of "a. e. c."
+	const suffixes = ERA_STYLES.flatMap((style) => [
+		{ text: compact(ERAS[locale][style].before), sign: -1 },
+		{ text: compact(ERAS[locale][style].after), sign: 1 }
+	]).sort((a, b) => b.text.length - a.text.length);
+
+	return {
+		locale,
+		era,
+		t(key, params = {}) {
+			const message = catalog[key];
+			const text =
+				typeof message === 'string'
+					? message
+					: plurals.select(Number(params.count)) === 'one'
+						? message.one
+						: message.other;
+			return text.replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+				name in params ? String(params[name]) : placeholder
+			);
+		},
+		formatYear(year) {
+			return year < 0 ? `${-year} ${before}` : `${year} ${after}`;
+		},
+		parseYear(value) {
+			const text = compact(value);
+			for (const suffix of suffixes) {
+				if (!text.endsWith(suffix.text)) continue;
+				const digits = text.slice(0, -suffix.text.length);
+				if (/^\d+$/.test(digits)) return suffix.sign * parseInt(digits, 10);
+			}
+			return parseEnglishYear(text);
+		},
+		formatNumber(value) {
+			return numbers.format(value);
+		}
+	};
+}
+
+function compact(text: string): string {
+	return text.replace(/[,\s]/g, '').toLowerCase();
+}
+
+/**
+ * `periods` with their labels in `i18n`'s era style. Only labels that are
+ * generated from the year ("1492 AD", or "1492 AD · file" for the user's
+ * periods) are replaced; labels a dataset wrote by hand are kept. Returns
+ * `periods` itself when nothing changes.
+ */
+export function localizePeriods(periods: Period[], i18n: I18n): Period[] {
+	if (i18n.locale === 'en' && i18n.era === 'traditional') return periods;
+	return periods.map((period) => {
+		const english = formatEnglishYear(period.year);
+		if (period.label !== english && !period.label.startsWith(`${english} · `)) return period;
+		return { ...period, label: i18n.formatYear(period.year) + period.label.slice(english.length) };
+	});
+}
+
+/** Translation of territory `name` from a name table, or `name` itself. */
+export function localName(name: string, names: Record<string, string> | null): string {
+	return names?.[name] ?? name;
+}
+
+/**
+ * `labels` with the translation of each name as its `text`, which the map
+ * shows instead of `name`. Returns `labels` itself without a name table.
+ */
+export function localizeLabels(
+	labels: TerritoryLabels,
+	names: Record<string, string> | null
+): TerritoryLabels {
+	if (!names) return labels;
+	return {
+		...labels,
+		features: labels.features.map((feature) =>
+			names[feature.properties.name] === undefined
+				? feature
+				: {
+						...feature,
+						properties: { ...feature.properties, text: names[feature.properties.name] }
+					}
+		)
+	};
+}
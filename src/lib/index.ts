@@ -1,3 +1,8 @@
 // Library exports
 export { PERIODS, type Period } from './periodsConfig.js';
 export { DataService } from './dataService.js';
+export {
+	DEFAULT_DATASET,
+	type DatasetManifest,
+	type DatasetRegistryEntry
+} from './datasets.js';
@@ -0,0 +1,122 @@
+/**
+ * Label placement for territory names.
+ *
+ * Each named entity gets one label at the pole of inaccessibility of its
+ * largest polygon (the interior point farthest from the outline, found with
+ * polylabel), so names sit well inside concave or ring-shaped territories.
+ * Labels carry the entity's total area, which the map uses to favour large
+ * territories when labels collide and to hold back small ones until the
+ * camera is close enough for them to fit. Runs inside the Web Worker (see
+ * `worker.ts`); DataService falls back to calling it on the main thread.
+ *
+ * @module labels
+ */
+
+import polylabel from 'polylabel';
+import type { Feature, FeatureCollection, Point, Position } from 'geojson';
+import { areaKm2 } from './geo.js';
+import { getTerritoryName } from './territory.js';
+
+export interface LabelProperties {
+	name: string;
+	/** Text shown instead of `name`, e.g. its translation. */
+	text?: string;
+	/** Combined area of the entity's features in this period. */
+	km2: number;
+	/** Lowest zoom at which the label is shown. */
+	minzoom: number;
+}
+
+export type TerritoryLabels = FeatureCollection<Point, LabelProperties>;
+
+/** Equatorial circumference in km; one 512 px world width at zoom 0 in MapLibre. */
+const EARTH_CIRCUMFERENCE_KM = 40075;
+const WORLD_SIZE_PX = 512;
+
+/** Width in pixels a territory should span before its label is shown. */
+const LABEL_MIN_SPAN_PX = 60;
+
+/** Search precision of polylabel as a fraction of the polygon's extent. */
+const PRECISION_FRACTION = 0.01;
+
+/**
+ * Lowest zoom at which a territory of `km2` is about {@link LABEL_MIN_SPAN_PX}
+ * wide, treating it as a square on the equator. Never below 0.
+ */
+export function labelMinZoom(km2: number): number {
+	if (km2 <= 0) return Infinity;
+	const spanKm = Math.sqrt(km2);
+	const zoom = Math.log2((LABEL_MIN_SPAN_PX * EARTH_CIRCUMFERENCE_KM) / (WORLD_SIZE_PX * spanKm));
+	return Math.max(0, Math.round(zoom * 10) / 10);
+}
+
+/** Pole of inaccessibility of a polygon given as rings, outer ring first. */
+export function labelPoint(rings: Position[][]): Position {
+	let minX = Infinity;
+	let minY = Infinity;
+	let maxX = -Infinity;
+	let maxY = -Infinity;
+	for (const [x, y] of rings[0]) {
+		minX = Math.min(minX, x);
+		minY = Math.min(minY, y);
+		maxX = Math.max(maxX, x);
+		maxY = Math.max(maxY, y);
+	}
+	const precision = Math.max(maxX - minX, maxY - minY) * PRECISION_FRACTION || 1e-6;
+	const [x, y] = polylabel(rings as Array<Array<[number, number]>>, precision);
+	return [x, y];
+}
+
+interface LabelledEntity {
+	km2: number;
+	/** The entity's largest polygon and its area. */
+	largest: Position[][];
+	largestKm2: number;
+}
+
+/** Polygons of a feature as lists of rings; other geometry types have none. */
+function polygonsOf(feature: Feature): Position[][][] {
+	const geometry = feature.geometry;
+	if (geometry?.type === 'Polygon') return [geometry.coordinates];
+	if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+	return [];
+}
+
+/**
+ * One label point per named entity of `collection`, at the pole of
+ * inaccessibility of the entity's largest polygon. Features sharing a name
+ * are one entity. Ordered from largest to smallest entity.
+ */
+export function territoryLabels(collection: FeatureCollection): TerritoryLabels {
+	const entities = new Map<string, LabelledEntity>();
+	for (const feature of collection.features) {
+		const name = feature.properties ? getTerritoryName(feature.properties) : null;
+		if (name === null) continue;
+		for (const rings of polygonsOf(feature)) {
+			if (rings.length === 0 || rings[0].length < 4) continue;
+			const km2 = areaKm2({ type: 'Polygon', coordinates: rings });
+			const entity = entities.get(name);
+			if (!entity) {
+				entities.set(name, { km2, largest: rings, largestKm2: km2 });
+			} else {
+				entity.km2 += km2;
+				if (km2 > entity.largestKm2) {
+					entity.largest = rings;
+					entity.largestKm2 = km2;
+				}
+			}
+		}
+	}
+
+	const features = [...entities]
+		.filter(([, entity]) => entity.km2 > 0)
+		.sort(([, a], [, b]) => b.km2 - a.km2)
+		.map(
+			([name, entity]): Feature<Point, LabelProperties> => ({
+				type: 'Feature',
+				properties: { name, km2: entity.km2, minzoom: labelMinZoom(entity.km2) },
+				geometry: { type: 'Point', coordinates: labelPoint(entity.largest) }
+			})
+		);
+	return { type: 'FeatureCollection', features };
+}
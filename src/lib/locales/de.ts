@@ -0,0 +1,226 @@
+import type { Messages } from '../i18n.js';
+
+export default {
+	'app.title': 'Interaktive historische Weltkarte',
+
+	'header.style': 'Kartenstil und Legende',
+	'header.territories': 'Liste der Gebiete',
+	'header.place': 'Ein Ort im Lauf der Zeit',
+	'header.changes': 'Änderungen seit dem vorigen Zeitraum zeigen',
+	'header.compare': 'Zwei Zeiträume vergleichen',
+	'header.lightMode': 'Zum hellen Modus wechseln',
+	'header.darkMode': 'Zum dunklen Modus wechseln',
+
+	'language.menu': 'Sprache und Datumsangaben',
+	'language.languages': 'Sprache',
+	'language.eras': 'Datumsangaben',
+
+	'status.periodLoaded': {
+		one: '{label}, {count} Gebiet geladen',
+		other: '{label}, {count} Gebiete geladen'
+	},
+
+	'error.period': 'Historische Daten konnten nicht geladen werden: {detail}',
+	'error.export': 'Export fehlgeschlagen: {detail}',
+	'error.exportEmpty': 'Nichts zu exportieren, solange kein Zeitraum geladen ist.',
+	'error.dataset': 'Datensatz konnte nicht geladen werden: {detail}',
+	'error.datasetFallback': 'Datensatz konnte nicht geladen werden, {name} wird gezeigt: {detail}',
+	'error.tour': 'Führung konnte nicht geladen werden: {detail}',
+	'error.place': 'Nicht alle Zeiträume konnten für diesen Ort geprüft werden.',
+	'error.changes': 'Vergleich mit dem vorigen Zeitraum nicht möglich.',
+	'error.tracking': 'Andere Zeiträume konnten nicht durchsucht werden: {detail}',
+
+	'timeline.period': 'Historischer Zeitraum',
+	'timeline.playback': 'Wiedergabe der Zeitleiste',
+	'timeline.previous': 'Voriger Zeitraum',
+	'timeline.next': 'Nächster Zeitraum',
+	'timeline.play': 'Zeitleiste abspielen',
+	'timeline.pause': 'Zeitleiste anhalten',
+	'timeline.yearPlaceholder': 'z. B. {year} oder {bcYear}',
+	'timeline.goToYear': 'Zu Jahr springen',
+	'timeline.typeYear': 'Ein Jahr eingeben, um zum nächstgelegenen Zeitraum zu springen',
+	'timeline.current': '{label}, aktivieren, um ein Jahr einzugeben',
+	'timeline.scale': 'Maßstab der Zeitleiste',
+	'timeline.scale.linear': 'Linear',
+	'timeline.scale.log': 'Logarithmisch',
+	'timeline.scale.index': 'Gleichmäßige Abstände',
+	'timeline.speed': 'Wiedergabegeschwindigkeit {speed}×, aktivieren zum Ändern',
+	'timeline.source': 'Datenquelle:',
+
+	'info.region': 'Informationen zum Gebiet',
+	'info.unknown': 'Unbekanntes Gebiet',
+	'info.close': 'Informationsfenster schließen',
+	'info.track': 'Im Lauf der Zeit verfolgen',
+	'info.stopTracking': 'Verfolgen beenden',
+	'info.searching': 'Alle Zeiträume werden durchsucht...',
+	'info.notPresent': '{period} nicht vorhanden.',
+	'info.area': 'Fläche',
+	'info.centre': 'Mittelpunkt',
+	'info.appears': 'Vorhanden',
+	'info.borders': 'Grenzt an',
+	'info.moreNeighbours': 'und {count} weitere',
+	'info.noDetails': 'Keine weiteren Angaben zu diesem Gebiet.',
+	'search.placeholder': 'Gebiete suchen',
+	'search.label': 'Gebiete in allen Zeiträumen suchen',
+	'search.results': 'Suchergebnisse',
+	'search.unavailable': 'Die Suche ist gerade nicht verfügbar.',
+	'search.noMatch': 'Keine Gebiete passen zu „{query}“.',
+	'search.limit': 'Die besten {count} Treffer werden angezeigt.',
+	'search.field.ABBREVN': 'Auch bekannt als {value}',
+	'search.field.SUBJECTO': 'Untertan von {value}',
+	'search.field.PARTOF': 'Teil von {value}',
+
+	'dataset.label': 'Datensatz',
+
+	'tours.menu': 'Führungen',
+	'tours.loading': 'Führungen werden geladen…',
+	'tours.loadFailed': 'Die Liste der Führungen konnte nicht geladen werden.',
+	'tours.openFile': 'Führungsdatei öffnen…',
+	'tours.fileTypes': 'JSON oder Markdown',
+
+	'tour.region': 'Führung: {title}',
+	'tour.end': 'Führung beenden',
+	'tour.previous': 'Zurück',
+	'tour.next': 'Weiter',
+	'tour.finish': 'Fertig',
+	'tour.step': 'Schritt {step} von {count}',
+
+	'userData.menu': 'Eigene Daten laden',
+	'userData.popup': 'Ihre Daten',
+	'userData.showAs': 'Datei anzeigen als',
+	'userData.overlay': 'Ebene über der Karte',
+	'userData.period': 'Eigener Zeitraum',
+	'userData.year': 'Jahr',
+	'userData.choose': 'Datei wählen…',
+	'userData.loading': 'Wird geladen…',
+	'userData.hint': 'GeoJSON oder TopoJSON; Dateien können auch auf die Karte gezogen werden.',
+	'userData.dropOverlay': 'GeoJSON- oder TopoJSON-Datei ablegen, um sie als Ebene hinzuzufügen',
+	'userData.dropPeriod':
+		'GeoJSON- oder TopoJSON-Datei ablegen, um sie als eigenen Zeitraum hinzuzufügen',
+	'userData.yearInvalid':
+		'Geben Sie für den eigenen Zeitraum ein Jahr ein, z. B. {year} oder {bcYear}.',
+	'userData.wrongType': '{name} ist keine {extensions}-Datei.',
+	'userData.loadFailed': '{name} konnte nicht geladen werden: {detail}',
+	'userData.remove': 'Entfernen',
+	'userData.removeLayer': '{name} entfernen',
+
+	'offline.menu': 'Offline-Verfügbarkeit',
+	'offline.menuOffline': 'Offline-Verfügbarkeit (Sie sind offline)',
+	'offline.offline':
+		'Sie sind offline. Gespeicherte Zeiträume funktionieren weiter; andere können nicht geladen werden.',
+	'offline.unsupported': 'Dieser Browser unterstützt keine Offline-Speicherung.',
+	'offline.checking': 'Gespeicherte Daten werden geprüft…',
+	'offline.complete': {
+		one: 'Der Zeitraum ist offline verfügbar ({size}).',
+		other: 'Alle {count} Zeiträume sind offline verfügbar ({size}).'
+	},
+	'offline.partial': '{done} von {total} Dateien gespeichert ({size}).',
+	'offline.partialTotal': '{done} von {total} Dateien gespeichert ({size}); insgesamt {totalSize}.',
+	'offline.progress': 'Downloadfortschritt',
+	'offline.progressCount': '{done} / {total} Dateien · {size}',
+	'offline.failed':
+		'Der Download ist fehlgeschlagen. Bereits gespeicherte Zeiträume bleiben erhalten; erneut versuchen, um fortzufahren.',
+	'offline.cancel': 'Abbrechen',
+	'offline.download': 'Alle Zeiträume herunterladen',
+	'offline.remove': 'Offline-Daten entfernen',
+
+	'export.menu': 'Karte exportieren',
+	'export.formats': 'Exportformate',
+	'export.png': 'Bild (PNG)',
+	'export.png.detail': 'Karte wie angezeigt, mit Zeitraum und Quellenangabe',
+	'export.svg': 'Vektor (SVG)',
+	'export.svg.detail': 'Sichtbare Gebiete',
+	'export.geojson': 'Daten (GeoJSON)',
+	'export.geojson.detail': 'Objekte dieses Zeitraums',
+	'export.clip': 'GeoJSON auf die aktuelle Ansicht zuschneiden',
+
+	'style.title': 'Kartenstil',
+	'style.close': 'Kartenstil schließen',
+	'style.colorBy': 'Färben nach',
+	'style.thematic.default': 'Benannt / unbenannt',
+	'style.thematic.subjecto': 'Oberherr (SUBJECTO)',
+	'style.thematic.partof': 'Teil von (PARTOF)',
+	'style.thematic.type': 'Gesellschaftsform',
+	'style.precision': 'Ungenaue Grenzen kennzeichnen',
+	'style.basemap': 'Grundkarte',
+	'style.tileTemplate': 'URL-Vorlage der Kacheln',
+	'style.tileAttribution': 'Quellenangabe der Kacheln',
+	'style.tileAttributionPlaceholder': '© Kachelanbieter',
+	'style.useTiles': 'Verwenden',
+	'style.tileInvalid':
+		'Benötigt eine http(s)-URL oder einen Pfad auf dieser Website mit {z}, {x} und {y}.',
+	'style.tileHint': 'Rasterkacheln vom eigenen Server, mit {z}, {x} und {y} (oder {-y}).',
+	'style.tileShowing': 'Angezeigt wird {template}',
+	'style.globe': 'Als Globus anzeigen',
+	'style.legend': 'Legende',
+	'style.otherGroups': {
+		one: 'und {count} kleinere Gruppe',
+		other: 'und {count} kleinere Gruppen'
+	},
+	'style.unspecified': 'Nicht angegeben',
+	'style.approximate': 'Ungenaue Grenzen',
+
+	'basemap.carto': 'CARTO, passend zum Design',
+	'basemap.cartoLight': 'CARTO hell',
+	'basemap.cartoDark': 'CARTO dunkel',
+	'basemap.terrain': 'Gelände',
+	'basemap.custom': 'Eigene Kacheln',
+	'basemap.none': 'Keine',
+
+	'territories.region': 'Gebiete',
+	'territories.title': 'Gebiete um {period}',
+	'territories.close': 'Gebietsliste schließen',
+	'territories.filter': 'Gebiete filtern',
+	'territories.count': {
+		one: '{count} Gebiet',
+		other: '{count} Gebiete'
+	},
+	'territories.countFiltered': {
+		one: '{shown} von {count} Gebiet',
+		other: '{shown} von {count} Gebieten'
+	},
+	'territories.noMatch': 'Keine passenden Gebiete.',
+
+	'changes.region': 'Änderungen seit dem vorigen Zeitraum',
+	'changes.title': 'Änderungen',
+	'changes.close': 'Änderungen schließen',
+	'changes.earliest':
+		'{period} ist der früheste Zeitraum; es gibt nichts, womit er verglichen werden kann.',
+	'changes.comparing': 'Vergleich mit {period}…',
+	'changes.new': 'Neu',
+	'changes.dissolved': 'Aufgelöst',
+	'changes.grown': 'Gewachsen',
+	'changes.shrunk': 'Geschrumpft',
+	'changes.unchanged': 'Unverändert',
+	'changes.was': 'vorher {area} km²',
+
+	'place.title': 'Ein Ort im Lauf der Zeit',
+	'place.close': 'Ortsgeschichte schließen',
+	'place.pick': 'Ort auf der Karte wählen',
+	'place.picking': 'Auf die Karte klicken…',
+	'place.coordinates': 'Breite, Länge',
+	'place.coordinatesLabel': 'Breiten- und Längengrad',
+	'place.go': 'Los',
+	'place.invalid': 'Geben Sie Breiten- und Längengrad ein, z. B. 48.85, 2.35.',
+	'place.empty':
+		'Wählen Sie einen Ort, um zu sehen, welche Gebiete ihn in jedem Zeitraum umfassten.',
+	'place.checking': 'Zeiträume werden geprüft… {done} von {total}',
+	'place.caption': 'Gebiete, die {place} umfassen, nach Zeitraum',
+	'place.period': 'Zeitraum',
+	'place.territory': 'Gebiet',
+	'place.none': 'Kein Gebiet',
+	'place.unnamed': 'Unbenanntes Gebiet',
+
+	'compare.region': 'Vergleich von Zeiträumen',
+	'compare.with': 'Vergleichen mit',
+	'compare.swipe': 'Wischen',
+	'compare.split': 'Nebeneinander',
+	'compare.close': 'Vergleich beenden',
+	'compare.divider': 'Vergleichsteiler zwischen {left} und {right}',
+
+	'map.title': 'Karte. Eingabetaste drücken, um mit der Tastatur zwischen Gebieten zu wechseln.',
+	'map.navStop': '{name}, {index} von {count}.',
+	'map.navHint':
+		'Pfeiltasten und Tab wechseln zwischen Gebieten, die Eingabetaste öffnet Details, Escape beendet.',
+	'map.navLeft': 'Gebietsnavigation beendet.'
+} satisfies Messages;
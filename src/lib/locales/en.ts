@@ -0,0 +1,223 @@
+/**
+ * English UI strings. The keys of this catalog are the message keys; the
+ * other catalogs must translate every one of them.
+ *
+ * `{name}` placeholders are filled from the parameters given to `t`; a
+ * message with `one`/`other` forms is picked by its `count` parameter.
+ */
+export default {
+	'app.title': 'Historical Interactive World Map',
+
+	'header.style': 'Map style and legend',
+	'header.territories': 'List of territories',
+	'header.place': 'Place through time',
+	'header.changes': 'Show changes since the previous period',
+	'header.compare': 'Compare two periods',
+	'header.lightMode': 'Switch to light mode',
+	'header.darkMode': 'Switch to dark mode',
+
+	'language.menu': 'Language and dates',
+	'language.languages': 'Language',
+	'language.eras': 'Dates',
+
+	'status.periodLoaded': {
+		one: '{label}, {count} territory loaded',
+		other: '{label}, {count} territories loaded'
+	},
+
+	'error.period': 'Failed to load historical data: {detail}',
+	'error.export': 'Export failed: {detail}',
+	'error.exportEmpty': 'Nothing to export until a period has loaded.',
+	'error.dataset': 'Failed to load dataset: {detail}',
+	'error.datasetFallback': 'Failed to load dataset, showing {name}: {detail}',
+	'error.tour': 'Failed to load tour: {detail}',
+	'error.place': 'Could not check every period for this place.',
+	'error.changes': 'Could not compare with the previous period.',
+	'error.tracking': 'Could not search other periods: {detail}',
+
+	'timeline.period': 'Historical time period',
+	'timeline.playback': 'Timeline playback',
+	'timeline.previous': 'Previous period',
+	'timeline.next': 'Next period',
+	'timeline.play': 'Play timeline',
+	'timeline.pause': 'Pause timeline',
+	'timeline.yearPlaceholder': 'e.g. {year} or {bcYear}',
+	'timeline.goToYear': 'Go to year',
+	'timeline.typeYear': 'Type a year to jump to the nearest period',
+	'timeline.current': '{label}, activate to type a year',
+	'timeline.scale': 'Timeline scale',
+	'timeline.scale.linear': 'Linear',
+	'timeline.scale.log': 'Logarithmic',
+	'timeline.scale.index': 'Even spacing',
+	'timeline.speed': 'Playback speed {speed}×, activate to change',
+	'timeline.source': 'Data source:',
+
+	'info.region': 'Territory information',
+	'info.unknown': 'Unknown Territory',
+	'info.close': 'Close territory information panel',
+	'info.track': 'Track through time',
+	'info.stopTracking': 'Stop tracking',
+	'info.searching': 'Searching all periods...',
+	'info.notPresent': 'Not present in {period}.',
+	'info.area': 'Area',
+	'info.centre': 'Centre',
+	'info.appears': 'Appears',
+	'info.borders': 'Borders',
+	'info.moreNeighbours': 'and {count} more',
+	'info.noDetails': 'No additional details available for this territory.',
+	'search.placeholder': 'Search territories',
+	'search.label': 'Search territories in all periods',
+	'search.results': 'Search results',
+	'search.unavailable': 'Search is unavailable right now.',
+	'search.noMatch': 'No territories match "{query}".',
+	'search.limit': 'Showing the best {count} matches.',
+	'search.field.ABBREVN': 'Also known as {value}',
+	'search.field.SUBJECTO': 'Subject of {value}',
+	'search.field.PARTOF': 'Part of {value}',
+
+	'dataset.label': 'Dataset',
+
+	'tours.menu': 'Guided tours',
+	'tours.loading': 'Loading tours…',
+	'tours.loadFailed': 'Could not load the list of tours.',
+	'tours.openFile': 'Open a tour file…',
+	'tours.fileTypes': 'JSON or Markdown',
+
+	'tour.region': 'Guided tour: {title}',
+	'tour.end': 'End tour',
+	'tour.previous': 'Previous',
+	'tour.next': 'Next',
+	'tour.finish': 'Finish',
+	'tour.step': 'Step {step} of {count}',
+
+	'userData.menu': 'Load your own data',
+	'userData.popup': 'Your data',
+	'userData.showAs': 'Show the file as',
+	'userData.overlay': 'Overlay on the map',
+	'userData.period': 'Custom period',
+	'userData.year': 'Year',
+	'userData.choose': 'Choose file…',
+	'userData.loading': 'Loading…',
+	'userData.hint': 'GeoJSON or TopoJSON; you can also drop files onto the map.',
+	'userData.dropOverlay': 'Drop a GeoJSON or TopoJSON file to add it as an overlay',
+	'userData.dropPeriod': 'Drop a GeoJSON or TopoJSON file to add it as a custom period',
+	'userData.yearInvalid': 'Enter a year such as {year} or {bcYear} for the custom period.',
+	'userData.wrongType': '{name} is not a {extensions} file.',
+	'userData.loadFailed': 'Could not load {name}: {detail}',
+	'userData.remove': 'Remove',
+	'userData.removeLayer': 'Remove {name}',
+
+	'offline.menu': 'Offline availability',
+	'offline.menuOffline': 'Offline availability (you are offline)',
+	'offline.offline': "You are offline. Stored periods still work; others can't be loaded.",
+	'offline.unsupported': "Offline storage isn't supported in this browser.",
+	'offline.checking': 'Checking stored data…',
+	'offline.complete': {
+		one: 'The period is available offline ({size}).',
+		other: 'All {count} periods are available offline ({size}).'
+	},
+	'offline.partial': '{done} of {total} files stored ({size}).',
+	'offline.partialTotal': '{done} of {total} files stored ({size}); {totalSize} in total.',
+	'offline.progress': 'Download progress',
+	'offline.progressCount': '{done} / {total} files · {size}',
+	'offline.failed': 'The download failed. Periods stored so far are kept; try again to resume.',
+	'offline.cancel': 'Cancel',
+	'offline.download': 'Download all periods',
+	'offline.remove': 'Remove offline data',
+
+	'export.menu': 'Export map',
+	'export.formats': 'Export formats',
+	'export.png': 'Image (PNG)',
+	'export.png.detail': 'Map as shown, with period and attribution',
+	'export.svg': 'Vector (SVG)',
+	'export.svg.detail': 'Territories in view',
+	'export.geojson': 'Data (GeoJSON)',
+	'export.geojson.detail': 'Features of this period',
+	'export.clip': 'Clip GeoJSON to the current view',
+
+	'style.title': 'Map style',
+	'style.close': 'Close map style',
+	'style.colorBy': 'Color by',
+	'style.thematic.default': 'Named / unnamed',
+	'style.thematic.subjecto': 'Overlord (SUBJECTO)',
+	'style.thematic.partof': 'Part of (PARTOF)',
+	'style.thematic.type': 'Society type',
+	'style.precision': 'Mark approximate borders',
+	'style.basemap': 'Basemap',
+	'style.tileTemplate': 'Tile URL template',
+	'style.tileAttribution': 'Tile attribution',
+	'style.tileAttributionPlaceholder': '© Tile provider',
+	'style.useTiles': 'Use',
+	'style.tileInvalid': 'Needs an http(s) URL or a path on this site with {z}, {x} and {y}.',
+	'style.tileHint': 'Raster tiles from your own server, with {z}, {x} and {y} (or {-y}).',
+	'style.tileShowing': 'Showing {template}',
+	'style.globe': 'Show as a globe',
+	'style.legend': 'Legend',
+	'style.otherGroups': {
+		one: 'and {count} smaller group',
+		other: 'and {count} smaller groups'
+	},
+	'style.unspecified': 'Not specified',
+	'style.approximate': 'Approximate borders',
+
+	'basemap.carto': 'CARTO, with the theme',
+	'basemap.cartoLight': 'CARTO light',
+	'basemap.cartoDark': 'CARTO dark',
+	'basemap.terrain': 'Terrain',
+	'basemap.custom': 'Custom tiles',
+	'basemap.none': 'None',
+
+	'territories.region': 'Territories',
+	'territories.title': 'Territories in {period}',
+	'territories.close': 'Close territory list',
+	'territories.filter': 'Filter territories',
+	'territories.count': {
+		one: '{count} territory',
+		other: '{count} territories'
+	},
+	'territories.countFiltered': {
+		one: '{shown} of {count} territory',
+		other: '{shown} of {count} territories'
+	},
+	'territories.noMatch': 'No territories match.',
+
+	'changes.region': 'Changes since the previous period',
+	'changes.title': 'Changes',
+	'changes.close': 'Close changes',
+	'changes.earliest': '{period} is the earliest period; there is nothing to compare it with.',
+	'changes.comparing': 'Comparing with {period}…',
+	'changes.new': 'New',
+	'changes.dissolved': 'Dissolved',
+	'changes.grown': 'Grown',
+	'changes.shrunk': 'Shrunk',
+	'changes.unchanged': 'Unchanged',
+	'changes.was': 'was {area} km²',
+
+	'place.title': 'Place through time',
+	'place.close': 'Close place history',
+	'place.pick': 'Pick a place on the map',
+	'place.picking': 'Click the map…',
+	'place.coordinates': 'Latitude, longitude',
+	'place.coordinatesLabel': 'Latitude and longitude',
+	'place.go': 'Go',
+	'place.invalid': 'Enter a latitude and longitude, e.g. 48.85, 2.35.',
+	'place.empty': 'Choose a place to see which territories covered it in every period.',
+	'place.checking': 'Checking periods… {done} of {total}',
+	'place.caption': 'Territories covering {place} by period',
+	'place.period': 'Period',
+	'place.territory': 'Territory',
+	'place.none': 'No territory',
+	'place.unnamed': 'Unnamed territory',
+
+	'compare.region': 'Period comparison',
+	'compare.with': 'Compare with',
+	'compare.swipe': 'Swipe',
+	'compare.split': 'Side by side',
+	'compare.close': 'Exit comparison mode',
+	'compare.divider': 'Comparison divider between {left} and {right}',
+
+	'map.title': 'Map. Press Enter to move between territories with the keyboard.',
+	'map.navStop': '{name}, {index} of {count}.',
+	'map.navHint': 'Arrow keys and Tab move between territories, Enter opens details, Escape leaves.',
+	'map.navLeft': 'Left territory navigation.'
+};
@@ -0,0 +1,223 @@
+import type { Messages } from '../i18n.js';
+
+export default {
+	'app.title': 'Mapa histórico interactivo del mundo',
+
+	'header.style': 'Estilo del mapa y leyenda',
+	'header.territories': 'Lista de territorios',
+	'header.place': 'Un lugar a través del tiempo',
+	'header.changes': 'Mostrar los cambios desde el periodo anterior',
+	'header.compare': 'Comparar dos periodos',
+	'header.lightMode': 'Cambiar al modo claro',
+	'header.darkMode': 'Cambiar al modo oscuro',
+
+	'language.menu': 'Idioma y fechas',
+	'language.languages': 'Idioma',
+	'language.eras': 'Fechas',
+
+	'status.periodLoaded': {
+		one: '{label}, {count} territorio cargado',
+		other: '{label}, {count} territorios cargados'
+	},
+
+	'error.period': 'No se pudieron cargar los datos históricos: {detail}',
+	'error.export': 'No se pudo exportar: {detail}',
+	'error.exportEmpty': 'No hay nada que exportar hasta que se cargue un período.',
+	'error.dataset': 'No se pudo cargar el conjunto de datos: {detail}',
+	'error.datasetFallback': 'No se pudo cargar el conjunto de datos, se muestra {name}: {detail}',
+	'error.tour': 'No se pudo cargar el recorrido: {detail}',
+	'error.place': 'No se pudieron comprobar todos los periodos para este lugar.',
+	'error.changes': 'No se pudo comparar con el periodo anterior.',
+	'error.tracking': 'No se pudo buscar en los demás periodos: {detail}',
+
+	'timeline.period': 'Periodo histórico',
+	'timeline.playback': 'Reproducción de la línea de tiempo',
+	'timeline.previous': 'Periodo anterior',
+	'timeline.next': 'Periodo siguiente',
+	'timeline.play': 'Reproducir la línea de tiempo',
+	'timeline.pause': 'Pausar la línea de tiempo',
+	'timeline.yearPlaceholder': 'p. ej. {year} o {bcYear}',
+	'timeline.goToYear': 'Ir al año',
+	'timeline.typeYear': 'Escribe un año para ir al periodo más cercano',
+	'timeline.current': '{label}, activa para escribir un año',
+	'timeline.scale': 'Escala de la línea de tiempo',
+	'timeline.scale.linear': 'Lineal',
+	'timeline.scale.log': 'Logarítmica',
+	'timeline.scale.index': 'Espaciado uniforme',
+	'timeline.speed': 'Velocidad de reproducción {speed}×, activa para cambiarla',
+	'timeline.source': 'Fuente de los datos:',
+
+	'info.region': 'Información del territorio',
+	'info.unknown': 'Territorio desconocido',
+	'info.close': 'Cerrar el panel de información',
+	'info.track': 'Seguir a través del tiempo',
+	'info.stopTracking': 'Dejar de seguir',
+	'info.searching': 'Buscando en todos los periodos...',
+	'info.notPresent': 'No existe en {period}.',
+	'info.area': 'Superficie',
+	'info.centre': 'Centro',
+	'info.appears': 'Aparece',
+	'info.borders': 'Fronteras',
+	'info.moreNeighbours': 'y {count} más',
+	'info.noDetails': 'No hay más información sobre este territorio.',
+	'search.placeholder': 'Buscar territorios',
+	'search.label': 'Buscar territorios en todos los periodos',
+	'search.results': 'Resultados de la búsqueda',
+	'search.unavailable': 'La búsqueda no está disponible en este momento.',
+	'search.noMatch': 'Ningún territorio coincide con «{query}».',
+	'search.limit': 'Se muestran los {count} mejores resultados.',
+	'search.field.ABBREVN': 'También llamado {value}',
+	'search.field.SUBJECTO': 'Súbdito de {value}',
+	'search.field.PARTOF': 'Parte de {value}',
+
+	'dataset.label': 'Conjunto de datos',
+
+	'tours.menu': 'Visitas guiadas',
+	'tours.loading': 'Cargando visitas…',
+	'tours.loadFailed': 'No se pudo cargar la lista de visitas.',
+	'tours.openFile': 'Abrir un archivo de visita…',
+	'tours.fileTypes': 'JSON o Markdown',
+
+	'tour.region': 'Visita guiada: {title}',
+	'tour.end': 'Terminar la visita',
+	'tour.previous': 'Anterior',
+	'tour.next': 'Siguiente',
+	'tour.finish': 'Terminar',
+	'tour.step': 'Paso {step} de {count}',
+
+	'userData.menu': 'Cargar tus propios datos',
+	'userData.popup': 'Tus datos',
+	'userData.showAs': 'Mostrar el archivo como',
+	'userData.overlay': 'Capa sobre el mapa',
+	'userData.period': 'Periodo personalizado',
+	'userData.year': 'Año',
+	'userData.choose': 'Elegir archivo…',
+	'userData.loading': 'Cargando…',
+	'userData.hint': 'GeoJSON o TopoJSON; también puedes soltar archivos sobre el mapa.',
+	'userData.dropOverlay': 'Suelta un archivo GeoJSON o TopoJSON para añadirlo como capa',
+	'userData.dropPeriod':
+		'Suelta un archivo GeoJSON o TopoJSON para añadirlo como periodo personalizado',
+	'userData.yearInvalid':
+		'Escribe un año, por ejemplo {year} o {bcYear}, para el periodo personalizado.',
+	'userData.wrongType': '{name} no es un archivo {extensions}.',
+	'userData.loadFailed': 'No se pudo cargar {name}: {detail}',
+	'userData.remove': 'Quitar',
+	'userData.removeLayer': 'Quitar {name}',
+
+	'offline.menu': 'Disponibilidad sin conexión',
+	'offline.menuOffline': 'Disponibilidad sin conexión (estás sin conexión)',
+	'offline.offline':
+		'Estás sin conexión. Los periodos guardados siguen funcionando; los demás no se pueden cargar.',
+	'offline.unsupported': 'Este navegador no admite el almacenamiento sin conexión.',
+	'offline.checking': 'Comprobando los datos guardados…',
+	'offline.complete': {
+		one: 'El periodo está disponible sin conexión ({size}).',
+		other: 'Los {count} periodos están disponibles sin conexión ({size}).'
+	},
+	'offline.partial': '{done} de {total} archivos guardados ({size}).',
+	'offline.partialTotal': '{done} de {total} archivos guardados ({size}); {totalSize} en total.',
+	'offline.progress': 'Progreso de la descarga',
+	'offline.progressCount': '{done} / {total} archivos · {size}',
+	'offline.failed':
+		'La descarga falló. Los periodos guardados hasta ahora se conservan; vuelve a intentarlo para continuar.',
+	'offline.cancel': 'Cancelar',
+	'offline.download': 'Descargar todos los periodos',
+	'offline.remove': 'Eliminar los datos sin conexión',
+
+	'export.menu': 'Exportar el mapa',
+	'export.formats': 'Formatos de exportación',
+	'export.png': 'Imagen (PNG)',
+	'export.png.detail': 'El mapa tal como se ve, con el periodo y la atribución',
+	'export.svg': 'Vectorial (SVG)',
+	'export.svg.detail': 'Territorios a la vista',
+	'export.geojson': 'Datos (GeoJSON)',
+	'export.geojson.detail': 'Entidades de este periodo',
+	'export.clip': 'Recortar el GeoJSON a la vista actual',
+
+	'style.title': 'Estilo del mapa',
+	'style.close': 'Cerrar el estilo del mapa',
+	'style.colorBy': 'Colorear por',
+	'style.thematic.default': 'Con nombre / sin nombre',
+	'style.thematic.subjecto': 'Soberano (SUBJECTO)',
+	'style.thematic.partof': 'Parte de (PARTOF)',
+	'style.thematic.type': 'Tipo de sociedad',
+	'style.precision': 'Marcar las fronteras aproximadas',
+	'style.basemap': 'Mapa base',
+	'style.tileTemplate': 'Plantilla de URL de las teselas',
+	'style.tileAttribution': 'Atribución de las teselas',
+	'style.tileAttributionPlaceholder': '© Proveedor de teselas',
+	'style.useTiles': 'Usar',
+	'style.tileInvalid': 'Se necesita una URL http(s) o una ruta de este sitio con {z}, {x} y {y}.',
+	'style.tileHint': 'Teselas ráster de tu propio servidor, con {z}, {x} y {y} (o {-y}).',
+	'style.tileShowing': 'Mostrando {template}',
+	'style.globe': 'Mostrar como globo',
+	'style.legend': 'Leyenda',
+	'style.otherGroups': {
+		one: 'y {count} grupo más pequeño',
+		other: 'y {count} grupos más pequeños'
+	},
+	'style.unspecified': 'Sin especificar',
+	'style.approximate': 'Fronteras aproximadas',
+
+	'basemap.carto': 'CARTO, según el tema',
+	'basemap.cartoLight': 'CARTO claro',
+	'basemap.cartoDark': 'CARTO oscuro',
+	'basemap.terrain': 'Relieve',
+	'basemap.custom': 'Teselas personalizadas',
+	'basemap.none': 'Ninguno',
+
+	'territories.region': 'Territorios',
+	'territories.title': 'Territorios en {period}',
+	'territories.close': 'Cerrar la lista de territorios',
+	'territories.filter': 'Filtrar territorios',
+	'territories.count': {
+		one: '{count} territorio',
+		other: '{count} territorios'
+	},
+	'territories.countFiltered': {
+		one: '{shown} de {count} territorio',
+		other: '{shown} de {count} territorios'
+	},
+	'territories.noMatch': 'Ningún territorio coincide.',
+
+	'changes.region': 'Cambios desde el periodo anterior',
+	'changes.title': 'Cambios',
+	'changes.close': 'Cerrar los cambios',
+	'changes.earliest': '{period} es el primer periodo; no hay nada con qué compararlo.',
+	'changes.comparing': 'Comparando con {period}…',
+	'changes.new': 'Nuevos',
+	'changes.dissolved': 'Disueltos',
+	'changes.grown': 'Crecidos',
+	'changes.shrunk': 'Reducidos',
+	'changes.unchanged': 'Sin cambios',
+	'changes.was': 'antes {area} km²',
+
+	'place.title': 'Un lugar a través del tiempo',
+	'place.close': 'Cerrar la historia del lugar',
+	'place.pick': 'Elegir un lugar en el mapa',
+	'place.picking': 'Haz clic en el mapa…',
+	'place.coordinates': 'Latitud, longitud',
+	'place.coordinatesLabel': 'Latitud y longitud',
+	'place.go': 'Ir',
+	'place.invalid': 'Escribe una latitud y una longitud, por ejemplo 48.85, 2.35.',
+	'place.empty': 'Elige un lugar para ver qué territorios lo cubrieron en cada periodo.',
+	'place.checking': 'Comprobando periodos… {done} de {total}',
+	'place.caption': 'Territorios que cubren {place} por periodo',
+	'place.period': 'Periodo',
+	'place.territory': 'Territorio',
+	'place.none': 'Ningún territorio',
+	'place.unnamed': 'Territorio sin nombre',
+
+	'compare.region': 'Comparación de periodos',
+	'compare.with': 'Comparar con',
+	'compare.swipe': 'Deslizar',
+	'compare.split': 'Lado a lado',
+	'compare.close': 'Salir de la comparación',
+	'compare.divider': 'Divisor de comparación entre {left} y {right}',
+
+	'map.title': 'Mapa. Pulsa Intro para recorrer los territorios con el teclado.',
+	'map.navStop': '{name}, {index} de {count}.',
+	'map.navHint':
+		'Las flechas y Tab pasan de un territorio a otro, Intro abre los detalles, Escape sale.',
+	'map.navLeft': 'Navegación por territorios terminada.'
+} satisfies Messages;
@@ -0,0 +1,225 @@
+import type { Messages } from '../i18n.js';
+
+export default {
+	'app.title': 'Carte interactive du monde historique',
+
+	'header.style': 'Style de la carte et légende',
+	'header.territories': 'Liste des territoires',
+	'header.place': 'Un lieu à travers le temps',
+	'header.changes': 'Afficher les changements depuis la période précédente',
+	'header.compare': 'Comparer deux périodes',
+	'header.lightMode': 'Passer en mode clair',
+	'header.darkMode': 'Passer en mode sombre',
+
+	'language.menu': 'Langue et dates',
+	'language.languages': 'Langue',
+	'language.eras': 'Dates',
+
+	'status.periodLoaded': {
+		one: '{label}, {count} territoire chargé',
+		other: '{label}, {count} territoires chargés'
+	},
+
+	'error.period': 'Échec du chargement des données historiques : {detail}',
+	'error.export': "Échec de l'export : {detail}",
+	'error.exportEmpty': 'Rien à exporter tant qu’aucune période n’est chargée.',
+	'error.dataset': 'Échec du chargement du jeu de données : {detail}',
+	'error.datasetFallback': 'Échec du chargement du jeu de données, affichage de {name} : {detail}',
+	'error.tour': 'Échec du chargement de la visite : {detail}',
+	'error.place': 'Impossible de vérifier toutes les périodes pour ce lieu.',
+	'error.changes': 'Impossible de comparer avec la période précédente.',
+	'error.tracking': 'Impossible de chercher dans les autres périodes : {detail}',
+
+	'timeline.period': 'Période historique',
+	'timeline.playback': 'Lecture de la frise',
+	'timeline.previous': 'Période précédente',
+	'timeline.next': 'Période suivante',
+	'timeline.play': 'Lire la frise',
+	'timeline.pause': 'Mettre la frise en pause',
+	'timeline.yearPlaceholder': 'ex. {year} ou {bcYear}',
+	'timeline.goToYear': 'Aller à l’année',
+	'timeline.typeYear': 'Saisir une année pour aller à la période la plus proche',
+	'timeline.current': '{label}, activer pour saisir une année',
+	'timeline.scale': 'Échelle de la frise',
+	'timeline.scale.linear': 'Linéaire',
+	'timeline.scale.log': 'Logarithmique',
+	'timeline.scale.index': 'Espacement régulier',
+	'timeline.speed': 'Vitesse de lecture {speed}×, activer pour changer',
+	'timeline.source': 'Source des données :',
+
+	'info.region': 'Informations sur le territoire',
+	'info.unknown': 'Territoire inconnu',
+	'info.close': 'Fermer le panneau d’informations',
+	'info.track': 'Suivre à travers le temps',
+	'info.stopTracking': 'Arrêter le suivi',
+	'info.searching': 'Recherche dans toutes les périodes...',
+	'info.notPresent': 'Absent en {period}.',
+	'info.area': 'Superficie',
+	'info.centre': 'Centre',
+	'info.appears': 'Présence',
+	'info.borders': 'Frontières',
+	'info.moreNeighbours': 'et {count} autres',
+	'info.noDetails': 'Aucune autre information sur ce territoire.',
+	'search.placeholder': 'Rechercher un territoire',
+	'search.label': 'Rechercher des territoires dans toutes les périodes',
+	'search.results': 'Résultats de la recherche',
+	'search.unavailable': 'La recherche n’est pas disponible pour le moment.',
+	'search.noMatch': 'Aucun territoire ne correspond à « {query} ».',
+	'search.limit': 'Affichage des {count} meilleurs résultats.',
+	'search.field.ABBREVN': 'Aussi appelé {value}',
+	'search.field.SUBJECTO': 'Sujet de {value}',
+	'search.field.PARTOF': 'Partie de {value}',
+
+	'dataset.label': 'Jeu de données',
+
+	'tours.menu': 'Visites guidées',
+	'tours.loading': 'Chargement des visites…',
+	'tours.loadFailed': 'Impossible de charger la liste des visites.',
+	'tours.openFile': 'Ouvrir un fichier de visite…',
+	'tours.fileTypes': 'JSON ou Markdown',
+
+	'tour.region': 'Visite guidée : {title}',
+	'tour.end': 'Terminer la visite',
+	'tour.previous': 'Précédent',
+	'tour.next': 'Suivant',
+	'tour.finish': 'Terminer',
+	'tour.step': 'Étape {step} sur {count}',
+
+	'userData.menu': 'Charger vos propres données',
+	'userData.popup': 'Vos données',
+	'userData.showAs': 'Afficher le fichier comme',
+	'userData.overlay': 'Calque sur la carte',
+	'userData.period': 'Période personnalisée',
+	'userData.year': 'Année',
+	'userData.choose': 'Choisir un fichier…',
+	'userData.loading': 'Chargement…',
+	'userData.hint': 'GeoJSON ou TopoJSON ; vous pouvez aussi déposer des fichiers sur la carte.',
+	'userData.dropOverlay': 'Déposez un fichier GeoJSON ou TopoJSON pour l’ajouter comme calque',
+	'userData.dropPeriod':
+		'Déposez un fichier GeoJSON ou TopoJSON pour l’ajouter comme période personnalisée',
+	'userData.yearInvalid':
+		'Saisissez une année, par exemple {year} ou {bcYear}, pour la période personnalisée.',
+	'userData.wrongType': '{name} n’est pas un fichier {extensions}.',
+	'userData.loadFailed': 'Impossible de charger {name} : {detail}',
+	'userData.remove': 'Retirer',
+	'userData.removeLayer': 'Retirer {name}',
+
+	'offline.menu': 'Disponibilité hors ligne',
+	'offline.menuOffline': 'Disponibilité hors ligne (vous êtes hors ligne)',
+	'offline.offline':
+		'Vous êtes hors ligne. Les périodes enregistrées restent disponibles ; les autres ne peuvent pas être chargées.',
+	'offline.unsupported': 'Ce navigateur ne permet pas l’enregistrement hors ligne.',
+	'offline.checking': 'Vérification des données enregistrées…',
+	'offline.complete': {
+		one: 'La période est disponible hors ligne ({size}).',
+		other: 'Les {count} périodes sont disponibles hors ligne ({size}).'
+	},
+	'offline.partial': '{done} fichiers sur {total} enregistrés ({size}).',
+	'offline.partialTotal':
+		'{done} fichiers sur {total} enregistrés ({size}) ; {totalSize} au total.',
+	'offline.progress': 'Progression du téléchargement',
+	'offline.progressCount': '{done} / {total} fichiers · {size}',
+	'offline.failed':
+		'Le téléchargement a échoué. Les périodes déjà enregistrées sont conservées ; réessayez pour reprendre.',
+	'offline.cancel': 'Annuler',
+	'offline.download': 'Télécharger toutes les périodes',
+	'offline.remove': 'Supprimer les données hors ligne',
+
+	'export.menu': 'Exporter la carte',
+	'export.formats': 'Formats d’export',
+	'export.png': 'Image (PNG)',
+	'export.png.detail': 'La carte telle qu’affichée, avec la période et les crédits',
+	'export.svg': 'Vectoriel (SVG)',
+	'export.svg.detail': 'Territoires visibles',
+	'export.geojson': 'Données (GeoJSON)',
+	'export.geojson.detail': 'Entités de cette période',
+	'export.clip': 'Limiter le GeoJSON à la vue actuelle',
+
+	'style.title': 'Style de la carte',
+	'style.close': 'Fermer le style de la carte',
+	'style.colorBy': 'Colorer selon',
+	'style.thematic.default': 'Nommé / sans nom',
+	'style.thematic.subjecto': 'Suzerain (SUBJECTO)',
+	'style.thematic.partof': 'Partie de (PARTOF)',
+	'style.thematic.type': 'Type de société',
+	'style.precision': 'Signaler les frontières approximatives',
+	'style.basemap': 'Fond de carte',
+	'style.tileTemplate': 'Modèle d’URL des tuiles',
+	'style.tileAttribution': 'Crédits des tuiles',
+	'style.tileAttributionPlaceholder': '© Fournisseur des tuiles',
+	'style.useTiles': 'Utiliser',
+	'style.tileInvalid':
+		'Une URL http(s) ou un chemin sur ce site contenant {z}, {x} et {y} est nécessaire.',
+	'style.tileHint': 'Tuiles raster de votre propre serveur, avec {z}, {x} et {y} (ou {-y}).',
+	'style.tileShowing': 'Affichage de {template}',
+	'style.globe': 'Afficher en globe',
+	'style.legend': 'Légende',
+	'style.otherGroups': {
+		one: 'et {count} groupe plus petit',
+		other: 'et {count} groupes plus petits'
+	},
+	'style.unspecified': 'Non précisé',
+	'style.approximate': 'Frontières approximatives',
+
+	'basemap.carto': 'CARTO, selon le thème',
+	'basemap.cartoLight': 'CARTO clair',
+	'basemap.cartoDark': 'CARTO sombre',
+	'basemap.terrain': 'Relief',
+	'basemap.custom': 'Tuiles personnalisées',
+	'basemap.none': 'Aucun',
+
+	'territories.region': 'Territoires',
+	'territories.title': 'Territoires en {period}',
+	'territories.close': 'Fermer la liste des territoires',
+	'territories.filter': 'Filtrer les territoires',
+	'territories.count': {
+		one: '{count} territoire',
+		other: '{count} territoires'
+	},
+	'territories.countFiltered': {
+		one: '{shown} sur {count} territoire',
+		other: '{shown} sur {count} territoires'
+	},
+	'territories.noMatch': 'Aucun territoire ne correspond.',
+
+	'changes.region': 'Changements depuis la période précédente',
+	'changes.title': 'Changements',
+	'changes.close': 'Fermer les changements',
+	'changes.earliest': '{period} est la première période ; il n’y a rien à quoi la comparer.',
+	'changes.comparing': 'Comparaison avec {period}…',
+	'changes.new': 'Nouveaux',
+	'changes.dissolved': 'Disparus',
+	'changes.grown': 'Agrandis',
+	'changes.shrunk': 'Réduits',
+	'changes.unchanged': 'Inchangés',
+	'changes.was': 'auparavant {area} km²',
+
+	'place.title': 'Un lieu à travers le temps',
+	'place.close': 'Fermer l’historique du lieu',
+	'place.pick': 'Choisir un lieu sur la carte',
+	'place.picking': 'Cliquez sur la carte…',
+	'place.coordinates': 'Latitude, longitude',
+	'place.coordinatesLabel': 'Latitude et longitude',
+	'place.go': 'OK',
+	'place.invalid': 'Saisissez une latitude et une longitude, par exemple 48.85, 2.35.',
+	'place.empty': 'Choisissez un lieu pour voir quels territoires l’ont couvert à chaque période.',
+	'place.checking': 'Vérification des périodes… {done} sur {total}',
+	'place.caption': 'Territoires couvrant {place} par période',
+	'place.period': 'Période',
+	'place.territory': 'Territoire',
+	'place.none': 'Aucun territoire',
+	'place.unnamed': 'Territoire sans nom',
+
+	'compare.region': 'Comparaison de périodes',
+	'compare.with': 'Comparer avec',
+	'compare.swipe': 'Balayage',
+	'compare.split': 'Côte à côte',
+	'compare.close': 'Quitter la comparaison',
+	'compare.divider': 'Séparateur de comparaison entre {left} et {right}',
+
+	'map.title': 'Carte. Appuyez sur Entrée pour parcourir les territoires au clavier.',
+	'map.navStop': '{name}, {index} sur {count}.',
+	'map.navHint':
+		'Les flèches et Tab passent d’un territoire à l’autre, Entrée ouvre les détails, Échap quitte.',
+	'map.navLeft': 'Navigation entre les territoires terminée.'
+} satisfies Messages;
@@ -0,0 +1,192 @@
+/**
+ * Offline storage of the map data.
+ *
+ * The service worker (`src/service-worker.ts`) stores `/data/` files in the
+ * {@link DATA_CACHE} Cache Storage bucket as they are fetched. Period files
+ * are named after their content (see {@link isImmutableDataRequest}), so
+ * they are served from the bucket once stored; other files, such as the
+ * territory index, keep their name across releases and are fetched again
+ * when online. {@link downloadAllPeriods} fills the same bucket ahead of time
+ * so every period works without a network. It only stores the
+ * full-resolution files, which the service worker also serves for their
+ * coarse variants (see {@link fullVariantUrl}). Datasets served from outside
+ * `/data/` (see `datasets.ts`) are not cached.
+ *
+ * @module offline
+ */
+
+import { dataFileUrl, type DatasetManifest } from './datasets.js';
+
+/**
+ * Version of the data cache. Regenerated period files get new names, so this
+ * only needs a bump to make every client drop its stored data.
+ */
+export const DATA_VERSION = 1;
+
+/** Cache Storage bucket holding `/data/` files. */
+export const DATA_CACHE = `map-data-v${DATA_VERSION}`;
+
+/** Prefix shared by all data cache names, current and past. */
+export const DATA_CACHE_PREFIX = 'map-data-';
+
+export interface OfflineProgress {
+	/** Files stored so far, including those that were already cached. */
+	done: number;
+	total: number;
+	/** Size of the stored files in bytes. */
+	bytes: number;
+}
+
+/** Whether `url` points at a data file served from `/data/`. */
+export function isDataRequest(url: URL): boolean {
+	return url.pathname.startsWith('/data/');
+}
+
+/**
+ * Whether `url` points at a file named after its content by
+ * `npm run convert-topojson` (e.g. `world_1492.3f9a1c2b7d.topojson`), whose
+ * content never changes.
+ */
+export function isImmutableDataRequest(url: URL): boolean {
+	return isDataRequest(url) && /\.[0-9a-f]{10}(\.coarse)?\.topojson$/.test(url.pathname);
+}
+
+/**
+ * URL of the full-resolution file `url` is the coarse variant of (e.g.
+ * `world_1492.3f9a1c2b7d.topojson` for `world_1492.3f9a1c2b7d.coarse.topojson`),
+ * or `null` if it isn't a coarse variant. Both hold the same features, so
+ * the full file can stand in for the coarse one.
+ */
+export function fullVariantUrl(url: URL): URL | null {
+	if (!isImmutableDataRequest(url) || !url.pathname.endsWith('.coarse.topojson')) return null;
+	const full = new URL(url);
+	full.pathname = url.pathname.replace(/\.coarse\.topojson$/, '.topojson');
+	return full;
+}
+
+/**
+ * URLs of every data file needed to use all periods of `dataset` offline.
+ * Coarse variants are left out: the full files stand in for them.
+ */
+export function dataUrls(dataset: DatasetManifest): string[] {
+	// Periods loaded from the user's own files only live in memory
+	const files = dataset.periods
+		.map((period) => period.file)
+		.filter((file) => !file.startsWith('blob:'));
+	// The territory index is needed for search and tracking
+	if (dataset.index) files.push(dataset.index);
+	return files.map((file) => dataFileUrl(dataset, file));
+}
+
+/** Human-readable size, e.g. "21.4 MB". */
+export function formatBytes(bytes: number): string {
+	if (bytes < 1024) return `${bytes} B`;
+	const units = ['KB', 'MB', 'GB'];
+	let value = bytes / 1024;
+	let unit = 0;
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+	return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+/** Whether this browser can store data for offline use. */
+export function offlineSupported(): boolean {
+	return typeof caches !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+/** Size of a response, from its Content-Length header or else its body. */
+async function responseSize(response: Response): Promise<number> {
+	const length = Number(response.headers.get('Content-Length'));
+	if (Number.isFinite(length) && length > 0) return length;
+	return (await response.clone().blob()).size;
+}
+
+/**
+ * How much of the data is already stored.
+ *
+ * @returns Progress where `done` counts the cached files.
+ */
+export async function getOfflineStatus(dataset: DatasetManifest): Promise<OfflineProgress> {
+	const urls = dataUrls(dataset);
+	const cache = await caches.open(DATA_CACHE);
+	let done = 0;
+	let bytes = 0;
+	for (const url of urls) {
+		const cached = await cache.match(url);
+		if (!cached) continue;
+		done++;
+		bytes += await responseSize(cached);
+	}
+	return { done, total: urls.length, bytes };
+}
+
+/**
+ * Total size of all data files, from HEAD requests. Returns `null` if the
+ * server doesn't report sizes.
+ */
+export async function estimateDownloadSize(dataset: DatasetManifest): Promise<number | null> {
+	const sizes = await Promise.all(
+		dataUrls(dataset).map(async (url) => {
+			const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+			const length = Number(response.headers.get('Content-Length'));
+			return response.ok && length > 0 ? length : NaN;
+		})
+	);
+	const total = sizes.reduce((sum, size) => sum + size, 0);
+	return Number.isFinite(total) ? total : null;
+}
+
+/**
+ * Download every data file into {@link DATA_CACHE}, skipping period files
+ * already stored, and remove period files of earlier releases. Files are
+ * fetched one at a time so progress is meaningful and the network isn't
+ * saturated. Also asks the browser to keep the storage persistent, so it
+ * isn't evicted under storage pressure.
+ *
+ * @throws On the first failed download, or an `AbortError` if `signal` fires.
+ */
+export async function downloadAllPeriods(
+	dataset: DatasetManifest,
+	onprogress: (progress: OfflineProgress) => void,
+	signal?: AbortSignal
+): Promise<OfflineProgress> {
+	await navigator.storage?.persist?.();
+
+	const urls = dataUrls(dataset);
+	const cache = await caches.open(DATA_CACHE);
+	const progress: OfflineProgress = { done: 0, total: urls.length, bytes: 0 };
+	onprogress({ ...progress });
+
+	const current = new Set(urls);
+	const base = dataFileUrl(dataset, '');
+	for (const request of await cache.keys()) {
+		const url = new URL(request.url);
+		const dir = url.pathname.slice(0, url.pathname.lastIndexOf('/') + 1);
+		if (dir === base && isImmutableDataRequest(url) && !current.has(url.pathname)) {
+			await cache.delete(request);
+		}
+	}
+
+	for (const url of urls) {
+		signal?.throwIfAborted();
+		let response = isImmutableDataRequest(new URL(url, location.href))
+			? await cache.match(url)
+			: undefined;
+		if (!response) {
+			response = await fetch(url, { signal });
+			if (!response.ok) throw new Error(`Failed to download ${url}: ${response.statusText}`);
+			await cache.put(url, response.clone());
+		}
+		progress.done++;
+		progress.bytes += await responseSize(response);
+		onprogress({ ...progress });
+	}
+	return progress;
+}
+
+/** Remove all stored data files. */
+export async function clearOfflineData(): Promise<void> {
+	await caches.delete(DATA_CACHE);
+}
@@ -4,68 +4,93 @@
 export interface Period {
 	/** Numeric year. Negative values represent BC (e.g. -3000 = 3000 BC), positive values represent AD. */
 	year: number;
-	/** TopoJSON filename in static/data/ (e.g. "world_bc3000.topojson"). */
+	/** TopoJSON filename in static/data/ (e.g. "world_bc3000.3f9a1c2b7d.topojson"). */
 	file: string;
 	/** Human-readable label shown in the UI (e.g. "3000 BC"). */
 	label: string;
 }
 
+// #region PERIODS, generated from static/data/manifest.json
 /**
- * All 53 historical periods, sorted chronologically from 123,000 BC to 2010 AD.
- * Sourced from the Historical Basemaps dataset by Euratlas-Nüssli.
+ * All 53 historical periods, sorted chronologically from 123000 BC to 2010 AD.
+ * Sourced from the Historical Basemaps dataset by Euratlas-Nüssli. Generated
+ * by `npm run convert-topojson`, together with the files it lists.
  */
 export const PERIODS: Period[] = [
-	{ year: -123000, file: 'world_bc123000.topojson', label: '123000 BC' },
-	{ year: -10000, file: 'world_bc10000.topojson', label: '10000 BC' },
-	{ year: -8000, file: 'world_bc8000.topojson', label: '8000 BC' },
-	{ year: -5000, file: 'world_bc5000.topojson', label: '5000 BC' },
-	{ year: -4000, file: 'world_bc4000.topojson', label: '4000 BC' },
-	{ year: -3000, file: 'world_bc3000.topojson', label: '3000 BC' },
-	{ year: -2000, file: 'world_bc2000.topojson', label: '2000 BC' },
-	{ year: -1500, file: 'world_bc1500.topojson', label: '1500 BC' },
-	{ year: -1000, file: 'world_bc1000.topojson', label: '1000 BC' },
-	{ year: -700, file: 'world_bc700.topojson', label: '700 BC' },
-	{ year: -500, file: 'world_bc500.topojson', label: '500 BC' },
-	{ year: -400, file: 'world_bc400.topojson', label: '400 BC' },
-	{ year: -323, file: 'world_bc323.topojson', label: '323 BC' },
-	{ year: -300, file: 'world_bc300.topojson', label: '300 BC' },
-	{ year: -200, file: 'world_bc200.topojson', label: '200 BC' },
-	{ year: -100, file: 'world_bc100.topojson', label: '100 BC' },
-	{ year: -1, file: 'world_bc1.topojson', label: '1 BC' },
-	{ year: 100, file: 'world_100.topojson', label: '100 AD' },
-	{ year: 200, file: 'world_200.topojson', label: '200 AD' },
-	{ year: 300, file: 'world_300.topojson', label: '300 AD' },
-	{ year: 400, file: 'world_400.topojson', label: '400 AD' },
-	{ year: 500, file: 'world_500.topojson', label: '500 AD' },
-	{ year: 600, file: 'world_600.topojson', label: '600 AD' },
-	{ year: 700, file: 'world_700.topojson', label: '700 AD' },
-	{ year: 800, file: 'world_800.topojson', label: '800 AD' },
-	{ year: 900, file: 'world_900.topojson', label: '900 AD' },
-	{ year: 1000, file: 'world_1000.topojson', label: '1000 AD' },
-	{ year: 1100, file: 'world_1100.topojson', label: '1100 AD' },
-	{ year: 1200, file: 'world_1200.topojson', label: '1200 AD' },
-	{ year: 1279, file: 'world_1279.topojson', label: '1279 AD' },
-	{ year: 1300, file: 'world_1300.topojson', label: '1300 AD' },
-	{ year: 1400, file: 'world_1400.topojson', label: '1400 AD' },
-	{ year: 1492, file: 'world_1492.topojson', label: '1492 AD' },
-	{ year: 1500, file: 'world_1500.topojson', label: '1500 AD' },
-	{ year: 1530, file: 'world_1530.topojson', label: '1530 AD' },
-	{ year: 1600, file: 'world_1600.topojson', label: '1600 AD' },
-	{ year: 1650, file: 'world_1650.topojson', label: '1650 AD' },
-	{ year: 1700, file: 'world_1700.topojson', label: '1700 AD' },
-	{ year: 1715, file: 'world_1715.topojson', label: '1715 AD' },
-	{ year: 1783, file: 'world_1783.topojson', label: '1783 AD' },
-	{ year: 1800, file: 'world_1800.topojson', label: '1800 AD' },
-	{ year: 1815, file: 'world_1815.topojson', label: '1815 AD' },
-	{ year: 1880, file: 'world_1880.topojson', label: '1880 AD' },
-	{ year: 1900, file: 'world_1900.topojson', label: '1900 AD' },
-	{ year: 1914, file: 'world_1914.topojson', label: '1914 AD' },
-	{ year: 1920, file: 'world_1920.topojson', label: '1920 AD' },
-	{ year: 1930, file: 'world_1930.topojson', label: '1930 AD' },
-	{ year: 1938, file: 'world_1938.topojson', label: '1938 AD' },
-	{ year: 1945, file: 'world_1945.topojson', label: '1945 AD' },
-	{ year: 1960, file: 'world_1960.topojson', label: '1960 AD' },
-	{ year: 1994, file: 'world_1994.topojson', label: '1994 AD' },
-	{ year: 2000, file: 'world_2000.topojson', label: '2000 AD' },
-	{ year: 2010, file: 'world_2010.topojson', label: '2010 AD' }
+	{ year: -123000, file: 'world_bc123000.95777c04e6.topojson', label: '123000 BC' },
+	{ year: -10000, file: 'world_bc10000.795325f54c.topojson', label: '10000 BC' },
+	{ year: -8000, file: 'world_bc8000.cd1aacfac9.topojson', label: '8000 BC' },
+	{ year: -5000, file: 'world_bc5000.7dc2dd0719.topojson', label: '5000 BC' },
+	{ year: -4000, file: 'world_bc4000.8e94165238.topojson', label: '4000 BC' },
+	{ year: -3000, file: 'world_bc3000.942329cd6e.topojson', label: '3000 BC' },
+	{ year: -2000, file: 'world_bc2000.e0a55bb3c8.topojson', label: '2000 BC' },
+	{ year: -1500, file: 'world_bc1500.d25bc2b343.topojson', label: '1500 BC' },
+	{ year: -1000, file: 'world_bc1000.bc147161b3.topojson', label: '1000 BC' },
+	{ year: -700, file: 'world_bc700.a1ae6ffec6.topojson', label: '700 BC' },
+	{ year: -500, file: 'world_bc500.56ebcf0560.topojson', label: '500 BC' },
+	{ year: -400, file: 'world_bc400.b10a2401cc.topojson', label: '400 BC' },
+	{ year: -323, file: 'world_bc323.9625d5c4d1.topojson', label: '323 BC' },
+	{ year: -300, file: 'world_bc300.d934b1b574.topojson', label: '300 BC' },
+	{ year: -200, file: 'world_bc200.11123298ea.topojson', label: '200 BC' },
+	{ year: -100, file: 'world_bc100.889933a0ac.topojson', label: '100 BC' },
+	{ year: -1, file: 'world_bc1.d686ec025c.topojson', label: '1 BC' },
+	{ year: 100, file: 'world_100.4d84885af3.topojson', label: '100 AD' },
+	{ year: 200, file: 'world_200.f0a89cbf1e.topojson', label: '200 AD' },
+	{ year: 300, file: 'world_300.40effa28e0.topojson', label: '300 AD' },
+	{ year: 400, file: 'world_400.cce8aeeb56.topojson', label: '400 AD' },
+	{ year: 500, file: 'world_500.2a1adcacb6.topojson', label: '500 AD' },
+	{ year: 600, file: 'world_600.db34613251.topojson', label: '600 AD' },
+	{ year: 700, file: 'world_700.21d7223214.topojson', label: '700 AD' },
+	{ year: 800, file: 'world_800.9b02638037.topojson', label: '800 AD' },
+	{ year: 900, file: 'world_900.04bb7bef95.topojson', label: '900 AD' },
+	{ year: 1000, file: 'world_1000.2159fbe1de.topojson', label: '1000 AD' },
+	{ year: 1100, file: 'world_1100.00976e9a1e.topojson', label: '1100 AD' },
+	{ year: 1200, file: 'world_1200.bb57dab466.topojson', label: '1200 AD' },
+	{ year: 1279, file: 'world_1279.1b7599f202.topojson', label: '1279 AD' },
+	{ year: 1300, file: 'world_1300.b76489a61c.topojson', label: '1300 AD' },
+	{ year: 1400, file: 'world_1400.9c34fffe05.topojson', label: '1400 AD' },
+	{ year: 1492, file: 'world_1492.c1b8c72592.topojson', label: '1492 AD' },
+	{ year: 1500, file: 'world_1500.e6c06d02a2.topojson', label: '1500 AD' },
+	{ year: 1530, file: 'world_1530.08c7b48344.topojson', label: '1530 AD' },
+	{ year: 1600, file: 'world_1600.286e92ac51.topojson', label: '1600 AD' },
+	{ year: 1650, file: 'world_1650.209a80a161.topojson', label: '1650 AD' },
+	{ year: 1700, file: 'world_1700.96e28745e8.topojson', label: '1700 AD' },
+	{ year: 1715, file: 'world_1715.e1bec5afb5.topojson', label: '1715 AD' },
+	{ year: 1783, file: 'world_1783.1503e746cf.topojson', label: '1783 AD' },
+	{ year: 1800, file: 'world_1800.c888fcfd14.topojson', label: '1800 AD' },
+	{ year: 1815, file: 'world_1815.e291087a63.topojson', label: '1815 AD' },
+	{ year: 1880, file: 'world_1880.2adb989b1d.topojson', label: '1880 AD' },
+	{ year: 1900, file: 'world_1900.631f33b76e.topojson', label: '1900 AD' },
+	{ year: 1914, file: 'world_1914.4068e2d556.topojson', label: '1914 AD' },
+	{ year: 1920, file: 'world_1920.47d7d458e3.topojson', label: '1920 AD' },
+	{ year: 1930, file: 'world_1930.2b464582e5.topojson', label: '1930 AD' },
+	{ year: 1938, file: 'world_1938.9a58249eab.topojson', label: '1938 AD' },
+	{ year: 1945, file: 'world_1945.c71cef9f4e.topojson', label: '1945 AD' },
+	{ year: 1960, file: 'world_1960.11b37e25b1.topojson', label: '1960 AD' },
+	{ year: 1994, file: 'world_1994.830ece8c53.topojson', label: '1994 AD' },
+	{ year: 2000, file: 'world_2000.cf6a1d48aa.topojson', label: '2000 AD' },
+	{ year: 2010, file: 'world_2010.1bc6f6ad60.topojson', label: '2010 AD' }
 ];
+// #endregion
+
+/**
+ * Find the index of the period whose year is closest to `year`.
+ * Ties resolve to the earlier period. Returns -1 if `periods` is empty.
+ */
+export function findNearestPeriodIndex(year: number, periods: Period[] = PERIODS): number {
+	let best = -1;
+	let bestDistance = Infinity;
+	for (let i = 0; i < periods.length; i++) {
+		const distance = Math.abs(periods[i].year - year);
+		if (distance < bestDistance) {
+			best = i;
+			bestDistance = distance;
+		}
+	}
+	return best;
+}
+
+/** Label for `year` in the style of the period labels, e.g. "1492 AD" or "500 BC". */
+export function formatYear(year: number): string {
+	return year < 0 ? `${-year} BC` : `${year} AD`;
+}
@@ -0,0 +1,131 @@
+/**
+ * Point queries: which territories covered a place in each period.
+ *
+ * Answering for a whole dataset means checking every period file, more data
+ * than should be kept in memory at once. The worker therefore loads the
+ * files one at a time and keeps only a {@link BoxIndex} of each: the bounding
+ * boxes of its features. A later query skips files where no box contains the
+ * point, and in the others tests only the features whose box does.
+ *
+ * @module placeHistory
+ */
+
+import type { Feature, FeatureCollection, Geometry, Position } from 'geojson';
+import { areaKm2 } from './geo.js';
+import { getTerritoryName } from './territory.js';
+
+/** Bounding boxes of a collection's features, as `west, south, east, north` runs. */
+export type BoxIndex = Float64Array;
+
+/** The territories covering the place in one period. */
+export interface PlaceRow {
+	/** Index of the period in the dataset. */
+	index: number;
+	/** Names of the territories, smallest first; `null` for unnamed ones. */
+	territories: Array<string | null>;
+}
+
+/** Wrap a longitude into [-180, 180), as the data uses. */
+export function normalizePoint([lon, lat]: Position): Position {
+	if (lon >= -180 && lon < 180) return [lon, lat];
+	return [((((lon + 180) % 360) + 360) % 360) - 180, lat];
+}
+
+function polygonsOf(geometry: Geometry | null): Position[][][] {
+	if (geometry?.type === 'Polygon') return [geometry.coordinates];
+	if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+	return [];
+}
+
+/** Build the {@link BoxIndex} of `collection`. Features without area get an empty box. */
+export function boxIndex(collection: FeatureCollection): BoxIndex {
+	const boxes = new Float64Array(collection.features.length * 4);
+	collection.features.forEach((feature, i) => {
+		let west = Infinity;
+		let south = Infinity;
+		let east = -Infinity;
+		let north = -Infinity;
+		for (const rings of polygonsOf(feature.geometry)) {
+			for (const [x, y] of rings[0] ?? []) {
+				west = Math.min(west, x);
+				south = Math.min(south, y);
+				east = Math.max(east, x);
+				north = Math.max(north, y);
+			}
+		}
+		boxes.set([west, south, east, north], i * 4);
+	});
+	return boxes;
+}
+
+/** Indices of the features whose box contains `point`. */
+export function candidates(boxes: BoxIndex, [x, y]: Position): number[] {
+	const found: number[] = [];
+	for (let i = 0; i < boxes.length; i += 4) {
+		if (x >= boxes[i] && x <= boxes[i + 2] && y >= boxes[i + 1] && y <= boxes[i + 3]) {
+			found.push(i / 4);
+		}
+	}
+	return found;
+}
+
+/**
+ * Whether `point` lies in `geometry`. Each polygon's rings are tested
+ * together by the even-odd rule, so holes are excluded whichever way they
+ * wind.
+ */
+export function containsPoint(geometry: Geometry | null, [x, y]: Position): boolean {
+	return polygonsOf(geometry).some((rings) => {
+		let inside = false;
+		for (const ring of rings) {
+			for (let j = 0, k = ring.length - 1; j < ring.length; k = j++) {
+				const [xj, yj] = ring[j];
+				const [xk, yk] = ring[k];
+				if (yj > y !== yk > y && x < ((xk - xj) * (y - yj)) / (yk - yj) + xj) {
+					inside = !inside;
+				}
+			}
+		}
+		return inside;
+	});
+}
+
+/**
+ * Names of the territories of `collection` covering `point`, smallest first,
+ * so a state is listed before a wider cultural area around it. An entity
+ * made of several matching features is listed once.
+ */
+export function territoriesAt(
+	collection: FeatureCollection,
+	boxes: BoxIndex,
+	point: Position
+): Array<string | null> {
+	const matches = candidates(boxes, point)
+		.map((i) => collection.features[i])
+		.filter((feature: Feature) => containsPoint(feature.geometry, point))
+		.map((feature) => ({
+			name: feature.properties ? getTerritoryName(feature.properties) : null,
+			km2: areaKm2(feature.geometry)
+		}))
+		.sort((a, b) => a.km2 - b.km2);
+
+	const names: Array<string | null> = [];
+	for (const { name } of matches) {
+		if (!names.includes(name)) names.push(name);
+	}
+	return names;
+}
+
+/** `[longitude, latitude]` read from text such as "48.85, 2.35" (latitude first), or `null`. */
+export function parseCoordinates(text: string): Position | null {
+	const match = text
+		.trim()
+		.match(/^(-?\d+(?:\.\d+)?)\s*°?\s*([NS])?\s*[,;\s]\s*(-?\d+(?:\.\d+)?)\s*°?\s*([EW])?$/i);
+	if (!match) return null;
+	let lat = Number(match[1]);
+	let lon = Number(match[3]);
+	if (match[2]?.toUpperCase() === 'S') lat = -lat;
+	if (match[4]?.toUpperCase() === 'W') lon = -lon;
+	if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+	return [lon, lat];
+}
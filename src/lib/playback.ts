@@ -0,0 +1,65 @@
+/**
+ * Timeline playback: which period play, step and the playback timer lead to,
+ * and how long each period stays on screen. `TimeSlider.svelte` drives it.
+ *
+ * Playback advances one period at a time, waiting for each to be shown
+ * before its dwell time starts, and stops on the last period. Pressing play
+ * there starts over from the first.
+ *
+ * @module playback
+ */
+
+/** How long each period stays on screen during playback at 1× speed. */
+export const BASE_DWELL_MS = 1500;
+
+/** Playback speeds the speed button cycles through. */
+export const PLAYBACK_SPEEDS: number[] = [0.5, 1, 2, 4];
+
+/** The speed after `speed` in {@link PLAYBACK_SPEEDS}, wrapping around. */
+export function nextSpeed(speed: number): number {
+	return PLAYBACK_SPEEDS[(PLAYBACK_SPEEDS.indexOf(speed) + 1) % PLAYBACK_SPEEDS.length];
+}
+
+/** How long each period stays on screen at `speed`, in milliseconds. */
+export function dwellTime(speed: number): number {
+	return BASE_DWELL_MS / speed;
+}
+
+/**
+ * The period playback starts from when play is pressed on the period at
+ * `index` of `count`: that period, or the first once the last is reached.
+ */
+export function playbackStart(index: number, count: number): number {
+	return index >= count - 1 ? 0 : index;
+}
+
+/**
+ * The period one step in `direction` from the one at `index` of `count`, or
+ * -1 past either end.
+ */
+export function stepIndex(index: number, direction: -1 | 1, count: number): number {
+	const newIndex = index + direction;
+	return newIndex >= 0 && newIndex < count ? newIndex : -1;
+}
+
+/**
+ * Wait out the dwell time at `speed` of the period at `index` of `count`,
+ * which is on screen, then advance to the next period, or stop if it is
+ * the last one.
+ *
+ * @returns A function cancelling the wait.
+ */
+export function scheduleAdvance(
+	index: number,
+	count: number,
+	speed: number,
+	onadvance: (index: number) => void,
+	onstop: () => void
+): () => void {
+	const timer = setTimeout(() => {
+		const next = stepIndex(index, 1, count);
+		if (next === -1) onstop();
+		else onadvance(next);
+	}, dwellTime(speed));
+	return () => clearTimeout(timer);
+}
@@ -0,0 +1,122 @@
+/**
+ * Full-text search of territory names across all periods, backed by the
+ * territory index so no period data has to be downloaded.
+ *
+ * @module search
+ */
+
+import type { Period } from './periodsConfig.js';
+import type { TerritoryIndex, TerritoryIndexEntry } from './territoryIndex.js';
+
+/** Territory property a search result matched on. */
+export type SearchField = 'NAME' | 'ABBREVN' | 'SUBJECTO' | 'PARTOF';
+
+export interface SearchResult {
+	periodIndex: number;
+	/** NAME of the matching territory. */
+	name: string;
+	field: SearchField;
+	/** The matched value; differs from `name` unless `field` is NAME. */
+	value: string;
+	bounds: [number, number, number, number];
+}
+
+/** Results for one period, in the order they should be listed. */
+export interface SearchGroup {
+	periodIndex: number;
+	results: SearchResult[];
+}
+
+/** Lowercase and strip diacritics so "chimu" finds "Chimú". */
+export function normalize(text: string): string {
+	return text
+		.normalize('NFD')
+		.replace(/\p{Diacritic}/gu, '')
+		.toLowerCase()
+		.trim();
+}
+
+/**
+ * Score how well `value` matches the normalized `query`: 0 for an exact
+ * match, 1 for a prefix, 2 for a word prefix, 3 for any substring, or
+ * `null` if it does not match. Lower is better.
+ */
+function scoreMatch(value: string, query: string): number | null {
+	const text = normalize(value);
+	if (text === query) return 0;
+	if (text.startsWith(query)) return 1;
+	const at = text.indexOf(query);
+	if (at === -1) return null;
+	return /[\s\-(']/.test(text[at - 1]) ? 2 : 3;
+}
+
+function matchEntry(
+	entry: TerritoryIndexEntry,
+	query: string
+): { field: SearchField; value: string; score: number } | null {
+	const fields: Array<[SearchField, string | undefined]> = [
+		['NAME', entry.n],
+		['ABBREVN', entry.a],
+		['SUBJECTO', entry.s],
+		['PARTOF', entry.p]
+	];
+	for (const [field, value] of fields) {
+		if (!value) continue;
+		const score = scoreMatch(value, query);
+		// Matches on the territory's own name rank above matches on its overlord.
+		if (score !== null) return { field, value, score: field === 'NAME' ? score : score + 4 };
+	}
+	return null;
+}
+
+/**
+ * Search territory names (NAME, ABBREVN, SUBJECTO, PARTOF) in every period.
+ *
+ * Results are grouped by period in chronological order; within a period the
+ * best matches come first. At most `limit` results are returned, keeping the
+ * best-scoring ones.
+ */
+export function searchTerritories(
+	index: TerritoryIndex,
+	periods: Period[],
+	query: string,
+	limit = 100
+): SearchGroup[] {
+	const q = normalize(query);
+	if (q.length === 0) return [];
+
+	const scored: Array<{ result: SearchResult; score: number }> = [];
+	periods.forEach((period, periodIndex) => {
+		for (const entry of index.periods[period.file] ?? []) {
+			const match = matchEntry(entry, q);
+			if (match) {
+				const { score, field, value } = match;
+				scored.push({
+					result: { periodIndex, name: entry.n, field, value, bounds: entry.b },
+					score
+				});
+			}
+		}
+	});
+
+	const kept = scored
+		.sort((a, b) => a.score - b.score)
+		.slice(0, limit)
+		.sort(
+			(a, b) =>
+				a.result.periodIndex - b.result.periodIndex ||
+				a.score - b.score ||
+				a.result.name.localeCompare(b.result.name)
+		);
+
+	const groups: SearchGroup[] = [];
+	for (const { result } of kept) {
+		const last = groups[groups.length - 1];
+		if (last?.periodIndex === result.periodIndex) {
+			last.results.push(result);
+		} else {
+			groups.push({ periodIndex: result.periodIndex, results: [result] });
+		}
+	}
+	return groups;
+}
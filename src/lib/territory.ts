@@ -0,0 +1,18 @@
+/**
+ * Helpers for reading territory feature properties.
+ *
+ * Name keys vary between periods of the Historical Basemaps dataset: most use
+ * `NAME`, but some files use `name` or `NAME_EN`.
+ */
+
+/** Property keys that may hold a territory's name, in order of preference. */
+export const NAME_KEYS = ['NAME', 'name', 'NAME_EN'] as const;
+
+/** Return the territory's name, or `null` if none of the name keys is set. */
+export function getTerritoryName(props: Record<string, unknown>): string | null {
+	for (const key of NAME_KEYS) {
+		const value = props[key];
+		if (value != null && String(value).trim() !== '') return String(value);
+	}
+	return null;
+}
@@ -0,0 +1,244 @@
+/**
+ * Content of the InfoPanel: a territory's properties formatted according to
+ * the dataset's property schema, and facts computed from its geometry.
+ *
+ * Properties are shown by type:
+ * - `url`: links, several per value if it holds more than one address
+ * - `entity`: the name of another territory (e.g. SUBJECTO), which the panel
+ *   offers to select; omitted when it names the territory itself
+ * - `precision`: BORDERPRECISION, shown as its readable label
+ *
+ * Undescribed properties follow, with a prettified key, and URL values as
+ * links.
+ *
+ * @module territoryDetails
+ */
+
+import type { Feature, FeatureCollection, Position } from 'geojson';
+import type { PropertySchema } from './datasets.js';
+import { areaKm2 } from './geo.js';
+import { NAME_KEYS, getTerritoryName } from './territory.js';
+import { precisionLabel } from './thematic.js';
+
+export interface DisplayLink {
+	href: string;
+	text: string;
+}
+
+export interface DisplayEntry {
+	key: string;
+	label: string;
+	/** The value as text; for `entity` entries, the other territory's name. */
+	value: string;
+	kind: 'text' | 'links' | 'entity';
+	/** Set for `links` entries. */
+	links?: DisplayLink[];
+}
+
+const SKIP_KEYS = new Set<string>(NAME_KEYS);
+
+const URL_PATTERN = /https?:\/\/[^\s,;|<>"]+/gi;
+
+/**
+ * Short text for a link: the article title of Wikipedia links, otherwise the
+ * host name.
+ */
+export function linkText(href: string): string {
+	try {
+		const url = new URL(href);
+		const host = url.hostname.replace(/^www\./, '');
+		const article = url.pathname.match(/^\/wiki\/(.+)/);
+		if (host.endsWith('wikipedia.org') && article) {
+			return `Wikipedia: ${decodeURIComponent(article[1]).replace(/_/g, ' ')}`;
+		}
+		return host;
+	} catch {
+		return href;
+	}
+}
+
+function links(value: string): DisplayLink[] {
+	return [...value.matchAll(URL_PATTERN)].map(([href]) => ({ href, text: linkText(href) }));
+}
+
+function hasValue(value: unknown): boolean {
+	return value != null && String(value).trim() !== '';
+}
+
+function entry(
+	key: string,
+	label: string,
+	value: unknown,
+	type: PropertySchema['type'],
+	name: string | null
+): DisplayEntry | null {
+	const text = String(value).trim();
+	switch (type) {
+		case 'url': {
+			const found = links(text);
+			return found.length > 0 ? { key, label, value: text, kind: 'links', links: found } : null;
+		}
+		case 'entity':
+			return text === name ? null : { key, label, value: text, kind: 'entity' };
+		case 'precision':
+			return { key, label, value: precisionLabel(value) ?? text, kind: 'text' };
+		default:
+			return { key, label, value: text, kind: 'text' };
+	}
+}
+
+/**
+ * Properties worth showing: those described by the dataset's schema first,
+ * under their labels, then any others with a prettified key.
+ */
+export function displayEntries(
+	props: Record<string, unknown>,
+	schema: PropertySchema[]
+): DisplayEntry[] {
+	const name = getTerritoryName(props);
+	const entries: DisplayEntry[] = [];
+	const described = new Set<string>();
+	for (const property of schema) {
+		described.add(property.key);
+		const value = props[property.key];
+		if (SKIP_KEYS.has(property.key) || !hasValue(value)) continue;
+		const shown = entry(property.key, property.label, value, property.type, name);
+		if (shown) entries.push(shown);
+	}
+	for (const [key, value] of Object.entries(props)) {
+		if (SKIP_KEYS.has(key) || described.has(key) || !hasValue(value)) continue;
+		const label = key.replace(/_/g, ' ').replace(/\b\w/g, (l) => l.toUpperCase());
+		const type = /^https?:\/\//i.test(String(value).trim()) ? 'url' : 'string';
+		const shown = entry(key, label, value, type, name);
+		if (shown) entries.push(shown);
+	}
+	return entries;
+}
+
+export interface TerritoryFacts {
+	/** Combined area of the entity's features. */
+	km2: number;
+	/** Area-weighted centre of the entity as [longitude, latitude], or `null` without area. */
+	centroid: Position | null;
+	/** Names of the territories sharing a border with the entity, longest border first. */
+	neighbours: string[];
+}
+
+/** Features of `collection` belonging to the entity named `name`. */
+export function entityFeatures(collection: FeatureCollection, name: string): Feature[] {
+	return collection.features.filter(
+		(feature) => feature.properties && getTerritoryName(feature.properties) === name
+	);
+}
+
+/** Rings of every polygon of a feature, outer ring first. */
+function polygonsOf(feature: Feature): Position[][][] {
+	const geometry = feature.geometry;
+	if (geometry?.type === 'Polygon') return [geometry.coordinates];
+	if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+	return [];
+}
+
+/**
+ * Planar centroid of `features` in degrees, holes subtracted. Winding is
+ * ignored, since the data mixes both.
+ */
+function centroidOf(features: Feature[]): Position | null {
+	let area = 0;
+	let x = 0;
+	let y = 0;
+	for (const feature of features) {
+		for (const rings of polygonsOf(feature)) {
+			rings.forEach((ring, i) => {
+				let ringArea = 0;
+				let cx = 0;
+				let cy = 0;
+				for (let j = 0, k = ring.length - 1; j < ring.length; k = j++) {
+					const cross = ring[k][0] * ring[j][1] - ring[j][0] * ring[k][1];
+					ringArea += cross;
+					cx += (ring[k][0] + ring[j][0]) * cross;
+					cy += (ring[k][1] + ring[j][1]) * cross;
+				}
+				if (ringArea === 0) return;
+				// Outer rings add, holes subtract, whichever way they wind
+				const sign = (i === 0 ? 1 : -1) * Math.sign(ringArea);
+				area += (sign * ringArea) / 2;
+				x += (sign * cx) / 6;
+				y += (sign * cy) / 6;
+			});
+		}
+	}
+	return area > 0 ? [x / area, y / area] : null;
+}
+
+const vertexKey = ([x, y]: Position) => `${x},${y}`;
+
+/** [west, south, east, north] of a feature's outer rings. */
+function boxOf(feature: Feature): [number, number, number, number] {
+	const box: [number, number, number, number] = [Infinity, Infinity, -Infinity, -Infinity];
+	for (const rings of polygonsOf(feature)) {
+		for (const [x, y] of rings[0] ?? []) {
+			box[0] = Math.min(box[0], x);
+			box[1] = Math.min(box[1], y);
+			box[2] = Math.max(box[2], x);
+			box[3] = Math.max(box[3], y);
+		}
+	}
+	return box;
+}
+
+/**
+ * Named territories sharing vertices with `features`. Period files are
+ * TopoJSON, so neighbours' common borders have identical coordinates.
+ */
+function neighboursOf(collection: FeatureCollection, features: Feature[], name: string): string[] {
+	const vertices = new Set<string>();
+	const box: [number, number, number, number] = [Infinity, Infinity, -Infinity, -Infinity];
+	for (const feature of features) {
+		for (const rings of polygonsOf(feature)) {
+			for (const ring of rings) {
+				for (const position of ring) vertices.add(vertexKey(position));
+			}
+		}
+		const [west, south, east, north] = boxOf(feature);
+		box[0] = Math.min(box[0], west);
+		box[1] = Math.min(box[1], south);
+		box[2] = Math.max(box[2], east);
+		box[3] = Math.max(box[3], north);
+	}
+
+	const shared = new Map<string, number>();
+	for (const feature of collection.features) {
+		const other = feature.properties ? getTerritoryName(feature.properties) : null;
+		if (other === null || other === name) continue;
+		const [west, south, east, north] = boxOf(feature);
+		if (west > box[2] || east < box[0] || south > box[3] || north < box[1]) continue;
+		let count = 0;
+		for (const rings of polygonsOf(feature)) {
+			for (const ring of rings) {
+				count += ring.filter((position) => vertices.has(vertexKey(position))).length;
+			}
+		}
+		if (count > 0) shared.set(other, (shared.get(other) ?? 0) + count);
+	}
+	return [...shared]
+		.sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+		.map(([other]) => other);
+}
+
+/** Area, centroid and neighbours of the entity named `name` in `collection`. */
+export function territoryFacts(collection: FeatureCollection, name: string): TerritoryFacts {
+	const features = entityFeatures(collection, name);
+	return {
+		km2: features.reduce((sum, feature) => sum + areaKm2(feature.geometry), 0),
+		centroid: centroidOf(features),
+		neighbours: neighboursOf(collection, features, name)
+	};
+}
+
+/** `[longitude, latitude]` as e.g. "48.9° N, 2.4° E". */
+export function formatCoordinates([lon, lat]: Position): string {
+	const ns = `${Math.abs(lat).toFixed(1)}° ${lat < 0 ? 'S' : 'N'}`;
+	const ew = `${Math.abs(lon).toFixed(1)}° ${lon < 0 ? 'W' : 'E'}`;
+	return `${ns}, ${ew}`;
+}
@@ -0,0 +1,107 @@
+/**
+ * Types and queries for the territory index written by
+ * `scripts/convert-topojson.js` to `static/data/territory-index.json`.
+ *
+ * The index lists the named territories of every period file with their
+ * area and bounds, so questions that span all periods (e.g. "when did this entity
+ * exist?") can be answered without downloading every period.
+ *
+ * @module territoryIndex
+ */
+
+import type { Period } from './periodsConfig.js';
+
+/** One named territory in a period. Features sharing a NAME are merged. */
+export interface TerritoryIndexEntry {
+	/** NAME */
+	n: string;
+	/** ABBREVN, omitted when equal to NAME. */
+	a?: string;
+	/** SUBJECTO, omitted when equal to NAME. */
+	s?: string;
+	/** PARTOF, omitted when equal to NAME. */
+	p?: string;
+	/** Total area in km². */
+	km2: number;
+	/** Bounds as [west, south, east, north]; west > east when crossing the antimeridian. */
+	b: [number, number, number, number];
+}
+
+export interface TerritoryIndex {
+	version: number;
+	/** Entries keyed by period filename (e.g. "world_1492.topojson"). */
+	periods: Record<string, TerritoryIndexEntry[]>;
+}
+
+/** Identifying properties of the entity being followed through time. */
+export interface EntityKey {
+	name: string;
+	abbrevn?: string;
+}
+
+/**
+ * How a period's territory was matched to the entity:
+ * - `name`: same NAME
+ * - `abbrevn`: same ABBREVN (the entity was renamed)
+ * - `subjecto`: territories whose SUBJECTO is the entity's NAME (the entity
+ *   only appears as the overlord of its dependencies)
+ */
+export type LineageMatch = 'name' | 'abbrevn' | 'subjecto';
+
+/** The entity's presence in one period. */
+export interface LineageEntry {
+	periodIndex: number;
+	/** NAME of the matched territory (the entity's own name for `subjecto` matches). */
+	name: string;
+	match: LineageMatch;
+	areaKm2: number;
+}
+
+/** Build an {@link EntityKey} from a territory's feature properties. */
+export function entityKeyFromProperties(props: Record<string, unknown>, name: string): EntityKey {
+	const key: EntityKey = { name };
+	if (typeof props.ABBREVN === 'string' && props.ABBREVN !== '') key.abbrevn = props.ABBREVN;
+	return key;
+}
+
+function matchPeriod(
+	entries: TerritoryIndexEntry[],
+	key: EntityKey
+): Omit<LineageEntry, 'periodIndex'> | null {
+	const byName = entries.find((e) => e.n === key.name);
+	if (byName) return { name: byName.n, match: 'name', areaKm2: byName.km2 };
+
+	if (key.abbrevn) {
+		const byAbbrevn = entries.find((e) => (e.a ?? e.n) === key.abbrevn);
+		if (byAbbrevn) return { name: byAbbrevn.n, match: 'abbrevn', areaKm2: byAbbrevn.km2 };
+	}
+
+	const subjects = entries.filter((e) => e.s === key.name);
+	if (subjects.length > 0) {
+		const areaKm2 = subjects.reduce((sum, e) => sum + e.km2, 0);
+		return { name: key.name, match: 'subjecto', areaKm2 };
+	}
+
+	return null;
+}
+
+/**
+ * Find every period in which the entity identified by `key` exists.
+ * Periods missing from the index are treated as not containing it.
+ *
+ * @returns One entry per matching period, in chronological order.
+ */
+export function findLineage(
+	index: TerritoryIndex,
+	periods: Period[],
+	key: EntityKey
+): LineageEntry[] {
+	const lineage: LineageEntry[] = [];
+	periods.forEach((period, periodIndex) => {
+		const entries = index.periods[period.file];
+		if (!entries) return;
+		const match = matchPeriod(entries, key);
+		if (match) lineage.push({ periodIndex, ...match });
+	});
+	return lineage;
+}
@@ -0,0 +1,89 @@
+/**
+ * Keyboard navigation of territories and the names the territory list offers.
+ *
+ * The map's keyboard mode moves between territories rather than pixels: each
+ * named entity is one stop, at its label point (see `labels.ts`). Tab steps
+ * through the stops in reading order, north to south and west to east within
+ * bands of latitude; arrow keys jump to the nearest stop in that direction.
+ *
+ * @module territoryNav
+ */
+
+import type { FeatureCollection, Position } from 'geojson';
+import type { TerritoryLabels } from './labels.js';
+import { getTerritoryName } from './territory.js';
+
+export interface NavStop {
+	name: string;
+	/** [longitude, latitude] the camera moves to. */
+	point: Position;
+}
+
+export type NavDirection = 'up' | 'down' | 'left' | 'right';
+
+/** Height in degrees of the latitude bands of the reading order. */
+const ROW_DEGREES = 10;
+
+/** Weight of the distance across the direction of travel relative to along it. */
+const OFF_AXIS_WEIGHT = 2;
+
+/** Stops of the named entities of `labels`, in reading order. */
+export function navStops(labels: TerritoryLabels): NavStop[] {
+	return labels.features
+		.map((feature) => ({ name: feature.properties.name, point: feature.geometry.coordinates }))
+		.sort((a, b) => {
+			const rowA = Math.floor(-a.point[1] / ROW_DEGREES);
+			const rowB = Math.floor(-b.point[1] / ROW_DEGREES);
+			return rowA - rowB || a.point[0] - b.point[0];
+		});
+}
+
+/** Index of the stop closest to `point`, or -1 without stops. */
+export function nearestStop(stops: NavStop[], point: Position): number {
+	let best = -1;
+	let bestDistance = Infinity;
+	stops.forEach((stop, i) => {
+		const distance = Math.hypot(stop.point[0] - point[0], stop.point[1] - point[1]);
+		if (distance < bestDistance) {
+			best = i;
+			bestDistance = distance;
+		}
+	});
+	return best;
+}
+
+/**
+ * Index of the stop an arrow key moves to from stop `from`: the closest one
+ * lying in `direction`, where distance across the direction of travel counts
+ * double. `from` itself when there is none.
+ */
+export function stepStop(stops: NavStop[], from: number, direction: NavDirection): number {
+	const origin = stops[from]?.point;
+	if (!origin) return from;
+	let best = from;
+	let bestScore = Infinity;
+	stops.forEach((stop, i) => {
+		const dx = stop.point[0] - origin[0];
+		const dy = stop.point[1] - origin[1];
+		const along =
+			direction === 'right' ? dx : direction === 'left' ? -dx : direction === 'up' ? dy : -dy;
+		const across = direction === 'left' || direction === 'right' ? dy : dx;
+		if (i === from || along <= 0) return;
+		const score = along + OFF_AXIS_WEIGHT * Math.abs(across);
+		if (score < bestScore) {
+			best = i;
+			bestScore = score;
+		}
+	});
+	return best;
+}
+
+/** Names of the named entities of `collection`, alphabetically. */
+export function territoryNames(collection: FeatureCollection): string[] {
+	const names = new Set<string>();
+	for (const feature of collection.features) {
+		const name = feature.properties ? getTerritoryName(feature.properties) : null;
+		if (name !== null) names.add(name);
+	}
+	return [...names].sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,223 @@
+/**
+ * Thematic styling: coloring territories by one of their properties.
+ *
+ * - `subjecto` / `partof`: each territory takes the color of its overlord
+ *   (SUBJECTO) or of the entity it is part of (PARTOF), falling back to its
+ *   own name, so an empire and its dependencies read as one bloc
+ * - `type`: categorical colors for the kind of society (culture, state, …)
+ *
+ * Entity colors are derived from a hash of the entity's name rather than its
+ * position in a period, so an entity keeps the same color across periods.
+ *
+ * @module thematic
+ */
+
+import type { Feature, FeatureCollection } from 'geojson';
+import { areaKm2 } from './geo.js';
+import type { MessageKey } from './i18n.js';
+import { getTerritoryName } from './territory.js';
+
+export type ThematicStyle = 'default' | 'subjecto' | 'partof' | 'type';
+
+/** The styles, with the message key of their name. */
+export const THEMATIC_STYLES: Array<{ value: ThematicStyle; label: MessageKey }> = [
+	{ value: 'default', label: 'style.thematic.default' },
+	{ value: 'subjecto', label: 'style.thematic.subjecto' },
+	{ value: 'partof', label: 'style.thematic.partof' },
+	{ value: 'type', label: 'style.thematic.type' }
+];
+
+export function isThematicStyle(value: unknown): value is ThematicStyle {
+	return THEMATIC_STYLES.some((style) => style.value === value);
+}
+
+/** Fill of territories the chosen property says nothing about; also the map's unnamed fill. */
+export const UNSPECIFIED_COLOR: Record<'light' | 'dark', string> = {
+	light: '#95a5a6',
+	dark: '#546577'
+};
+
+/**
+ * Categories of the `type` property. Its values are free text ("pastoral
+ * nomads", "complex farming society / chiefdom", …), so they are matched by
+ * keyword, first match wins.
+ */
+export const TYPE_CATEGORIES: Array<{ label: string; color: string; pattern: RegExp }> = [
+	{ label: 'Hunter-gatherers', color: '#59a14f', pattern: /hunter|forager|gatherer/ },
+	{ label: 'Pastoralists', color: '#edc948', pattern: /pastoral|nomad/ },
+	{ label: 'Farming societies', color: '#9c755f', pattern: /farm|agricult|chiefdom/ },
+	{ label: 'States', color: '#4e79a7', pattern: /state|kingdom|empire/ },
+	{ label: 'Cultures', color: '#f28e2b', pattern: /cultur|civili[sz]ation/ }
+];
+
+/** Category of `type` values that match none of the {@link TYPE_CATEGORIES}. */
+export const OTHER_TYPE = { label: 'Other', color: '#b07aa1' };
+
+/** Highest BORDERPRECISION drawn as approximate (1 = approximate, 3 = international law). */
+export const LOW_PRECISION = 1;
+
+/** Readable meaning of each BORDERPRECISION value. */
+export const PRECISION_LABELS: Record<number, string> = {
+	1: 'Approximate',
+	2: 'Moderately precise',
+	3: 'Determined by international law'
+};
+
+/** Label of a BORDERPRECISION value, or `null` for values without one. */
+export function precisionLabel(value: unknown): string | null {
+	return value == null || value === '' ? null : (PRECISION_LABELS[Number(value)] ?? null);
+}
+
+/**
+ * Whether the feature's borders are approximate. Missing values count as
+ * precise, so only borders the data flags are marked.
+ */
+export function isLowPrecision(props: Record<string, unknown>): boolean {
+	const value = Number(props.BORDERPRECISION ?? Infinity);
+	return Number.isFinite(value) && value <= LOW_PRECISION;
+}
+
+/** Non-empty string value of `props[key]`, or `null`. */
+function stringValue(props: Record<string, unknown>, key: string): string | null {
+	const value = props[key];
+	return value != null && String(value).trim() !== '' ? String(value).trim() : null;
+}
+
+/** Category label of a `type` value. */
+export function typeCategory(value: string): { label: string; color: string } {
+	const lower = value.toLowerCase();
+	return TYPE_CATEGORIES.find((category) => category.pattern.test(lower)) ?? OTHER_TYPE;
+}
+
+/**
+ * The group a feature belongs to under `style`: the overlord or parent
+ * entity's name, or the society type category. `null` when the feature has
+ * no value to group by, and always for the default style.
+ */
+export function thematicKey(props: Record<string, unknown>, style: ThematicStyle): string | null {
+	switch (style) {
+		case 'subjecto':
+			return stringValue(props, 'SUBJECTO') ?? getTerritoryName(props);
+		case 'partof':
+			return stringValue(props, 'PARTOF') ?? getTerritoryName(props);
+		case 'type': {
+			// Most periods use `type`; a few use `TYPE`
+			const value = stringValue(props, 'type') ?? stringValue(props, 'TYPE');
+			return value === null ? null : typeCategory(value).label;
+		}
+		default:
+			return null;
+	}
+}
+
+/** 32-bit FNV-1a hash of `text`. */
+function hash(text: string): number {
+	let h = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		h ^= text.charCodeAt(i);
+		h = Math.imul(h, 0x01000193);
+	}
+	return h >>> 0;
+}
+
+/** `#rrggbb` of an HSL color; `s` and `l` are fractions. */
+function hslToHex(h: number, s: number, l: number): string {
+	const a = s * Math.min(l, 1 - l);
+	const channel = (n: number) => {
+		const k = (n + h / 30) % 12;
+		const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+		return Math.round(value * 255)
+			.toString(16)
+			.padStart(2, '0');
+	};
+	return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+/**
+ * Color of the entity named `name`. The hue comes from a hash of the name and
+ * saturation and lightness vary a little with it, so neighbours rarely look
+ * alike; dark mode uses lighter, softer tones.
+ */
+export function entityColor(name: string, theme: 'light' | 'dark'): string {
+	const h = hash(name);
+	const hue = h % 360;
+	const saturation = 0.5 + ((h >>> 9) % 4) * 0.08;
+	const lightness = (theme === 'dark' ? 0.55 : 0.45) + ((h >>> 11) % 3) * 0.06;
+	return hslToHex(hue, saturation, lightness);
+}
+
+/** Color of a {@link thematicKey} under `style`. */
+export function keyColor(key: string, style: ThematicStyle, theme: 'light' | 'dark'): string {
+	if (style === 'type') {
+		return TYPE_CATEGORIES.find((category) => category.label === key)?.color ?? OTHER_TYPE.color;
+	}
+	return entityColor(key, theme);
+}
+
+/** Fill color of a feature under `style`, or `null` to use {@link UNSPECIFIED_COLOR}. */
+export function thematicColor(
+	props: Record<string, unknown>,
+	style: ThematicStyle,
+	theme: 'light' | 'dark'
+): string | null {
+	const key = thematicKey(props, style);
+	return key === null ? null : keyColor(key, style, theme);
+}
+
+/** One legend row. */
+export interface LegendEntry {
+	label: string;
+	color: string;
+	/** Combined area of the group's territories. */
+	km2: number;
+	/** Number of features in the group. */
+	count: number;
+}
+
+export interface Legend {
+	/** Largest groups first. */
+	entries: LegendEntry[];
+	/** Groups left out of `entries`. */
+	others: number;
+	/** Features without a value to group by, shown as unspecified. */
+	unspecified: number;
+}
+
+/** Default number of groups listed in a legend. */
+export const LEGEND_LIMIT = 12;
+
+/**
+ * Legend of `collection` under `style`: the `limit` largest groups by area.
+ * Type categories are few, so they are all listed.
+ */
+export function buildLegend(
+	collection: FeatureCollection,
+	style: ThematicStyle,
+	theme: 'light' | 'dark',
+	limit = LEGEND_LIMIT
+): Legend {
+	const groups = new Map<string, LegendEntry>();
+	let unspecified = 0;
+	collection.features.forEach((feature: Feature) => {
+		const key = feature.properties ? thematicKey(feature.properties, style) : null;
+		if (key === null) {
+			unspecified++;
+			return;
+		}
+		let entry = groups.get(key);
+		if (!entry) {
+			entry = { label: key, color: keyColor(key, style, theme), km2: 0, count: 0 };
+			groups.set(key, entry);
+		}
+		entry.km2 += areaKm2(feature.geometry);
+		entry.count++;
+	});
+
+	const sorted = [...groups.values()].sort((a, b) => b.km2 - a.km2);
+	const shown = style === 'type' ? sorted.length : limit;
+	return {
+		entries: sorted.slice(0, shown),
+		others: Math.max(0, sorted.length - shown),
+		unspecified
+	};
+}
@@ -0,0 +1,139 @@
+/**
+ * Mapping between period years and positions along the timeline.
+ *
+ * Positions are fractions from 0 (first period) to 1 (last period). Three
+ * scales are supported:
+ * - `linear`: proportional to the year, so 123,000 BC → 10,000 BC fills most
+ *   of the axis
+ * - `log`: proportional to the logarithm of the time before the last period,
+ *   which gives recent centuries room without hiding deep prehistory
+ * - `index`: evenly spaced periods, regardless of the years between them
+ *
+ * @module timelineScale
+ */
+
+import type { Period } from './periodsConfig.js';
+
+export type TimelineScale = 'linear' | 'log' | 'index';
+
+/** Scales offered by the timeline, named in the catalogs by `timeline.scale.<scale>`. */
+export const TIMELINE_SCALES: TimelineScale[] = ['linear', 'log', 'index'];
+
+/**
+ * Years added to the time before present on the logarithmic scale, so the
+ * most recent period sits at a finite distance from the one before it.
+ */
+const LOG_OFFSET_YEARS = 10;
+
+/** A labelled tick on the timeline. */
+export interface TimelineLabel {
+	periodIndex: number;
+	position: number;
+	/** Major labels stay visible on narrow screens. */
+	major: boolean;
+}
+
+export function isTimelineScale(value: unknown): value is TimelineScale {
+	return TIMELINE_SCALES.some((scale) => scale === value);
+}
+
+/**
+ * Position of every period on the given scale, in period order.
+ * Periods must be sorted chronologically.
+ */
+export function periodPositions(periods: Period[], scale: TimelineScale): number[] {
+	if (periods.length <= 1) return periods.map(() => 0);
+
+	if (scale === 'index') {
+		return periods.map((_, i) => i / (periods.length - 1));
+	}
+
+	const first = periods[0].year;
+	const last = periods[periods.length - 1].year;
+	if (first === last) return periods.map(() => 0);
+
+	if (scale === 'linear') {
+		return periods.map((period) => (period.year - first) / (last - first));
+	}
+
+	const logSpan = Math.log(last - first + LOG_OFFSET_YEARS) - Math.log(LOG_OFFSET_YEARS);
+	return periods.map(
+		(period) =>
+			1 - (Math.log(last - period.year + LOG_OFFSET_YEARS) - Math.log(LOG_OFFSET_YEARS)) / logSpan
+	);
+}
+
+/**
+ * Index of the period whose position is closest to `position`.
+ * Ties resolve to the earlier period. Returns -1 if `positions` is empty.
+ */
+export function nearestPeriodAt(position: number, positions: number[]): number {
+	let best = -1;
+	let bestDistance = Infinity;
+	for (let i = 0; i < positions.length; i++) {
+		const distance = Math.abs(positions[i] - position);
+		if (distance < bestDistance) {
+			best = i;
+			bestDistance = distance;
+		}
+	}
+	return best;
+}
+
+/** How "round" a year is: 3 for multiples of 1000, 2 for 100, 1 for 10, else 0. */
+function roundness(year: number): number {
+	const abs = Math.abs(year);
+	if (abs % 1000 === 0) return 3;
+	if (abs % 100 === 0) return 2;
+	if (abs % 10 === 0) return 1;
+	return 0;
+}
+
+function pickLabels(
+	periods: Period[],
+	positions: number[],
+	minGap: number,
+	seed: number[] = []
+): number[] {
+	const picked = [...seed];
+	const candidates = periods
+		.map((_, i) => i)
+		.filter((i) => !picked.includes(i))
+		// Endpoints first, then rounder years, then chronological order.
+		.sort((a, b) => {
+			const endA = a === 0 || a === periods.length - 1 ? 1 : 0;
+			const endB = b === 0 || b === periods.length - 1 ? 1 : 0;
+			return endB - endA || roundness(periods[b].year) - roundness(periods[a].year) || a - b;
+		});
+
+	for (const i of candidates) {
+		if (picked.every((j) => Math.abs(positions[j] - positions[i]) >= minGap)) picked.push(i);
+	}
+	return picked;
+}
+
+/**
+ * Choose which periods get a text label so that labels are at least
+ * `minGap` apart. The first and last periods are always labelled; other
+ * periods are preferred by how round their year is. Labels at least
+ * `majorGap` apart are marked major.
+ *
+ * @returns Labels sorted by position.
+ */
+export function timelineLabels(
+	periods: Period[],
+	positions: number[],
+	minGap = 0.14,
+	majorGap = 0.3
+): TimelineLabel[] {
+	if (periods.length === 0) return [];
+	const major = pickLabels(periods, positions, majorGap);
+	const all = pickLabels(periods, positions, minGap, major);
+	return all
+		.map((periodIndex) => ({
+			periodIndex,
+			position: positions[periodIndex],
+			major: major.includes(periodIndex)
+		}))
+		.sort((a, b) => a.position - b.position || a.periodIndex - b.periodIndex);
+}
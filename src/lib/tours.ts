@@ -0,0 +1,314 @@
+/**
+ * Guided tours: a narrative file that steps through periods, moving the
+ * camera and highlighting territories while a panel shows the text.
+ *
+ * A tour is written either as JSON:
+ *
+ * ```json
+ * {
+ *   "title": "The Age of Discovery",
+ *   "description": "Optional introduction.",
+ *   "dataset": "historical-basemaps",
+ *   "steps": [
+ *     {
+ *       "title": "Two crowns on the Atlantic",
+ *       "year": 1492,
+ *       "center": [-6, 39.5],
+ *       "zoom": 4.5,
+ *       "highlight": ["Castille", "Portugal"],
+ *       "text": "Castile and Portugal **divide** the ocean between them."
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * or as Markdown, where each `##` heading starts a step and the lines right
+ * after it set the step's fields. `center` is longitude first in both, and
+ * `year` may be written "500 BC":
+ *
+ * ```markdown
+ * # The Age of Discovery
+ *
+ * Optional introduction.
+ *
+ * ## Two crowns on the Atlantic
+ * year: 1492
+ * center: -6, 39.5
+ * zoom: 4.5
+ * highlight: Castille, Portugal
+ *
+ * Castile and Portugal **divide** the ocean between them.
+ * ```
+ *
+ * `highlight` names territories by NAME in the period shown; the camera
+ * fields are optional, and without them the map fits the highlighted
+ * territories. `dataset` can only be given in JSON. Step text supports
+ * paragraphs, `**bold**`, `*italic*` and `[links](https://…)`, see
+ * {@link textBlocks}. The tours offered in the header are listed in
+ * `/tours/index.json`.
+ *
+ * @module tours
+ */
+
+import { parseYear, type MapView } from './urlState.js';
+
+export interface TourStep {
+	title?: string;
+	/** Year of the period to show; the nearest period is used. */
+	year: number;
+	/** Camera to fly to; omitted to fit the highlighted territories. */
+	view?: MapView;
+	/** NAMEs of the territories to highlight. */
+	highlight: string[];
+	/** Step text, in the Markdown subset of {@link textBlocks}. */
+	text: string;
+}
+
+export interface Tour {
+	title: string;
+	description?: string;
+	/** ID of the dataset the tour is written for; the current one if omitted. */
+	dataset?: string;
+	steps: TourStep[];
+}
+
+/** A tour offered in the header. */
+export interface TourRegistryEntry {
+	title: string;
+	description?: string;
+	/** URL of the tour file. */
+	url: string;
+}
+
+/** A run of step text with one style. */
+export interface TextSpan {
+	text: string;
+	strong?: boolean;
+	em?: boolean;
+	href?: string;
+}
+
+/** URL of the list of tours. */
+export const TOUR_REGISTRY_URL = '/tours/index.json';
+
+/** Default zoom of a step that gives a center but no zoom. */
+const DEFAULT_ZOOM = 4;
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+	return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function optionalString(value: unknown): string | undefined {
+	return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+}
+
+function requireTitle(value: unknown): string {
+	const title = optionalString(value);
+	if (!title) throw new Error('Invalid tour: it needs a title');
+	return title;
+}
+
+function checkSteps(steps: TourStep[]): TourStep[] {
+	if (steps.length === 0) throw new Error('Invalid tour: it has no steps');
+	return steps;
+}
+
+function parseJsonStep(value: unknown, i: number): TourStep {
+	if (!isRecord(value)) throw new Error(`Invalid tour: step ${i + 1} must be an object`);
+	const year = typeof value.year === 'string' ? parseYear(value.year) : value.year;
+	if (typeof year !== 'number' || !Number.isFinite(year)) {
+		throw new Error(`Invalid tour: step ${i + 1} needs a year`);
+	}
+
+	const step: TourStep = {
+		year,
+		highlight: Array.isArray(value.highlight)
+			? value.highlight.filter((name): name is string => typeof name === 'string')
+			: [],
+		text: typeof value.text === 'string' ? value.text : ''
+	};
+	const title = optionalString(value.title);
+	if (title) step.title = title;
+
+	const zoom = value.zoom;
+	if (zoom !== undefined && (typeof zoom !== 'number' || !Number.isFinite(zoom))) {
+		throw new Error(`Invalid tour: zoom of step ${i + 1} must be a number`);
+	}
+	const center = value.center;
+	if (center !== undefined) {
+		if (
+			!Array.isArray(center) ||
+			center.length !== 2 ||
+			!center.every((n) => typeof n === 'number' && Number.isFinite(n)) ||
+			Math.abs(center[0]) > 180 ||
+			Math.abs(center[1]) > 90
+		) {
+			throw new Error(`Invalid tour: center of step ${i + 1} must be [longitude, latitude]`);
+		}
+		step.view = { center: [center[0], center[1]], zoom: zoom ?? DEFAULT_ZOOM };
+	}
+	return step;
+}
+
+/**
+ * Validate a tour written as JSON.
+ *
+ * @throws If the title or steps are missing, or a step is malformed.
+ */
+export function parseTour(raw: unknown): Tour {
+	if (!isRecord(raw)) throw new Error('Invalid tour: expected an object');
+	if (!Array.isArray(raw.steps)) throw new Error('Invalid tour: steps must be an array');
+	const tour: Tour = {
+		title: requireTitle(raw.title),
+		steps: checkSteps(raw.steps.map(parseJsonStep))
+	};
+	const description = optionalString(raw.description);
+	if (description) tour.description = description;
+	const dataset = optionalString(raw.dataset);
+	if (dataset) tour.dataset = dataset;
+	return tour;
+}
+
+/** A `field: value` line at the top of a Markdown step. */
+const FIELD = /^(year|center|zoom|highlight)\s*:\s*(.*)$/i;
+
+const NUMBER = /^-?\d+(?:\.\d+)?$/;
+
+/** The JSON form of a Markdown step, for {@link parseJsonStep} to validate. */
+function markdownStep(title: string, lines: string[], i: number): Record<string, unknown> {
+	const step: Record<string, unknown> = { title };
+	let line = 0;
+	for (; line < lines.length; line++) {
+		const match = FIELD.exec(lines[line].trim());
+		if (!match) break;
+		const [, key, value] = match;
+		const field = key.toLowerCase();
+		if (field === 'center') {
+			const center = value.split(/\s*[,;\s]\s*/);
+			if (center.length !== 2 || !center.every((n) => NUMBER.test(n))) {
+				throw new Error(`Invalid tour: unreadable center "${value}" in step ${i + 1}`);
+			}
+			step.center = center.map(Number);
+		} else if (field === 'zoom') {
+			// Anything else is left as text for parseJsonStep to reject
+			step.zoom = NUMBER.test(value) ? Number(value) : value;
+		} else if (field === 'highlight') {
+			step.highlight = value
+				.split(',')
+				.map((name) => name.trim())
+				.filter((name) => name !== '');
+		} else {
+			step.year = value;
+		}
+	}
+	step.text = lines.slice(line).join('\n').trim();
+	return step;
+}
+
+/**
+ * Read a tour written as Markdown: a `#` title, an optional introduction,
+ * then one `##` section per step.
+ *
+ * @throws If the title or steps are missing, or a step is malformed.
+ */
+export function parseTourMarkdown(text: string): Tour {
+	let title: string | undefined;
+	const intro: string[] = [];
+	const sections: Array<{ title: string; lines: string[] }> = [];
+	for (const line of text.split(/\r?\n/)) {
+		const heading = /^(#{1,2})\s+(.*?)\s*#*\s*$/.exec(line);
+		if (heading?.[1] === '#' && title === undefined && sections.length === 0) {
+			title = heading[2];
+		} else if (heading?.[1] === '##') {
+			sections.push({ title: heading[2], lines: [] });
+		} else {
+			(sections.at(-1)?.lines ?? intro).push(line);
+		}
+	}
+
+	const tour: Tour = {
+		title: requireTitle(title),
+		steps: checkSteps(
+			sections.map((section, i) => parseJsonStep(markdownStep(section.title, section.lines, i), i))
+		)
+	};
+	const description = optionalString(intro.join('\n'));
+	if (description) tour.description = description;
+	return tour;
+}
+
+/** Read a tour file, as JSON if it looks like JSON and as Markdown otherwise. */
+export function parseTourFile(text: string): Tour {
+	return text.trimStart().startsWith('{') ? parseTour(JSON.parse(text)) : parseTourMarkdown(text);
+}
+
+/**
+ * Validate the list of tours.
+ *
+ * @throws If it isn't a list or an entry has no URL.
+ */
+export function parseTourRegistry(raw: unknown): TourRegistryEntry[] {
+	const tours = isRecord(raw) ? raw.tours : undefined;
+	if (!Array.isArray(tours)) throw new Error('Invalid tour list: tours must be an array');
+	return tours.map((value: unknown, i) => {
+		const entry = isRecord(value) ? value : {};
+		const url = optionalString(entry.url);
+		if (!url) throw new Error(`Invalid tour list: entry ${i} needs a URL`);
+		const tour: TourRegistryEntry = { title: optionalString(entry.title) ?? url, url };
+		const description = optionalString(entry.description);
+		if (description) tour.description = description;
+		return tour;
+	});
+}
+
+/**
+ * Fetch and read the tour at `url`.
+ *
+ * @throws If it can't be loaded or isn't a valid tour.
+ */
+export async function loadTour(url: string): Promise<Tour> {
+	const response = await fetch(url);
+	if (!response.ok) throw new Error(`Failed to load tour: ${response.statusText}`);
+	return parseTourFile(await response.text());
+}
+
+/** Fetch the list of tours. */
+export async function loadTourRegistry(): Promise<TourRegistryEntry[]> {
+	const response = await fetch(TOUR_REGISTRY_URL);
+	if (!response.ok) throw new Error(`Failed to load tour list: ${response.statusText}`);
+	return parseTourRegistry(await response.json());
+}
+
+/** Underscores only mark italics outside words, so snake_case stays as it is. */
+const INLINE =
+	/\*\*(.+?)\*\*|\*(.+?)\*|(?<![\p{L}\p{N}_])_(.+?)_(?![\p{L}\p{N}_])|\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/gu;
+
+/** Split one paragraph into styled spans. */
+function spans(paragraph: string): TextSpan[] {
+	const result: TextSpan[] = [];
+	let last = 0;
+	for (const match of paragraph.matchAll(INLINE)) {
+		if (match.index > last) result.push({ text: paragraph.slice(last, match.index) });
+		const [, strong, star, underscore, label, href] = match;
+		if (strong !== undefined) result.push({ text: strong, strong: true });
+		else if (label !== undefined) result.push({ text: label, href });
+		else result.push({ text: star ?? underscore, em: true });
+		last = match.index + match[0].length;
+	}
+	if (last < paragraph.length) result.push({ text: paragraph.slice(last) });
+	return result;
+}
+
+/**
+ * Step text as paragraphs of styled spans, for the tour panel to render
+ * without handing HTML from the file to the page. Paragraphs are separated
+ * by blank lines; within one, `**bold**`, `*italic*` (or `_italic_` between words) and
+ * `[label](https://…)` are recognized. Links to other schemes stay text.
+ */
+export function textBlocks(text: string): TextSpan[][] {
+	return text
+		.split(/\n\s*\n/)
+		.map((paragraph) => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+		.filter((paragraph) => paragraph !== '')
+		.map(spans);
+}
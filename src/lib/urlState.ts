@@ -0,0 +1,162 @@
+/**
+ * Serialization of shareable app state to and from URL query parameters.
+ *
+ * A deep link looks like:
+ * `/?year=1492&lat=-13.5&lng=-72&zoom=4&territory=Inca%20Empire`
+ *
+ * Comparison mode adds `&compare=1914&mode=split`, datasets other than
+ * the default one add `&dataset=<id>`, and a guided tour adds
+ * `&tour=<file URL>&step=3` (steps count from 1).
+ *
+ * The period is encoded by year rather than by index so links keep working
+ * if periods are added or removed. Unknown parameters are left untouched.
+ * {@link isHistoryChange} tells which changes deserve their own history
+ * entry, so Back and Forward step through them.
+ *
+ * @module urlState
+ */
+
+/** Camera position of the map. */
+export interface MapView {
+	/** [longitude, latitude] */
+	center: [number, number];
+	zoom: number;
+	/** Rotation in degrees. Not encoded in the URL. */
+	bearing?: number;
+	/** Tilt in degrees. Not encoded in the URL. */
+	pitch?: number;
+}
+
+/** How two periods are shown side by side: a draggable swipe divider or a split screen. */
+export type CompareMode = 'swipe' | 'split';
+
+/** The subset of app state that is encoded in the URL. */
+export interface UrlState {
+	/** Year of the active period (negative for BC). */
+	year?: number;
+	view?: MapView;
+	/** NAME of the selected territory. */
+	territory?: string;
+	/** Second period shown in comparison mode. */
+	compare?: { year: number; mode: CompareMode };
+	/** ID of the dataset in the registry; absent for the default dataset. */
+	dataset?: string;
+	/** Guided tour being played: URL of its file and index of the step shown. */
+	tour?: { url: string; step: number };
+}
+
+const PARAM_KEYS = [
+	'year',
+	'lat',
+	'lng',
+	'zoom',
+	'territory',
+	'compare',
+	'mode',
+	'dataset',
+	'tour',
+	'step'
+] as const;
+
+function parseNumber(value: string | null): number | undefined {
+	if (value === null || value.trim() === '') return undefined;
+	const n = Number(value);
+	return Number.isFinite(n) ? n : undefined;
+}
+
+/** Round to `digits` decimals without trailing zeros ("-72" rather than "-72.0000"). */
+function round(value: number, digits: number): string {
+	return String(Number(value.toFixed(digits)));
+}
+
+/**
+ * Parse a year parameter. Accepts signed integers ("-500") as well as
+ * era-suffixed values ("500BC", "500 bc", "1492AD", "500 BCE", "1492 CE").
+ */
+export function parseYear(value: string | null): number | undefined {
+	if (value === null) return undefined;
+	const match = /^\s*(-?\d+)\s*(bce?|ad|ce)?\s*$/i.exec(value);
+	if (!match) return undefined;
+	const n = parseInt(match[1], 10);
+	return match[2]?.toLowerCase().startsWith('bc') ? -Math.abs(n) : n;
+}
+
+/** Read the shareable state from URL query parameters. Invalid values are ignored. */
+export function parseUrlState(params: URLSearchParams): UrlState {
+	const state: UrlState = {};
+
+	const year = parseYear(params.get('year'));
+	if (year !== undefined) state.year = year;
+
+	const lat = parseNumber(params.get('lat'));
+	const lng = parseNumber(params.get('lng'));
+	const zoom = parseNumber(params.get('zoom'));
+	if (
+		lat !== undefined &&
+		lng !== undefined &&
+		zoom !== undefined &&
+		Math.abs(lat) <= 90 &&
+		Math.abs(lng) <= 180
+	) {
+		state.view = { center: [lng, lat], zoom };
+	}
+
+	const territory = params.get('territory');
+	if (territory && territory.trim() !== '') state.territory = territory;
+
+	const compareYear = parseYear(params.get('compare'));
+	if (compareYear !== undefined) {
+		state.compare = { year: compareYear, mode: params.get('mode') === 'split' ? 'split' : 'swipe' };
+	}
+
+	const dataset = params.get('dataset');
+	if (dataset && dataset.trim() !== '') state.dataset = dataset;
+
+	const tour = params.get('tour');
+	if (tour && tour.trim() !== '') {
+		const step = parseNumber(params.get('step'));
+		state.tour = { url: tour, step: step !== undefined && step >= 1 ? Math.floor(step) - 1 : 0 };
+	}
+
+	return state;
+}
+
+/**
+ * Return a copy of `url` with its query parameters set from `state`.
+ * Fields that are absent from `state` are removed from the URL.
+ */
+export function applyUrlState(url: URL, state: UrlState): URL {
+	const next = new URL(url);
+	for (const key of PARAM_KEYS) next.searchParams.delete(key);
+
+	if (state.year !== undefined) next.searchParams.set('year', String(state.year));
+	if (state.view) {
+		next.searchParams.set('lat', round(state.view.center[1], 4));
+		next.searchParams.set('lng', round(state.view.center[0], 4));
+		next.searchParams.set('zoom', round(state.view.zoom, 2));
+	}
+	if (state.territory) next.searchParams.set('territory', state.territory);
+	if (state.compare) {
+		next.searchParams.set('compare', String(state.compare.year));
+		next.searchParams.set('mode', state.compare.mode);
+	}
+	if (state.dataset) next.searchParams.set('dataset', state.dataset);
+	if (state.tour) {
+		next.searchParams.set('tour', state.tour.url);
+		next.searchParams.set('step', String(state.tour.step + 1));
+	}
+
+	return next;
+}
+
+/**
+ * Whether going from `previous` to `next` deserves its own history entry:
+ * anything but the camera changed, such as the period or the selection.
+ * Camera moves are continuous, so they only update the current entry.
+ */
+export function isHistoryChange(previous: UrlState, next: UrlState): boolean {
+	const base = new URL('http://localhost/');
+	const withoutView = (state: UrlState) =>
+		applyUrlState(base, { ...state, view: undefined }).search;
+	return withoutView(previous) !== withoutView(next);
+}
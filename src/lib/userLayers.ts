@@ -0,0 +1,54 @@
+/**
+ * Files loaded by the user to compare with the dataset: shown as an overlay
+ * on top of the territories, or as a custom period on the timeline.
+ *
+ * Custom periods point at an object URL of the file, so DataService loads
+ * them like any other period (see `dataFileUrl`). Overlays are parsed once
+ * and kept here.
+ *
+ * @module userLayers
+ */
+
+import type { FeatureCollection } from 'geojson';
+import { formatYear, type Period } from './periodsConfig.js';
+
+export type UserLayerMode = 'overlay' | 'period';
+
+export interface UserLayer {
+	id: number;
+	/** File name, without extension. */
+	name: string;
+	mode: UserLayerMode;
+	/** Parsed features of an overlay; periods are loaded through DataService. */
+	data: FeatureCollection | null;
+	/** The timeline entry of a custom period. */
+	period: Period | null;
+	visible: boolean;
+}
+
+/** Outline color of overlays, chosen to stand out from every territory color. */
+export const OVERLAY_COLOR = '#ec4899';
+
+/** Longest file name kept in a custom period's label. */
+const LABEL_NAME_LENGTH = 24;
+
+/** File name without its extension, e.g. "andes-1500" for "andes-1500.geojson". */
+export function layerName(fileName: string): string {
+	const dot = fileName.lastIndexOf('.');
+	return dot > 0 ? fileName.slice(0, dot) : fileName;
+}
+
+/** Timeline entry for a user file at `year`, whose data is at `url`. */
+export function customPeriod(year: number, name: string, url: string): Period {
+	const shortName =
+		name.length > LABEL_NAME_LENGTH ? `${name.slice(0, LABEL_NAME_LENGTH - 1)}…` : name;
+	return { year, label: `${formatYear(year)} · ${shortName}`, file: url };
+}
+
+/** The features of every visible overlay in one collection, or `null` if there are none. */
+export function overlayCollection(layers: UserLayer[]): FeatureCollection | null {
+	const features = layers
+		.filter((layer) => layer.mode === 'overlay' && layer.visible && layer.data)
+		.flatMap((layer) => layer.data!.features);
+	return features.length > 0 ? { type: 'FeatureCollection', features } : null;
+}
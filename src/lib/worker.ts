@@ -1,57 +1,231 @@
 /**
- * Web Worker for off-main-thread data loading.
+ * Web Worker for off-main-thread data loading and analysis.
  *
- * Receives a {@link WorkerRequest} message with a TopoJSON filename,
- * fetches the file from /data/, converts it to GeoJSON using topojson-client,
- * and posts back a {@link WorkerResponse} with the result or an error string.
+ * Receives a {@link WorkerRequest} message and posts back a
+ * {@link WorkerResponse} with the result or an error string:
+ * - `load`: fetches a TopoJSON (or GeoJSON) file, converts it to GeoJSON
+ *   using topojson-client and posts it back packed with {@link pack}, its
+ *   buffers transferred rather than copied. Progress responses are posted as
+ *   the file downloads, and an `abort` request cancels the download.
+ * - `changes`: compares two periods with {@link detectChanges}.
+ * - `labels`: places the territory labels of a period with {@link territoryLabels}.
+ * - `parse`: reads a file the user picked or dropped, in either format.
+ * - `locate`: lists the territories of a period covering a point, with
+ *   {@link territoriesAt}.
  *
+ * Files are fetched with {@link fetchJson}, which retries transient failures,
+ * and not kept once converted: requests for a file already being read share
+ * its download, and the derived results are cached by DataService.
  * This keeps the main thread responsive while loading and parsing large
  * geospatial data files. The DataService falls back to main-thread loading
  * if the worker fails to initialize.
  */
 
-import * as topojson from 'topojson-client';
-import type { Topology } from 'topojson-specification';
-import type { GeoJSON } from 'geojson';
+import type { FeatureCollection, GeoJSON, Position } from 'geojson';
+import { pack, transferables, type PackedCollection } from './binaryGeometry.js';
+import { detectChanges, type PeriodChanges } from './changes.js';
+import { fetchJson, type DownloadProgress } from './download.js';
+import { parseGeoFile, toFeatureCollection } from './geoFile.js';
+import { territoryLabels, type TerritoryLabels } from './labels.js';
+import { boxIndex, candidates, territoriesAt, type BoxIndex } from './placeHistory.js';
 
 /** Message sent from DataService to the worker. */
-export interface WorkerRequest {
-	/** Unique request ID used to correlate responses. */
-	id: number;
-	/** TopoJSON filename to fetch (e.g. "world_bc3000.topojson"). */
-	file: string;
-}
+export type WorkerRequest =
+	| {
+			/** Unique request ID used to correlate responses. */
+			id: number;
+			type: 'load';
+			/** URL of the TopoJSON file to fetch (e.g. "/data/world_bc3000.topojson"). */
+			url: string;
+	  }
+	| {
+			id: number;
+			type: 'changes';
+			/** TopoJSON file URLs of the earlier and later period. */
+			previous: string;
+			current: string;
+	  }
+	| {
+			id: number;
+			type: 'labels';
+			/** TopoJSON file URL of the period to label. */
+			url: string;
+	  }
+	| {
+			id: number;
+			type: 'parse';
+			/** GeoJSON or TopoJSON file supplied by the user. */
+			file: File;
+	  }
+	| {
+			id: number;
+			type: 'locate';
+			/** File URL of the period to query. */
+			url: string;
+			/** [longitude, latitude] of the place, within [-180, 180). */
+			point: Position;
+	  }
+	| {
+			/** ID of the `load` request to cancel. No response is posted. */
+			id: number;
+			type: 'abort';
+	  };
 
 /** Message sent from the worker back to DataService. */
 export interface WorkerResponse {
 	/** Request ID matching the originating WorkerRequest. */
 	id: number;
-	/** Converted GeoJSON data (present on success). */
+	/** Converted GeoJSON data (present on success of a `parse` request). */
 	geojson?: GeoJSON;
+	/** Packed period data (present on success of a `load` request). */
+	packed?: PackedCollection;
+	/**
+	 * Bytes downloaded so far by a `load` request. Responses carrying progress
+	 * are followed by more responses to the same request.
+	 */
+	progress?: DownloadProgress;
+	/** Change analysis (present on success of a `changes` request). */
+	changes?: PeriodChanges;
+	/** Label points (present on success of a `labels` request). */
+	labels?: TerritoryLabels;
+	/** Names of the covering territories, smallest first (present on success of a `locate` request). */
+	territories?: Array<string | null>;
 	/** Error message (present on failure). */
 	error?: string;
 }
 
-self.onmessage = async (e: MessageEvent<WorkerRequest>) => {
-	const { id, file } = e.data;
+/** A file being read, shared by every request waiting for it. */
+interface Read {
+	promise: Promise<FeatureCollection>;
+	controller: AbortController;
+	/** Requests still waiting; the download is aborted once all of them have given up. */
+	waiting: number;
+	listeners: Set<(progress: DownloadProgress) => void>;
+}
+
+/** Files being read, by URL. Entries are removed once the file is converted. */
+const reads = new Map<string, Read>();
+
+/**
+ * Bounding boxes of every file a point query has read. They are small, so
+ * they are kept for the worker's lifetime, unlike the files themselves.
+ */
+const boxIndexes = new Map<string, BoxIndex>();
+
+/** Downloads of `load` requests in progress, by request ID. */
+const downloads = new Map<number, AbortController>();
+
+function startRead(url: string): Read {
+	const controller = new AbortController();
+	const listeners = new Set<(progress: DownloadProgress) => void>();
+	const promise = fetchJson(
+		url,
+		(progress) => listeners.forEach((listener) => listener(progress)),
+		controller.signal
+	)
+		.then(toFeatureCollection)
+		.finally(() => {
+			if (reads.get(url) === read) reads.delete(url);
+		});
+	// Requests handle failures; an aborted read may have none left
+	promise.catch(() => {});
+	const read: Read = { promise, controller, waiting: 0, listeners };
+	reads.set(url, read);
+	return read;
+}
+
+/**
+ * Fetch and convert `url`, sharing a read already in progress. If `signal`
+ * fires, this call rejects at once, and the download is aborted unless other
+ * requests are still waiting for it.
+ */
+function readFile(
+	url: string,
+	onprogress?: (progress: DownloadProgress) => void,
+	signal?: AbortSignal
+): Promise<FeatureCollection> {
+	if (signal?.aborted) return Promise.reject(signal.reason);
+
+	const read = reads.get(url) ?? startRead(url);
+	read.waiting++;
+	if (onprogress) read.listeners.add(onprogress);
+	if (!signal) return read.promise;
 
+	return new Promise<FeatureCollection>((resolve, reject) => {
+		const abort = () => {
+			if (onprogress) read.listeners.delete(onprogress);
+			if (--read.waiting === 0) {
+				read.controller.abort();
+				if (reads.get(url) === read) reads.delete(url);
+			}
+			reject(signal.reason);
+		};
+		signal.addEventListener('abort', abort, { once: true });
+		read.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+	});
+}
+
+/**
+ * Territories of the file at `url` covering `point`. The file is only read
+ * if one of its features' boxes contains the point.
+ */
+async function locate(url: string, point: Position): Promise<Array<string | null>> {
+	const boxes = boxIndexes.get(url);
+	if (boxes && candidates(boxes, point).length === 0) return [];
+
+	const collection = await readFile(url);
+	const index = boxes ?? boxIndex(collection);
+	boxIndexes.set(url, index);
+	return territoriesAt(collection, index, point);
+}
+
+/** Load the file of a `load` request, posting its download progress. */
+async function load(id: number, url: string): Promise<FeatureCollection> {
+	const controller = new AbortController();
+	downloads.set(id, controller);
 	try {
-		const response = await fetch(`/data/${file}`);
-		if (!response.ok) {
-			throw new Error(`Failed to load ${file}: ${response.statusText}`);
-		}
+		return await readFile(
+			url,
+			(progress) => self.postMessage({ id, progress } satisfies WorkerResponse),
+			controller.signal
+		);
+	} finally {
+		downloads.delete(id);
+	}
+}
 
-		// TopoJSON files contain one or more named geometry objects; we take the
-		// first one and convert it to a GeoJSON FeatureCollection.
-		const topoData: Topology = await response.json();
-		const objectKey = Object.keys(topoData.objects)[0];
-		const geojson = topojson.feature(topoData, topoData.objects[objectKey]);
+self.onmessage = async (e: MessageEvent<WorkerRequest>) => {
+	const request = e.data;
+	if (request.type === 'abort') {
+		downloads.get(request.id)?.abort();
+		return;
+	}
 
-		const msg: WorkerResponse = { id, geojson: geojson as GeoJSON };
+	try {
+		let msg: WorkerResponse;
+		if (request.type === 'changes') {
+			const [previous, current] = await Promise.all([
+				readFile(request.previous),
+				readFile(request.current)
+			]);
+			msg = { id: request.id, changes: detectChanges(previous, current) };
+		} else if (request.type === 'labels') {
+			msg = { id: request.id, labels: territoryLabels(await readFile(request.url)) };
+		} else if (request.type === 'locate') {
+			msg = { id: request.id, territories: await locate(request.url, request.point) };
+		} else if (request.type === 'parse') {
+			msg = { id: request.id, geojson: parseGeoFile(await request.file.text()) };
+		} else {
+			const packed = pack(await load(request.id, request.url));
+			self.postMessage({ id: request.id, packed } satisfies WorkerResponse, {
+				transfer: transferables(packed)
+			});
+			return;
+		}
 		self.postMessage(msg);
 	} catch (err) {
 		const msg: WorkerResponse = {
-			id,
+			id: request.id,
 			error: err instanceof Error ? err.message : 'Unknown error'
 		};
 		self.postMessage(msg);
@@ -0,0 +1,115 @@
+/// <reference types="@sveltejs/kit" />
+/// <reference no-default-lib="true"/>
+/// <reference lib="esnext" />
+/// <reference lib="webworker" />
+
+/**
+ * Service worker: keeps the app usable offline.
+ *
+ * - The app shell (built JS/CSS, static files and prerendered pages) is
+ *   precached on install, in a cache named after the build version.
+ * - Data files under `/data/` are kept in the versioned data cache (see
+ *   `$lib/offline`), which is filled as periods are viewed or all at once by
+ *   "download all periods". Period files are named after their content and
+ *   served cache-first, coarse variants from their stored full-resolution
+ *   file if only that one is stored; the others (manifest, territory index,
+ *   name tables) network-first, so a new release reaches clients.
+ * - Other same-origin requests go to the network first and fall back to the
+ *   cache; pages loaded this way are cached for later offline visits.
+ *   Cross-origin requests (basemap tiles, fonts) are not intercepted.
+ */
+
+import { build, files, prerendered, version } from '$service-worker';
+import {
+	DATA_CACHE,
+	DATA_CACHE_PREFIX,
+	fullVariantUrl,
+	isDataRequest,
+	isImmutableDataRequest
+} from '$lib/offline.js';
+
+const sw = self as unknown as ServiceWorkerGlobalScope;
+
+const SHELL_CACHE_PREFIX = 'shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${version}`;
+
+// Data files are large and cached on demand, so they stay out of the shell.
+const SHELL_ASSETS = [
+	...build,
+	...files.filter((file) => !file.startsWith('/data/')),
+	...prerendered
+];
+const SHELL_ASSET_SET = new Set(SHELL_ASSETS);
+
+sw.addEventListener('install', (event) => {
+	event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_ASSETS)));
+});
+
+sw.addEventListener('activate', (event) => {
+	event.waitUntil(
+		caches
+			.keys()
+			.then((keys) =>
+				Promise.all(
+					keys
+						.filter(
+							(key) =>
+								(key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE) ||
+								(key.startsWith(DATA_CACHE_PREFIX) && key !== DATA_CACHE)
+						)
+						.map((key) => caches.delete(key))
+				)
+			)
+	);
+});
+
+/**
+ * Serve `request` from the cache, else from `fallback` if that is cached,
+ * else from the network, caching the response.
+ */
+async function cacheFirst(
+	request: Request,
+	cacheName: string,
+	fallback?: URL | null
+): Promise<Response> {
+	const cache = await caches.open(cacheName);
+	const cached = (await cache.match(request)) ?? (fallback && (await cache.match(fallback.href)));
+	if (cached) return cached;
+
+	const response = await fetch(request);
+	if (response.ok) await cache.put(request, response.clone());
+	return response;
+}
+
+async function networkFirst(request: Request, cacheName?: string): Promise<Response> {
+	try {
+		const response = await fetch(request);
+		// Keep pages for offline visits; other responses are not worth storing
+		const keepIn = cacheName ?? (request.mode === 'navigate' ? SHELL_CACHE : null);
+		if (response.ok && keepIn) {
+			const cache = await caches.open(keepIn);
+			await cache.put(request, response.clone());
+		}
+		return response;
+	} catch (err) {
+		const cached = await caches.match(request);
+		if (cached) return cached;
+		throw err;
+	}
+}
+
+sw.addEventListener('fetch', (event) => {
+	if (event.request.method !== 'GET') return;
+	const url = new URL(event.request.url);
+	if (url.origin !== sw.location.origin) return;
+
+	if (isImmutableDataRequest(url)) {
+		event.respondWith(cacheFirst(event.request, DATA_CACHE, fullVariantUrl(url)));
+	} else if (isDataRequest(url)) {
+		event.respondWith(networkFirst(event.request, DATA_CACHE));
+	} else if (SHELL_ASSET_SET.has(url.pathname)) {
+		event.respondWith(cacheFirst(event.request, SHELL_CACHE));
+	} else {
+		event.respondWith(networkFirst(event.request));
+	}
+});
@@ -0,0 +1,103 @@
+/**
+ * `<historical-map>`: the embeddable map as a custom element.
+ *
+ * ```html
+ * <script src="https://example.org/embed.js" defer></script>
+ * <historical-map year="1492" from="1400" to="1600" chrome="0"></historical-map>
+ * ```
+ *
+ * The element wraps an iframe of `/embed` on the site this script is served
+ * from. Its attributes are the iframe's URL parameters (see `src/lib/embed.ts`);
+ * changing one reloads the map. It forwards the map's messages as DOM events
+ * (`ready`, `periodchange`, `territoryclick`, with the message as `detail`)
+ * and offers the commands as methods: `setPeriod(year)`,
+ * `selectTerritory(name)` and `flyTo(center, zoom)`.
+ */
+(() => {
+	const SOURCE = 'historical-world-map';
+	const PARAMS = [
+		'year',
+		'lat',
+		'lng',
+		'zoom',
+		'territory',
+		'dataset',
+		'from',
+		'to',
+		'chrome',
+		'theme',
+		'lang',
+		'era',
+		'basemap',
+		'tiles',
+		'attribution',
+		'projection'
+	];
+	const script = document.currentScript;
+	const origin = script ? new URL(script.src).origin : location.origin;
+
+	class HistoricalMap extends HTMLElement {
+		static observedAttributes = PARAMS;
+
+		constructor() {
+			super();
+			this.frame = document.createElement('iframe');
+			this.frame.title = 'Historical world map';
+			this.frame.allow = 'fullscreen';
+			this.frame.style.cssText = 'display: block; width: 100%; height: 100%; border: 0;';
+			this.handleMessage = this.handleMessage.bind(this);
+			this.attachShadow({ mode: 'open' }).append(this.frame);
+		}
+
+		connectedCallback() {
+			if (!this.style.display) this.style.display = 'block';
+			if (!this.style.height) this.style.height = '400px';
+			window.addEventListener('message', this.handleMessage);
+			this.load();
+		}
+
+		disconnectedCallback() {
+			window.removeEventListener('message', this.handleMessage);
+		}
+
+		attributeChangedCallback() {
+			if (this.isConnected) this.load();
+		}
+
+		load() {
+			const url = new URL('/embed', origin);
+			for (const name of PARAMS) {
+				const value = this.getAttribute(name);
+				if (value !== null) url.searchParams.set(name, value);
+			}
+			if (this.frame.src !== url.href) this.frame.src = url.href;
+		}
+
+		handleMessage(e) {
+			if (e.source !== this.frame.contentWindow || e.origin !== origin) return;
+			if (e.data?.source !== SOURCE) return;
+			this.dispatchEvent(new CustomEvent(e.data.type, { detail: e.data }));
+		}
+
+		post(message) {
+			this.frame.contentWindow?.postMessage(message, origin);
+		}
+
+		/** Show the period nearest to `year` (negative for BC, or e.g. "500 BC"). */
+		setPeriod(year) {
+			this.post({ type: 'setPeriod', year });
+		}
+
+		/** Select the territory named `name` in the period shown. */
+		selectTerritory(name) {
+			this.post({ type: 'selectTerritory', name });
+		}
+
+		/** Fly to `center`, given as [longitude, latitude]. */
+		flyTo(center, zoom) {
+			this.post({ type: 'flyTo', center, zoom });
+		}
+	}
+
+	if (!customElements.get('historical-map')) customElements.define('historical-map', HistoricalMap);
+})();
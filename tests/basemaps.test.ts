@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { BASEMAPS, basemapStyle, isBasemapId, parseTileTemplate } from '../src/lib/basemaps.js';
+
+describe('parseTileTemplate', () => {
+	it('should accept http(s) URLs and site paths with tile placeholders', () => {
+		expect(parseTileTemplate(' https://tiles.example.org/{z}/{x}/{y}.png ')).toBe(
+			'https://tiles.example.org/{z}/{x}/{y}.png'
+		);
+		expect(parseTileTemplate('/tiles/{z}/{x}/{-y}.png')).toBe('/tiles/{z}/{x}/{-y}.png');
+	});
+
+	it('should reject other schemes and templates missing a placeholder', () => {
+		expect(parseTileTemplate('javascript:alert(1)//{z}/{x}/{y}')).toBeNull();
+		expect(parseTileTemplate('tiles/{z}/{x}/{y}.png')).toBeNull();
+		expect(parseTileTemplate('https://tiles.example.org/{z}/{x}.png')).toBeNull();
+		expect(parseTileTemplate(null)).toBeNull();
+	});
+});
+
+describe('basemapStyle', () => {
+	it('should follow the theme with CARTO unless a variant is chosen', () => {
+		const tiles = (basemap: 'carto' | 'carto-light' | 'carto-dark', theme: 'light' | 'dark') => {
+			const source = basemapStyle(basemap, theme)?.source;
+			return source && 'tiles' in source ? source.tiles?.[0] : undefined;
+		};
+		expect(tiles('carto', 'light')).toContain('/light_all/');
+		expect(tiles('carto', 'dark')).toContain('/dark_all/');
+		expect(tiles('carto-light', 'dark')).toContain('/light_all/');
+		expect(tiles('carto-dark', 'light')).toContain('/dark_all/');
+	});
+
+	it('should shade terrain from elevation tiles', () => {
+		const style = basemapStyle('terrain', 'dark');
+		expect(style?.source.type).toBe('raster-dem');
+		expect(style?.layer.type).toBe('hillshade');
+	});
+
+	it('should read TMS templates and draw nothing without a template or basemap', () => {
+		expect(basemapStyle('custom', 'light', '/tiles/{z}/{x}/{-y}.png')?.source).toMatchObject({
+			tiles: ['/tiles/{z}/{x}/{y}.png'],
+			scheme: 'tms'
+		});
+		expect(basemapStyle('custom', 'light')).toBeNull();
+		expect(basemapStyle('none', 'light')).toBeNull();
+	});
+
+	it('should credit custom tiles with the attribution as text', () => {
+		const style = basemapStyle('custom', 'light', '/tiles/{z}/{x}/{y}.png', ' © <b>Us</b> ');
+		expect(style?.source.attribution).toBe('© &lt;b&gt;Us&lt;/b&gt;');
+		expect(
+			basemapStyle('custom', 'light', '/tiles/{z}/{x}/{y}.png', ' ')?.source
+		).not.toHaveProperty('attribution');
+	});
+
+	it('should list every basemap once', () => {
+		expect(new Set(BASEMAPS.map((b) => b.value)).size).toBe(BASEMAPS.length);
+		expect(isBasemapId('terrain')).toBe(true);
+		expect(isBasemapId('satellite')).toBe(false);
+	});
+});
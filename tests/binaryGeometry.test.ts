@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import type { FeatureCollection } from 'geojson';
+import {
+	GEOMETRY_MULTIPOLYGON,
+	GEOMETRY_NONE,
+	GEOMETRY_OTHER,
+	GEOMETRY_POLYGON,
+	pack,
+	transferables,
+	unpack,
+	unpackedBytes
+} from '../src/lib/binaryGeometry.js';
+import { feature, square } from './fixtures.js';
+
+const COLLECTION: FeatureCollection = {
+	type: 'FeatureCollection',
+	features: [
+		feature('Empire', [square(0, 0, 20), square(12, 12, 4)], {
+			SUBJECTO: 'Empire',
+			PARTOF: null,
+			BORDERPRECISION: 2
+		}),
+		{
+			type: 'Feature',
+			properties: { NAME: 'Islands' },
+			geometry: {
+				type: 'MultiPolygon',
+				coordinates: [[square(30, 0, 1)], [square(32.5, -0.25, 1.5)]]
+			}
+		},
+		{ type: 'Feature', properties: { NAME: 'River' }, geometry: null as never },
+		{ type: 'Feature', properties: null, geometry: { type: 'Point', coordinates: [5, 5] } }
+	]
+};
+
+describe('pack', () => {
+	it('should store all coordinates in one array', () => {
+		const packed = pack(COLLECTION);
+		expect(packed.coordinates).toHaveLength((5 + 5 + 5 + 5) * 2);
+		expect([...packed.ringOffsets]).toEqual([0, 5, 10, 15, 20]);
+		expect([...packed.polygonOffsets]).toEqual([0, 2, 3, 4]);
+		expect([...packed.featureOffsets]).toEqual([0, 1, 3, 3, 3]);
+	});
+
+	it('should record the kind of each geometry', () => {
+		const packed = pack(COLLECTION);
+		expect([...packed.geometryTypes]).toEqual([
+			GEOMETRY_POLYGON,
+			GEOMETRY_MULTIPOLYGON,
+			GEOMETRY_NONE,
+			GEOMETRY_OTHER
+		]);
+		expect(packed.otherGeometries[3]).toEqual({ type: 'Point', coordinates: [5, 5] });
+	});
+
+	it('should keep properties in a table', () => {
+		const packed = pack(COLLECTION);
+		expect(packed.keys).toEqual(['NAME', 'SUBJECTO', 'PARTOF', 'BORDERPRECISION']);
+		expect(packed.values.slice(0, 4)).toEqual(['Empire', 'Empire', null, 2]);
+		expect([...packed.hasProperties]).toEqual([1, 1, 1, 0]);
+	});
+
+	it('should count at least the bytes of the typed arrays', () => {
+		const packed = pack(COLLECTION);
+		expect(packed.bytes).toBeGreaterThanOrEqual(packed.coordinates.byteLength);
+	});
+});
+
+describe('unpack', () => {
+	it('should rebuild the packed collection', () => {
+		expect(unpack(pack(COLLECTION))).toEqual(COLLECTION);
+	});
+
+	it('should leave out properties a feature lacks', () => {
+		const [, islands] = unpack(pack(COLLECTION)).features;
+		expect(islands.properties).toEqual({ NAME: 'Islands' });
+		expect(Object.keys(islands.properties!)).toEqual(['NAME']);
+	});
+
+	it('should rebuild an empty collection', () => {
+		const empty: FeatureCollection = { type: 'FeatureCollection', features: [] };
+		expect(unpack(pack(empty))).toEqual(empty);
+	});
+});
+
+describe('unpackedBytes', () => {
+	it('should count several times the packed bytes of the coordinates', () => {
+		const packed = pack(COLLECTION);
+		expect(unpackedBytes(packed)).toBeGreaterThan(4 * packed.coordinates.byteLength);
+	});
+});
+
+describe('transferables', () => {
+	it('should list a distinct buffer for each typed array', () => {
+		const buffers = transferables(pack(COLLECTION));
+		expect(buffers).toHaveLength(6);
+		expect(new Set(buffers).size).toBe(6);
+		expect(buffers.every((buffer) => buffer instanceof ArrayBuffer)).toBe(true);
+	});
+
+	it('should survive a transfer', () => {
+		const packed = pack(COLLECTION);
+		const copy = structuredClone(packed, { transfer: transferables(packed) });
+		expect(packed.coordinates).toHaveLength(0);
+		expect(unpack(copy)).toEqual(COLLECTION);
+	});
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import type { Feature, FeatureCollection } from 'geojson';
+import { detectChanges } from '../src/lib/changes.js';
+import { areaKm2 } from '../src/lib/geo.js';
+import { feature, square } from './fixtures.js';
+
+function collection(...features: Feature[]): FeatureCollection {
+	return { type: 'FeatureCollection', features };
+}
+
+describe('areaKm2', () => {
+	it('should measure a 1° square at the equator', () => {
+		// 111.2 km × 111.2 km
+		expect(areaKm2(feature('A', [square(0, 0, 1)]).geometry)).toBeCloseTo(12364, -2);
+	});
+
+	it('should not depend on ring winding', () => {
+		const geometry = feature('A', [square(10, 10, 2)]).geometry;
+		const reversed = {
+			type: 'Polygon' as const,
+			coordinates: [[...(geometry as { coordinates: number[][][] }).coordinates[0]].reverse()]
+		};
+		expect(areaKm2(reversed)).toBeCloseTo(areaKm2(geometry), 6);
+	});
+
+	it('should ignore missing and non-areal geometries', () => {
+		expect(areaKm2(null)).toBe(0);
+		expect(areaKm2({ type: 'Point', coordinates: [0, 0] })).toBe(0);
+	});
+});
+
+describe('detectChanges', () => {
+	const previous = collection(
+		feature('Stable', [square(0, 0, 2)]),
+		feature('Growing', [square(10, 0, 1)]),
+		feature('Shrinking', [square(20, 0, 2)]),
+		feature('Gone', [square(30, 0, 1)]),
+		feature(null, [square(40, 0, 1)])
+	);
+	const current = collection(
+		feature('Stable', [square(0, 0, 2)]),
+		feature('Growing', [square(10, 0, 2)]),
+		feature('Shrinking', [square(20, 0, 1)]),
+		feature('Fresh', [square(30, 0, 1)]),
+		feature(null, [square(40, 0, 3)])
+	);
+
+	it('should classify every named entity', () => {
+		const { entries } = detectChanges(previous, current);
+		const kinds = Object.fromEntries(entries.map((e) => [e.name, e.kind]));
+		expect(kinds).toEqual({
+			Stable: 'unchanged',
+			Growing: 'grown',
+			Shrinking: 'shrunk',
+			Gone: 'dissolved',
+			Fresh: 'new'
+		});
+	});
+
+	it('should order entries by kind', () => {
+		const { entries } = detectChanges(previous, current);
+		expect(entries.map((e) => e.kind)).toEqual([
+			'new',
+			'dissolved',
+			'grown',
+			'shrunk',
+			'unchanged'
+		]);
+	});
+
+	it('should sum the area of features sharing a name', () => {
+		const split = collection(
+			feature('Stable', [square(0, 0, 1)]),
+			feature('Stable', [square(1, 0, 1)])
+		);
+		const merged = collection(feature('Stable', [square(0, 0, 1)]));
+		const [entry] = detectChanges(merged, split).entries;
+		expect(entry.kind).toBe('grown');
+		expect(entry.currentKm2 / entry.previousKm2).toBeCloseTo(2, 2);
+	});
+
+	it('should treat changes within the threshold as unchanged', () => {
+		const before = collection(feature('A', [square(0, 0, 1)]));
+		const after = collection(feature('A', [square(0, 0, 1.02)]));
+		expect(detectChanges(before, after).entries[0].kind).toBe('unchanged');
+		expect(detectChanges(before, after, 0.01).entries[0].kind).toBe('grown');
+	});
+
+	it('should return the features and bounds of dissolved entities', () => {
+		const { entries, dissolved } = detectChanges(previous, current);
+		expect(dissolved.features).toHaveLength(1);
+		expect(dissolved.features[0].properties).toEqual({ NAME: 'Gone' });
+		const gone = entries.find((e) => e.name === 'Gone')!;
+		expect(gone.bounds[0]).toBeCloseTo(30);
+		expect(gone.bounds[2]).toBeCloseTo(31);
+	});
+});
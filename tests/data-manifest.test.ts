@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+	buildPeriods,
+	formatManifest,
+	outputName,
+	periodYear,
+	writePeriods
+} from '../scripts/data-manifest.js';
+import { PERIODS } from '../src/lib/periodsConfig.js';
+import periodsSource from '../src/lib/periodsConfig.ts?raw';
+import manifestSource from '../static/data/manifest.json?raw';
+
+describe('periodYear', () => {
+	it('should read AD and BC years from source names', () => {
+		expect(periodYear('world_1492.geojson')).toBe(1492);
+		expect(periodYear('world_bc500.geojson')).toBe(-500);
+		expect(periodYear('notes.geojson')).toBeNull();
+		expect(periodYear('world_1492.topojson')).toBeNull();
+	});
+});
+
+describe('outputName', () => {
+	it('should name the output after its source and a shortened hash', () => {
+		expect(outputName('world_bc500.geojson', '3f9a1c2b7d0e4f')).toBe(
+			'world_bc500.3f9a1c2b7d.topojson'
+		);
+	});
+});
+
+describe('buildPeriods', () => {
+	it('should sort periods by year and keep earlier labels', () => {
+		const periods = buildPeriods(
+			[
+				{ source: 'world_1492.geojson', output: 'world_1492.aaaaaaaaaa.topojson' },
+				{ source: 'world_bc500.geojson', output: 'world_bc500.bbbbbbbbbb.topojson' }
+			],
+			[{ year: 1492, label: '1492 AD (Columbus)', file: 'world_1492.topojson' }]
+		);
+		expect(periods).toEqual([
+			{ year: -500, label: '500 BC', file: 'world_bc500.bbbbbbbbbb.topojson' },
+			{ year: 1492, label: '1492 AD (Columbus)', file: 'world_1492.aaaaaaaaaa.topojson' }
+		]);
+	});
+});
+
+describe('writePeriods', () => {
+	it('should replace only the generated section', () => {
+		const source = [
+			'const before = 1;',
+			'// #region PERIODS, generated from static/data/manifest.json',
+			'export const PERIODS: Period[] = [];',
+			'// #endregion',
+			'const after = 2;'
+		].join('\n');
+		const written = writePeriods(source, [
+			{ year: -500, label: "500 BC (Darius')", file: 'world_bc500.bbbbbbbbbb.topojson' }
+		]);
+		expect(written).toMatch(/^const before = 1;\n/);
+		expect(written).toMatch(/\n\/\/ #endregion\nconst after = 2;$/);
+		expect(written).toContain(
+			"\t{ year: -500, file: 'world_bc500.bbbbbbbbbb.topojson', label: '500 BC (Darius\\')' }\n];"
+		);
+	});
+
+	it('should reject a source without the generated section', () => {
+		expect(() => writePeriods('export const PERIODS = [];', [])).toThrow('has no');
+	});
+});
+
+describe('shipped data', () => {
+	const manifest = JSON.parse(manifestSource);
+
+	it('should generate PERIODS from the manifest', () => {
+		expect(writePeriods(periodsSource, manifest.periods)).toBe(periodsSource);
+		expect(formatManifest(manifest)).toBe(manifestSource);
+	});
+
+	it('should ship every period file and its coarse variant', () => {
+		const shipped = Object.keys(import.meta.glob('../static/data/*.topojson')).map((path) =>
+			path.slice('../static/data/'.length)
+		);
+		expect(shipped.sort()).toEqual(
+			PERIODS.flatMap(({ file }) => [file, file.replace('.topojson', '.coarse.topojson')]).sort()
+		);
+	});
+});
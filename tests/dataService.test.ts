@@ -1,5 +1,13 @@
-import { describe, it, expect } from 'vitest';
-import { PERIODS, type Period } from '../src/lib/periodsConfig.js';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { DataService } from '../src/lib/dataService.js';
+import { fetchJson } from '../src/lib/download.js';
+import type { WorkerRequest } from '../src/lib/worker.js';
+import {
+	PERIODS,
+	findNearestPeriodIndex,
+	formatYear,
+	type Period
+} from '../src/lib/periodsConfig.js';
 
 describe('periodsConfig', () => {
 	it('should have 53 periods', () => {
@@ -60,3 +68,263 @@ describe('periodsConfig', () => {
 		}
 	});
 });
+
+describe('findNearestPeriodIndex', () => {
+	it('should return the exact period for a listed year', () => {
+		expect(PERIODS[findNearestPeriodIndex(1492)].label).toBe('1492 AD');
+		expect(PERIODS[findNearestPeriodIndex(-323)].label).toBe('323 BC');
+	});
+
+	it('should snap to the closest period', () => {
+		expect(PERIODS[findNearestPeriodIndex(1490)].year).toBe(1492);
+		expect(PERIODS[findNearestPeriodIndex(-50000)].year).toBe(-10000);
+	});
+
+	it('should clamp years outside the covered range', () => {
+		expect(findNearestPeriodIndex(-500000)).toBe(0);
+		expect(findNearestPeriodIndex(3000)).toBe(PERIODS.length - 1);
+	});
+
+	it('should return -1 for an empty list', () => {
+		const periods: Period[] = [];
+		expect(findNearestPeriodIndex(1000, periods)).toBe(-1);
+	});
+});
+
+describe('formatYear', () => {
+	it('should match the period labels', () => {
+		for (const period of PERIODS) {
+			expect(formatYear(period.year)).toBe(period.label);
+		}
+	});
+});
+
+describe('DataService', () => {
+	/** Stub fetch with responses that only arrive when `respond` is called. */
+	function stubSlowFetch() {
+		const requests: Array<{ url: string; signal: AbortSignal; respond: () => void }> = [];
+		vi.stubGlobal(
+			'fetch',
+			vi.fn(
+				(url: string, init: RequestInit) =>
+					new Promise<Response>((resolve, reject) => {
+						const signal = init.signal as AbortSignal;
+						signal.addEventListener('abort', () => reject(signal.reason));
+						requests.push({
+							url,
+							signal,
+							respond: () => resolve(new Response('{"type":"FeatureCollection","features":[]}'))
+						});
+					})
+			)
+		);
+		return requests;
+	}
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+		vi.restoreAllMocks();
+	});
+
+	it('should abort the download of a superseded period', async () => {
+		// Without Worker support, the service warns and loads on the main thread
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const requests = stubSlowFetch();
+		const service = new DataService();
+
+		const first = service.loadPeriod(0);
+		const second = service.loadPeriod(1);
+		expect(await first).toBeNull();
+		await vi.waitFor(() => expect(requests).toHaveLength(2));
+		expect(requests[0].signal.aborted).toBe(true);
+
+		requests[1].respond();
+		expect(await second).toEqual({ type: 'FeatureCollection', features: [] });
+		service.destroy();
+	});
+
+	it('should keep downloading a superseded period that is also wanted elsewhere', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const requests = stubSlowFetch();
+		const service = new DataService();
+
+		const first = service.loadPeriod(0);
+		const other = service.getPeriod(0);
+		service.loadPeriod(1);
+		expect(await first).toBeNull();
+		expect(requests[0].signal.aborted).toBe(false);
+
+		requests[0].respond();
+		expect(await other).toEqual({ type: 'FeatureCollection', features: [] });
+		service.destroy();
+	});
+
+	it('should hand out the same data each time a period is loaded', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const requests = stubSlowFetch();
+		const service = new DataService();
+
+		const first = service.getPeriod(0);
+		await vi.waitFor(() => expect(requests).toHaveLength(1));
+		requests[0].respond();
+		const data = await first;
+		expect(await service.getPeriod(0)).toBe(data);
+		expect(requests).toHaveLength(1);
+		service.destroy();
+	});
+
+	it('should pass on a download the worker gave up on without fetching it again', async () => {
+		const fetchMock = vi.fn(async () => new Response('', { status: 404, statusText: 'Not Found' }));
+		vi.stubGlobal('fetch', fetchMock);
+		// Downloads like the real worker and reports failures the same way
+		class FakeWorker {
+			onmessage: ((e: MessageEvent) => void) | null = null;
+			onerror: ((e: ErrorEvent) => void) | null = null;
+			postMessage(request: WorkerRequest) {
+				if (request.type !== 'load') return;
+				fetchJson(request.url).catch((err: Error) =>
+					this.onmessage?.({ data: { id: request.id, error: err.message } } as MessageEvent)
+				);
+			}
+			terminate() {}
+		}
+		vi.stubGlobal('Worker', FakeWorker);
+		const service = new DataService();
+
+		await expect(service.getPeriod(0)).rejects.toThrow('Not Found');
+		expect(fetchMock).toHaveBeenCalledTimes(1);
+		service.destroy();
+	});
+
+	it('should load the full-resolution file instead of the coarse one once it is cached', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const requests = stubSlowFetch();
+		const service = new DataService();
+
+		const detail = service.loadDetail(0);
+		await vi.waitFor(() => expect(requests).toHaveLength(1));
+		expect(requests[0].url).toBe(`/data/${PERIODS[0].file}`);
+		requests[0].respond();
+		const data = await detail;
+
+		expect(await service.loadPeriod(0)).toBe(data);
+		expect(await service.getPeriod(0)).toBe(data);
+		expect(requests).toHaveLength(1);
+		service.destroy();
+	});
+
+	it('should load only the full-resolution file when asked for detail', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const requests = stubSlowFetch();
+		const service = new DataService();
+
+		const load = service.loadPeriod(0, undefined, true);
+		await vi.waitFor(() => expect(requests).toHaveLength(1));
+		requests[0].respond();
+		expect(await load).toBe(service.getCachedDetail(0));
+		expect(requests.map((request) => request.url)).toEqual([`/data/${PERIODS[0].file}`]);
+		service.destroy();
+	});
+
+	describe('preloadDirection', () => {
+		const coarseUrl = (index: number) =>
+			`/data/${PERIODS[index].file.replace('.topojson', '.coarse.topojson')}`;
+
+		it('should preload count periods from two steps ahead in the direction of play', async () => {
+			vi.spyOn(console, 'warn').mockImplementation(() => {});
+			const requests = stubSlowFetch();
+			const service = new DataService();
+
+			service.preloadDirection(10, 1, 3);
+			await vi.waitFor(() => expect(requests).toHaveLength(3));
+			expect(requests.map((request) => request.url)).toEqual([12, 13, 14].map(coarseUrl));
+
+			service.preloadDirection(10, -1, 2);
+			await vi.waitFor(() => expect(requests).toHaveLength(5));
+			expect(requests.slice(3).map((request) => request.url)).toEqual([8, 7].map(coarseUrl));
+			service.destroy();
+		});
+
+		it('should stop at either end of the timeline', async () => {
+			vi.spyOn(console, 'warn').mockImplementation(() => {});
+			const requests = stubSlowFetch();
+			const service = new DataService();
+
+			service.preloadDirection(2, -1, 3);
+			service.preloadDirection(PERIODS.length - 3, 1, 3);
+			await vi.waitFor(() => expect(requests).toHaveLength(2));
+			expect(requests.map((request) => request.url)).toEqual([
+				coarseUrl(0),
+				coarseUrl(PERIODS.length - 1)
+			]);
+			service.destroy();
+		});
+
+		it('should not fetch periods again that are cached or downloading', async () => {
+			vi.spyOn(console, 'warn').mockImplementation(() => {});
+			const requests = stubSlowFetch();
+			const service = new DataService();
+
+			service.preloadDirection(10, 1, 1);
+			await vi.waitFor(() => expect(requests).toHaveLength(1));
+			service.preloadDirection(10, 1, 1);
+			requests[0].respond();
+			await service.getPeriod(12);
+			service.preloadDirection(10, 1, 2);
+			await vi.waitFor(() => expect(requests).toHaveLength(2));
+			expect(requests[1].url).toBe(coarseUrl(13));
+			service.destroy();
+		});
+
+		it('should preload the full-resolution files when asked for detail', async () => {
+			vi.spyOn(console, 'warn').mockImplementation(() => {});
+			const requests = stubSlowFetch();
+			const service = new DataService();
+
+			service.preloadDirection(10, 1, 2, true);
+			await vi.waitFor(() => expect(requests).toHaveLength(2));
+			expect(requests.map((request) => request.url)).toEqual([
+				`/data/${PERIODS[12].file}`,
+				`/data/${PERIODS[13].file}`
+			]);
+			service.destroy();
+		});
+	});
+
+	it('should pass on analysis errors the worker reports without repeating them', async () => {
+		const fetchMock = vi.fn(async () => new Response('{"type":"FeatureCollection","features":[]}'));
+		vi.stubGlobal('fetch', fetchMock);
+		// Fails every request the way the worker reports a failed download
+		class FailingWorker {
+			onmessage: ((e: MessageEvent) => void) | null = null;
+			onerror: ((e: ErrorEvent) => void) | null = null;
+			postMessage(request: WorkerRequest) {
+				queueMicrotask(() =>
+					this.onmessage?.({ data: { id: request.id, error: 'Not Found' } } as MessageEvent)
+				);
+			}
+			terminate() {}
+		}
+		vi.stubGlobal('Worker', FailingWorker);
+		const service = new DataService();
+
+		await expect(service.getChanges(1)).rejects.toThrow('Not Found');
+		await expect(service.getLabels(1)).rejects.toThrow('Not Found');
+		await expect(service.locate([0, 0])).rejects.toThrow('Not Found');
+		expect(fetchMock).not.toHaveBeenCalled();
+		service.destroy();
+	});
+
+	it('should fetch a name table once and only for locales the dataset lists', async () => {
+		const fetchMock = vi.fn(async () => new Response('{"France":"Frankreich","bad":1}'));
+		vi.stubGlobal('fetch', fetchMock);
+		const service = new DataService();
+
+		expect(await service.loadNames('de')).toEqual({ France: 'Frankreich' });
+		expect(await service.loadNames('de')).toEqual({ France: 'Frankreich' });
+		expect(await service.loadNames('xx')).toBeNull();
+		expect(fetchMock).toHaveBeenCalledTimes(1);
+		expect(fetchMock).toHaveBeenCalledWith('/data/names/de.json');
+		service.destroy();
+	});
+});
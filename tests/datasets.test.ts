@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import {
+	DEFAULT_DATASET,
+	coarseFile,
+	dataFileUrl,
+	parseManifest,
+	parseNameTable,
+	parseRegistry,
+	sameFiles
+} from '../src/lib/datasets.js';
+import shippedManifest from '../static/data/manifest.json';
+import shippedRegistry from '../static/datasets.json';
+
+const MANIFEST = {
+	id: 'in-house',
+	name: 'In-house borders',
+	attribution: { text: 'Our team', url: 'https://example.com' },
+	baseUrl: 'files',
+	properties: [{ key: 'SUBJECTO', label: 'Subject of' }],
+	periods: [
+		{ year: 1500, label: '1500 AD', file: 'b.topojson' },
+		{ year: -200, label: '200 BC', file: 'a.topojson' }
+	]
+};
+
+describe('parseManifest', () => {
+	it('should sort periods and resolve a relative base URL against the manifest', () => {
+		const manifest = parseManifest(MANIFEST, '/data/in-house/manifest.json');
+		expect(manifest.periods.map((p) => p.year)).toEqual([-200, 1500]);
+		expect(manifest.baseUrl).toBe('/data/in-house/files/');
+		expect(dataFileUrl(manifest, 'a.topojson')).toBe('/data/in-house/files/a.topojson');
+		expect(manifest.index).toBeUndefined();
+	});
+
+	it('should keep absolute file URLs', () => {
+		expect(dataFileUrl(DEFAULT_DATASET, 'blob:https://example.com/1234')).toBe(
+			'blob:https://example.com/1234'
+		);
+	});
+
+	it('should keep absolute base URLs', () => {
+		const manifest = parseManifest(
+			{ ...MANIFEST, baseUrl: 'https://cdn.example.com/maps/' },
+			'/datasets/in-house.json'
+		);
+		expect(manifest.baseUrl).toBe('https://cdn.example.com/maps/');
+	});
+
+	it('should default the attribution to the dataset name', () => {
+		const manifest = parseManifest({ ...MANIFEST, attribution: undefined }, '/m.json');
+		expect(manifest.attribution).toEqual({ text: 'In-house borders' });
+	});
+
+	it('should read levels of detail', () => {
+		const detail = { coarseSuffix: '.low.topojson', fineZoom: 3.5 };
+		expect(parseManifest({ ...MANIFEST, detail }, '/m.json').detail).toEqual(detail);
+		expect(parseManifest(MANIFEST, '/m.json').detail).toBeUndefined();
+		expect(() =>
+			parseManifest({ ...MANIFEST, detail: { coarseSuffix: '.low' } }, '/m.json')
+		).toThrow(/fineZoom/);
+	});
+
+	it('should read name tables', () => {
+		const names = { fr: 'names/fr.json' };
+		expect(parseManifest({ ...MANIFEST, names }, '/m.json').names).toEqual(names);
+		expect(parseManifest(MANIFEST, '/m.json').names).toBeUndefined();
+		expect(() => parseManifest({ ...MANIFEST, names: { fr: 1 } }, '/m.json')).toThrow(/names\.fr/);
+	});
+
+	it('should reject manifests without periods or with malformed periods', () => {
+		expect(() => parseManifest({ ...MANIFEST, periods: [] }, '/m.json')).toThrow(/periods/);
+		expect(() =>
+			parseManifest({ ...MANIFEST, periods: [{ year: '1500', label: 'x', file: 'x' }] }, '/m.json')
+		).toThrow(/period 0/);
+		expect(() => parseManifest({ ...MANIFEST, baseUrl: undefined }, '/m.json')).toThrow(/baseUrl/);
+	});
+
+	it('should match the built-in dataset for the shipped manifest', () => {
+		expect(parseManifest(shippedManifest, '/data/manifest.json')).toEqual(DEFAULT_DATASET);
+	});
+});
+
+describe('parseNameTable', () => {
+	it('should keep string translations and reject anything but an object', () => {
+		expect(parseNameTable({ Rome: 'Roma', Carthage: 3 })).toEqual({ Rome: 'Roma' });
+		expect(() => parseNameTable(['Roma'])).toThrow(/name table/);
+	});
+});
+
+describe('coarseFile', () => {
+	it('should name the coarse variant of period files', () => {
+		expect(coarseFile(DEFAULT_DATASET, 'world_1492.topojson')).toBe('world_1492.coarse.topojson');
+		expect(coarseFile(DEFAULT_DATASET, 'maps/v1.2/world')).toBe('maps/v1.2/world.coarse.topojson');
+	});
+
+	it('should give user files and single-level datasets no variant', () => {
+		expect(coarseFile(DEFAULT_DATASET, 'blob:https://example.com/1234')).toBeNull();
+		expect(coarseFile({ ...DEFAULT_DATASET, detail: undefined }, 'world_1492.topojson')).toBeNull();
+	});
+});
+
+describe('sameFiles', () => {
+	it('should tell whether data loaded for one manifest is valid for another', () => {
+		const renamed = { ...DEFAULT_DATASET, name: 'Renamed', attribution: { text: 'Renamed' } };
+		expect(sameFiles(DEFAULT_DATASET, renamed)).toBe(true);
+		expect(sameFiles(DEFAULT_DATASET, { ...DEFAULT_DATASET, baseUrl: '/v2/' })).toBe(false);
+		const periods = DEFAULT_DATASET.periods.map((p, i) =>
+			i === 0 ? { ...p, file: 'new.topojson' } : p
+		);
+		expect(sameFiles(DEFAULT_DATASET, { ...DEFAULT_DATASET, periods })).toBe(false);
+	});
+});
+
+describe('parseRegistry', () => {
+	it('should read the shipped registry', () => {
+		expect(parseRegistry(shippedRegistry)[0].id).toBe(DEFAULT_DATASET.id);
+	});
+
+	it('should reject empty registries and duplicate IDs', () => {
+		expect(() => parseRegistry({ datasets: [] })).toThrow();
+		const entry = { id: 'a', name: 'A', manifest: '/a.json' };
+		expect(() => parseRegistry({ datasets: [entry, entry] })).toThrow(/unique id/);
+	});
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { HttpError, fetchJson, isTransient, type DownloadProgress } from '../src/lib/download.js';
+
+const NO_DELAYS = [0, 0, 0];
+
+/** A response streaming `text` in two chunks. */
+function streamed(text: string, headers: Record<string, string> = {}): Response {
+	const bytes = new TextEncoder().encode(text);
+	const half = Math.floor(bytes.length / 2);
+	const body = new ReadableStream<Uint8Array>({
+		start(controller) {
+			controller.enqueue(bytes.slice(0, half));
+			controller.enqueue(bytes.slice(half));
+			controller.close();
+		}
+	});
+	return new Response(body, { headers });
+}
+
+function stubFetch(...responses: Array<Response | Error>) {
+	const fetch = vi.fn();
+	for (const response of responses) {
+		if (response instanceof Error) fetch.mockRejectedValueOnce(response);
+		else fetch.mockResolvedValueOnce(response);
+	}
+	vi.stubGlobal('fetch', fetch);
+	return fetch;
+}
+
+afterEach(() => {
+	vi.unstubAllGlobals();
+	vi.restoreAllMocks();
+});
+
+describe('isTransient', () => {
+	it('should retry network failures and server errors only', () => {
+		expect(isTransient(new TypeError('Failed to fetch'))).toBe(true);
+		expect(isTransient(new HttpError(503, 'Service Unavailable'))).toBe(true);
+		expect(isTransient(new HttpError(429, 'Too Many Requests'))).toBe(true);
+		expect(isTransient(new HttpError(404, 'Not Found'))).toBe(false);
+		expect(isTransient(new SyntaxError('Unexpected token'))).toBe(false);
+	});
+});
+
+describe('fetchJson', () => {
+	it('should report progress as the body arrives', async () => {
+		const text = JSON.stringify({ type: 'FeatureCollection', features: [] });
+		stubFetch(streamed(text, { 'Content-Length': String(text.length) }));
+		const progress: DownloadProgress[] = [];
+		const data = await fetchJson('/data/a.json', (p) => progress.push(p), undefined, NO_DELAYS);
+
+		expect(data).toEqual({ type: 'FeatureCollection', features: [] });
+		expect(progress[0]).toEqual({ loaded: 0, total: text.length });
+		expect(progress.at(-1)).toEqual({ loaded: text.length, total: text.length });
+		expect(progress).toHaveLength(3);
+	});
+
+	it('should drop a total the body outgrows', async () => {
+		stubFetch(streamed('{"compressed": true}', { 'Content-Length': '4' }));
+		const progress: DownloadProgress[] = [];
+		await fetchJson('/data/a.json', (p) => progress.push(p), undefined, NO_DELAYS);
+		expect(progress.at(-1)?.total).toBeNull();
+	});
+
+	it('should retry transient failures', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const fetch = stubFetch(
+			new TypeError('Failed to fetch'),
+			new Response('', { status: 502, statusText: 'Bad Gateway' }),
+			new Response('[1]')
+		);
+		expect(await fetchJson('/data/a.json', undefined, undefined, NO_DELAYS)).toEqual([1]);
+		expect(fetch).toHaveBeenCalledTimes(3);
+	});
+
+	it('should give up once retries run out', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const fetch = stubFetch(
+			new Response('', { status: 503, statusText: 'Service Unavailable' }),
+			new Response('', { status: 503, statusText: 'Service Unavailable' })
+		);
+		await expect(fetchJson('/data/a.json', undefined, undefined, [0])).rejects.toThrow(
+			'Failed to load /data/a.json: Service Unavailable'
+		);
+		expect(fetch).toHaveBeenCalledTimes(2);
+	});
+
+	it('should not retry missing files', async () => {
+		const fetch = stubFetch(new Response('', { status: 404, statusText: 'Not Found' }));
+		await expect(fetchJson('/data/a.json', undefined, undefined, NO_DELAYS)).rejects.toThrow(
+			HttpError
+		);
+		expect(fetch).toHaveBeenCalledTimes(1);
+	});
+
+	it('should stop waiting to retry when aborted', async () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const fetch = stubFetch(new TypeError('Failed to fetch'));
+		const controller = new AbortController();
+		const result = fetchJson('/data/a.json', undefined, controller.signal, [60000]);
+		await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+		controller.abort();
+		await expect(result).rejects.toThrow(/abort/i);
+		expect(fetch).toHaveBeenCalledTimes(1);
+	});
+});
@@ -30,9 +30,35 @@ test.describe('Historical World Map', () => {
 
 	test('should update period when slider changes', async ({ page }) => {
 		const slider = page.locator('#time-slider');
-		await slider.fill('26'); // 1000 AD (index 26)
+		await slider.press('End');
 		const periodLabel = page.locator('.current-period');
-		await expect(periodLabel).toHaveText('1000 AD');
+		await expect(periodLabel).toHaveText('2010 AD');
+		await slider.press('ArrowLeft');
+		await expect(periodLabel).toHaveText('2000 AD');
+	});
+
+	test('should step back and forward through periods with the browser history', async ({
+		page
+	}) => {
+		const slider = page.locator('#time-slider');
+		const periodLabel = page.locator('.current-period');
+		await slider.press('End');
+		await expect(page).toHaveURL(/year=2010/);
+		await slider.press('ArrowLeft');
+		await expect(page).toHaveURL(/year=2000/);
+
+		await page.goBack();
+		await expect(periodLabel).toHaveText('2010 AD');
+		await expect(page).toHaveURL(/year=2010/);
+		await page.goForward();
+		await expect(periodLabel).toHaveText('2000 AD');
+	});
+
+	test('should jump to the nearest period of a typed year', async ({ page }) => {
+		await page.getByRole('button', { name: /activate to type a year$/ }).click();
+		await page.getByRole('textbox', { name: 'Go to year' }).fill('1010');
+		await page.keyboard.press('Enter');
+		await expect(page.locator('.current-period')).toHaveText('1000 AD');
 	});
 
 	test('should have accessible slider label', async ({ page }) => {
@@ -61,4 +87,167 @@ test.describe('Historical World Map', () => {
 		await expect(zoomIn).toBeVisible();
 		await expect(zoomOut).toBeVisible();
 	});
+
+	test('should announce the period and its territory count', async ({ page }) => {
+		const status = page.locator('p[role="status"]');
+		await page.locator('#time-slider').press('End');
+		await expect(status).toHaveText(/^2010 AD, \d+ territories loaded$/);
+	});
+
+	test('should list the territories and open one from the list', async ({ page }) => {
+		await page.getByRole('button', { name: 'List of territories' }).click();
+		const list = page.getByRole('region', { name: 'Territories' });
+		await expect(list).toBeVisible();
+
+		const first = list.getByRole('listitem').first().getByRole('button');
+		const name = (await first.textContent())?.trim() ?? '';
+		await first.click();
+		const panel = page.getByRole('region', { name: 'Territory information' });
+		await expect(panel).toBeVisible();
+		await expect(panel).toContainText(name);
+	});
+
+	test('should filter the territory list', async ({ page }) => {
+		await page.getByRole('button', { name: 'List of territories' }).click();
+		const list = page.getByRole('region', { name: 'Territories' });
+		await list.getByRole('searchbox', { name: 'Filter territories' }).fill('zzzz');
+		await expect(list).toContainText('No territories match.');
+	});
+
+	test('should move between territories with the keyboard', async ({ page }) => {
+		// Territories are only navigable once the period has loaded
+		await expect(page.locator('p[role="status"]')).toContainText('territories loaded');
+		const canvas = page.locator('.maplibregl-canvas');
+		await canvas.focus();
+		await page.keyboard.press('Enter');
+		const message = page.locator('.map-container + p[aria-live="polite"]');
+		await expect(message).toContainText(/, \d+ of \d+\./);
+
+		const before = await message.textContent();
+		await page.keyboard.press('Tab');
+		await expect(message).not.toHaveText(before ?? '');
+		await expect(canvas).toBeFocused();
+
+		await page.keyboard.press('ArrowRight');
+		await page.keyboard.press('Enter');
+		await expect(page.getByRole('region', { name: 'Territory information' })).toBeVisible();
+	});
+
+	test('should list the territories covering a place in every period', async ({ page }) => {
+		await page.getByRole('button', { name: 'Place through time' }).click();
+		const panel = page.getByRole('region', { name: 'Place through time' });
+		await panel.getByRole('textbox', { name: 'Latitude and longitude' }).fill('48.85, 2.35');
+		await panel.getByRole('button', { name: 'Go' }).click();
+
+		const row = panel.getByRole('row', { name: /^1492 AD/ });
+		await expect(row).toContainText('France', { timeout: 30000 });
+		await row.getByRole('button', { name: '1492 AD' }).click();
+		await expect(page.locator('.current-period')).toHaveText('1492 AD');
+	});
+
+	test('should play a guided tour step by step', async ({ page }) => {
+		await page.getByRole('button', { name: 'Guided tours' }).click();
+		await page.getByRole('button', { name: /The Age of Discovery/ }).click();
+
+		const panel = page.getByRole('region', { name: /Guided tour/ });
+		await expect(panel).toContainText('Two crowns on the Atlantic');
+		await expect(page.locator('.current-period')).toHaveText('1492 AD');
+		await expect(page).toHaveURL(/tour=%2Ftours%2Fage-of-discovery\.md&step=1/);
+
+		await panel.getByRole('button', { name: 'Next' }).click();
+		await expect(panel).toContainText('Step 2 of 4');
+		await expect(page.locator('.current-period')).toHaveText('1500 AD');
+
+		await panel.getByRole('button', { name: 'End tour' }).click();
+		await expect(panel).toBeHidden();
+	});
+
+	test('should leave keyboard mode with Escape', async ({ page }) => {
+		// Territories are only navigable once the period has loaded
+		await expect(page.locator('p[role="status"]')).toContainText('territories loaded');
+		const canvas = page.locator('.maplibregl-canvas');
+		await canvas.focus();
+		await page.keyboard.press('Enter');
+		await page.keyboard.press('Escape');
+		await expect(page.locator('.map-container + p[aria-live="polite"]')).toHaveText(
+			'Left territory navigation.'
+		);
+	});
+
+	test('should switch the language and the era labels', async ({ page }) => {
+		await page.getByRole('button', { name: 'Language and dates' }).click();
+		await page.getByRole('button', { name: 'Français' }).click();
+		await expect(page.locator('.current-period')).toHaveText('123000 av. J.-C.');
+		await expect(page.locator('header h1')).toContainText('Carte interactive du monde historique');
+
+		await page.getByRole('button', { name: 'Langue et dates' }).click();
+		await page.getByRole('button', { name: /AEC/ }).click();
+		await expect(page.locator('.current-period')).toHaveText('123000 AEC');
+
+		await page.reload();
+		await expect(page.locator('.current-period')).toHaveText('123000 AEC');
+		await expect(page.locator('html')).toHaveAttribute('lang', 'fr');
+	});
+
+	test('should remember the basemap and the globe projection', async ({ page }) => {
+		await page.getByRole('button', { name: 'Map style and legend' }).click();
+		const panel = page.getByRole('region', { name: 'Map style' });
+		await panel.getByLabel('Basemap').selectOption('custom');
+		await panel.getByLabel('Tile URL template').fill('/tiles/{z}/{x}');
+		await panel.getByRole('button', { name: 'Use' }).click();
+		await expect(panel.getByLabel('Tile URL template')).toHaveAttribute('aria-invalid', 'true');
+
+		await panel.getByLabel('Basemap').selectOption('none');
+		await panel.getByLabel('Show as a globe').check();
+		await page.reload();
+		await page.getByRole('button', { name: 'Map style and legend' }).click();
+		await expect(panel.getByLabel('Basemap')).toHaveValue('none');
+		await expect(panel.getByLabel('Show as a globe')).toBeChecked();
+	});
+});
+
+test.describe('Embedded map', () => {
+	test('should open at the given period with the timeline limited to the range', async ({
+		page
+	}) => {
+		await page.goto('/embed?year=1500&from=1492&to=1600');
+		await expect(page.locator('.current-period')).toHaveText('1500 AD');
+		await expect(page.locator('header')).toHaveCount(0);
+
+		const slider = page.locator('#time-slider');
+		await slider.focus();
+		await page.keyboard.press('Home');
+		await expect(page.locator('.current-period')).toHaveText('1492 AD');
+	});
+
+	test('should hide the chrome and keep the data credit', async ({ page }) => {
+		await page.goto('/embed?year=1492&chrome=0&theme=light');
+		await page.waitForSelector('.maplibregl-canvas', { timeout: 15000 });
+		await expect(page.locator('#time-slider')).toHaveCount(0);
+		await expect(page.locator('.maplibregl-ctrl-zoom-in')).toHaveCount(0);
+		await expect(page.locator('.credit')).toContainText('1492 AD');
+		await expect(page.locator('html')).toHaveAttribute('data-theme', 'light');
+	});
+
+	test('should follow commands from the embedding page and report period changes', async ({
+		page
+	}) => {
+		await page.goto('/');
+		await page.setContent('<iframe src="/embed?year=1492" style="width: 800px; height: 500px"></iframe>');
+		const events = page.evaluateHandle(() => {
+			const received: unknown[] = [];
+			window.addEventListener('message', (e) => received.push(e.data));
+			return received;
+		});
+		const frame = page.frameLocator('iframe');
+		await expect(frame.locator('.current-period')).toHaveText('1492 AD');
+
+		await page.evaluate(() =>
+			document.querySelector('iframe')!.contentWindow!.postMessage({ type: 'setPeriod', year: 1600 }, '*')
+		);
+		await expect(frame.locator('.current-period')).toHaveText('1600 AD');
+		await expect
+			.poll(async () => (await events).evaluate((received) => JSON.stringify(received)))
+			.toContain('"type":"periodchange","year":1600');
+	});
 });
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { parseEmbedCommand, parseEmbedOptions, periodRange } from '../src/lib/embed.js';
+import { PERIODS } from '../src/lib/periodsConfig.js';
+
+describe('parseEmbedOptions', () => {
+	it('should read the deep-link parameters and default to the full timeline with chrome', () => {
+		const options = parseEmbedOptions(new URLSearchParams('year=1492&lat=40&lng=-4&zoom=5'));
+		expect(options.year).toBe(1492);
+		expect(options.view).toEqual({ center: [-4, 40], zoom: 5 });
+		expect(options.range).toEqual({});
+		expect(options.chrome).toBe(true);
+		expect(options.theme).toBeUndefined();
+	});
+
+	it('should read the range, chrome, theme and language', () => {
+		const options = parseEmbedOptions(
+			new URLSearchParams('from=500 BC&to=1500&chrome=0&theme=light&lang=fr&era=common')
+		);
+		expect(options.range).toEqual({ from: -500, to: 1500 });
+		expect(options.chrome).toBe(false);
+		expect(options.theme).toBe('light');
+		expect(options.lang).toBe('fr');
+		expect(options.era).toBe('common');
+	});
+
+	it('should read the basemap and projection, and only take custom tiles with a template', () => {
+		const options = parseEmbedOptions(
+			new URLSearchParams(
+				'basemap=custom&tiles=/tiles/{z}/{x}/{y}.png&attribution=%C2%A9+Us&projection=globe'
+			)
+		);
+		expect(options.basemap).toBe('custom');
+		expect(options.tiles).toBe('/tiles/{z}/{x}/{y}.png');
+		expect(options.tileAttribution).toBe('© Us');
+		expect(options.projection).toBe('globe');
+		expect(parseEmbedOptions(new URLSearchParams('basemap=custom')).basemap).toBeUndefined();
+		expect(parseEmbedOptions(new URLSearchParams('projection=flat')).projection).toBeUndefined();
+	});
+
+	it('should swap a reversed range and ignore unreadable values', () => {
+		expect(parseEmbedOptions(new URLSearchParams('from=1800&to=1500')).range).toEqual({
+			from: 1500,
+			to: 1800
+		});
+		const options = parseEmbedOptions(
+			new URLSearchParams('from=soon&chrome=maybe&theme=blue&lang=xx&era=hijri')
+		);
+		expect(options.range).toEqual({});
+		expect(options.chrome).toBe(true);
+		expect(options.theme).toBeUndefined();
+		expect(options.lang).toBeUndefined();
+		expect(options.era).toBeUndefined();
+	});
+});
+
+describe('periodRange', () => {
+	const periods = [{ year: -500 }, { year: 1 }, { year: 1000 }, { year: 1500 }].map((p) => ({
+		...p,
+		file: `${p.year}.geojson`,
+		label: String(p.year)
+	}));
+
+	it('should keep the periods between the two years', () => {
+		expect(periodRange(periods, { from: 0, to: 1200 })).toEqual({ first: 1, last: 2 });
+		expect(periodRange(periods, { to: 1 })).toEqual({ first: 0, last: 1 });
+		expect(periodRange(periods, {})).toEqual({ first: 0, last: 3 });
+	});
+
+	it('should keep one period when none falls in the range', () => {
+		expect(periodRange(periods, { from: 1100, to: 1200 })).toEqual({ first: 2, last: 2 });
+		expect(periodRange(periods, { from: 2000 })).toEqual({ first: 3, last: 3 });
+		expect(periodRange(periods, { to: -1000 })).toEqual({ first: 0, last: 0 });
+	});
+
+	it('should work on the built-in periods', () => {
+		const { first, last } = periodRange(PERIODS, { from: 1492, to: 1815 });
+		expect(PERIODS[first].year).toBeGreaterThanOrEqual(1492);
+		expect(PERIODS[last].year).toBeLessThanOrEqual(1815);
+		expect(PERIODS[first - 1].year).toBeLessThan(1492);
+		expect(PERIODS[last + 1].year).toBeGreaterThan(1815);
+	});
+});
+
+describe('parseEmbedCommand', () => {
+	it('should read each command', () => {
+		expect(parseEmbedCommand({ type: 'setPeriod', year: 1492 })).toEqual({
+			type: 'setPeriod',
+			year: 1492
+		});
+		expect(parseEmbedCommand({ type: 'setPeriod', year: '500 BC' })).toEqual({
+			type: 'setPeriod',
+			year: -500
+		});
+		expect(parseEmbedCommand({ type: 'selectTerritory', name: 'France' })).toEqual({
+			type: 'selectTerritory',
+			name: 'France'
+		});
+		expect(parseEmbedCommand({ type: 'flyTo', center: [2.35, 48.85], zoom: 6 })).toEqual({
+			type: 'flyTo',
+			view: { center: [2.35, 48.85], zoom: 6 }
+		});
+	});
+
+	it('should default the zoom of flyTo', () => {
+		expect(parseEmbedCommand({ type: 'flyTo', center: [0, 0] })).toEqual({
+			type: 'flyTo',
+			view: { center: [0, 0], zoom: 4 }
+		});
+	});
+
+	it('should ignore other messages and malformed commands', () => {
+		expect(parseEmbedCommand('setPeriod')).toBeNull();
+		expect(parseEmbedCommand(null)).toBeNull();
+		expect(parseEmbedCommand({ type: 'reload' })).toBeNull();
+		expect(parseEmbedCommand({ type: 'setPeriod', year: 'soon' })).toBeNull();
+		expect(parseEmbedCommand({ type: 'setPeriod', year: NaN })).toBeNull();
+		expect(parseEmbedCommand({ type: 'selectTerritory', name: '' })).toBeNull();
+		expect(parseEmbedCommand({ type: 'flyTo', center: [0, 95] })).toBeNull();
+		expect(parseEmbedCommand({ type: 'flyTo', center: ['0', '0'] })).toBeNull();
+	});
+});
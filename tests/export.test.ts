@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import type { FeatureCollection, Polygon } from 'geojson';
+import {
+	clipCollection,
+	clipGeometry,
+	exportFilename,
+	territoriesToSvg
+} from '../src/lib/export.js';
+import { feature, square } from './fixtures.js';
+
+describe('clipGeometry', () => {
+	it('should keep geometries inside the bounds unchanged in shape', () => {
+		const clipped = clipGeometry(
+			feature(null, [square(0, 0, 1)]).geometry,
+			[-10, -10, 10, 10]
+		) as Polygon;
+		expect(clipped.type).toBe('Polygon');
+		expect(clipped.coordinates[0]).toHaveLength(5);
+	});
+
+	it('should cut polygons at the bounds', () => {
+		const clipped = clipGeometry(
+			feature(null, [square(0, 0, 10)]).geometry,
+			[5, 5, 20, 20]
+		) as Polygon;
+		const xs = clipped.coordinates[0].map((p) => p[0]);
+		const ys = clipped.coordinates[0].map((p) => p[1]);
+		expect(Math.min(...xs)).toBe(5);
+		expect(Math.max(...xs)).toBe(10);
+		expect(Math.min(...ys)).toBe(5);
+		expect(Math.max(...ys)).toBe(10);
+		expect(clipped.coordinates[0][0]).toEqual(clipped.coordinates[0].at(-1));
+	});
+
+	it('should return null for geometries outside the bounds', () => {
+		expect(clipGeometry(feature(null, [square(50, 50, 1)]).geometry, [0, 0, 10, 10])).toBeNull();
+	});
+
+	it('should clip across the antimeridian', () => {
+		const geometry = {
+			type: 'MultiPolygon' as const,
+			coordinates: [[square(175, 0, 4)], [square(-180, 0, 4)]]
+		};
+		// A viewport from 170°E to 190°E (i.e. 170°W) covers both pieces.
+		const clipped = clipGeometry(geometry, [170, -10, 190, 10]);
+		expect(clipped?.type).toBe('MultiPolygon');
+		expect(clipGeometry(geometry, [0, -10, 20, 10])).toBeNull();
+	});
+});
+
+describe('clipCollection', () => {
+	it('should drop features outside the bounds', () => {
+		const collection: FeatureCollection = {
+			type: 'FeatureCollection',
+			features: [feature('In', [square(0, 0, 1)]), feature('Out', [square(50, 50, 1)])]
+		};
+		const clipped = clipCollection(collection, [-5, -5, 5, 5]);
+		expect(clipped.features.map((f) => f.properties?.NAME)).toEqual(['In']);
+	});
+});
+
+describe('territoriesToSvg', () => {
+	const collection: FeatureCollection = {
+		type: 'FeatureCollection',
+		features: [feature('Rome & <Carthage>', [square(0, 0, 1)]), feature(null, [square(2, 2, 1)])]
+	};
+	const svg = territoriesToSvg(collection, {
+		width: 100,
+		height: 50,
+		project: ([lng, lat]) => [lng * 10, 50 - lat * 10],
+		title: '200 BC'
+	});
+
+	it('should draw one path per territory', () => {
+		expect(svg.match(/<path /g)).toHaveLength(2);
+		expect(svg).toContain('d="M0.0 50.0L0.0 40.0L10.0 40.0L10.0 50.0Z"');
+	});
+
+	it('should escape names and include the title and attribution', () => {
+		expect(svg).toContain('<title>Rome &#38; &#60;Carthage&#62;</title>');
+		expect(svg).toContain('>200 BC</text>');
+		expect(svg).toContain('Historical Basemaps');
+	});
+});
+
+describe('exportFilename', () => {
+	it('should slugify the period label', () => {
+		expect(exportFilename({ year: -123000, file: 'x', label: '123000 BC' }, 'png')).toBe(
+			'historical-map-123000-bc.png'
+		);
+	});
+});
@@ -0,0 +1,28 @@
+import type { Feature, GeoJsonProperties, Polygon, Position } from 'geojson';
+
+/** Closed ring of the square whose south-west corner is at [west, south]. */
+export function square(west: number, south: number, size: number): Position[] {
+	return [
+		[west, south],
+		[west, south + size],
+		[west + size, south + size],
+		[west + size, south],
+		[west, south]
+	];
+}
+
+/**
+ * Territory named `name` whose polygon has `rings`, the exterior first,
+ * with `properties` besides its NAME.
+ */
+export function feature(
+	name: string | null,
+	rings: Position[][],
+	properties: GeoJsonProperties = {}
+): Feature<Polygon> {
+	return {
+		type: 'Feature',
+		properties: { NAME: name, ...properties },
+		geometry: { type: 'Polygon', coordinates: rings }
+	};
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import type { FeatureCollection } from 'geojson';
+import type { Topology } from 'topojson-specification';
+import { isGeoFileName, parseGeoFile, toFeatureCollection } from '../src/lib/geoFile.js';
+
+const SQUARE: FeatureCollection = {
+	type: 'FeatureCollection',
+	features: [
+		{
+			type: 'Feature',
+			properties: { NAME: 'Square' },
+			geometry: {
+				type: 'Polygon',
+				coordinates: [
+					[
+						[0, 0],
+						[1, 0],
+						[1, 1],
+						[0, 1],
+						[0, 0]
+					]
+				]
+			}
+		}
+	]
+};
+
+const SQUARE_TOPOLOGY: Topology = {
+	type: 'Topology',
+	objects: {
+		regions: {
+			type: 'GeometryCollection',
+			geometries: [{ type: 'Polygon', arcs: [[0]], properties: { NAME: 'Square' } }]
+		}
+	},
+	arcs: [
+		[
+			[0, 0],
+			[1, 0],
+			[1, 1],
+			[0, 1],
+			[0, 0]
+		]
+	]
+};
+
+describe('toFeatureCollection', () => {
+	it('should convert the first object of a topology', () => {
+		const collection = toFeatureCollection(SQUARE_TOPOLOGY);
+		expect(collection.features).toHaveLength(1);
+		expect(collection.features[0].properties).toEqual({ NAME: 'Square' });
+		expect(collection.features[0].geometry).toEqual(SQUARE.features[0].geometry);
+	});
+
+	it('should wrap single features and bare geometries', () => {
+		expect(toFeatureCollection(SQUARE.features[0]).features).toEqual(SQUARE.features);
+		const wrapped = toFeatureCollection(SQUARE.features[0].geometry);
+		expect(wrapped.features[0].geometry).toEqual(SQUARE.features[0].geometry);
+		expect(wrapped.features[0].properties).toEqual({});
+	});
+
+	it('should reject other JSON', () => {
+		expect(() => toFeatureCollection({ type: 'Map' })).toThrow(/GeoJSON or TopoJSON/);
+		expect(() => toFeatureCollection([1, 2])).toThrow(/GeoJSON or TopoJSON/);
+	});
+});
+
+describe('parseGeoFile', () => {
+	it('should parse GeoJSON text', () => {
+		expect(parseGeoFile(JSON.stringify(SQUARE))).toEqual(SQUARE);
+	});
+
+	it('should report invalid JSON and empty collections', () => {
+		expect(() => parseGeoFile('{"type":')).toThrow(/not valid JSON/);
+		expect(() => parseGeoFile('{"type":"FeatureCollection","features":[]}')).toThrow(
+			/no geometries/
+		);
+	});
+});
+
+describe('isGeoFileName', () => {
+	it('should accept GeoJSON, TopoJSON and JSON extensions in any case', () => {
+		expect(isGeoFileName('andes.GeoJSON')).toBe(true);
+		expect(isGeoFileName('andes.topojson')).toBe(true);
+		expect(isGeoFileName('andes.shp')).toBe(false);
+	});
+});
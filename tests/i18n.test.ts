@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+	LOCALES,
+	createI18n,
+	detectLocale,
+	localName,
+	localizeLabels,
+	localizePeriods
+} from '../src/lib/i18n.js';
+import en from '../src/lib/locales/en.js';
+import { PERIODS, type Period } from '../src/lib/periodsConfig.js';
+import type { TerritoryLabels } from '../src/lib/labels.js';
+import territoryIndex from '../static/data/territory-index.json';
+import fr from '../static/data/names/fr.json';
+import es from '../static/data/names/es.json';
+import de from '../static/data/names/de.json';
+
+describe('detectLocale', () => {
+	it('should prefer the stored locale, then the first supported browser language', () => {
+		expect(detectLocale('de', ['fr-FR'])).toBe('de');
+		expect(detectLocale(null, ['ja', 'fr-CA', 'es'])).toBe('fr');
+		expect(detectLocale('xx', ['ES'])).toBe('es');
+		expect(detectLocale(null, ['ja'])).toBe('en');
+	});
+});
+
+describe('createI18n', () => {
+	it('should format years in each era style', () => {
+		expect(createI18n('en').formatYear(-500)).toBe('500 BC');
+		expect(createI18n('en', 'common').formatYear(1492)).toBe('1492 CE');
+		expect(createI18n('fr').formatYear(-500)).toBe('500 av. J.-C.');
+		expect(createI18n('es', 'common').formatYear(-500)).toBe('500 a. e. c.');
+		expect(createI18n('de').formatYear(1492)).toBe('1492 n. Chr.');
+	});
+
+	it("should read years in the locale's era labels or in English", () => {
+		const french = createI18n('fr');
+		expect(french.parseYear('500 av. J.-C.')).toBe(-500);
+		expect(french.parseYear('500 AEC')).toBe(-500);
+		expect(french.parseYear('1 492 apr. J.-C.')).toBe(1492);
+		expect(french.parseYear('500 BC')).toBe(-500);
+		expect(french.parseYear('-500')).toBe(-500);
+
+		const spanish = createI18n('es', 'common');
+		expect(spanish.parseYear('500 a. e. c.')).toBe(-500);
+		expect(spanish.parseYear('500 e. c.')).toBe(500);
+		expect(spanish.parseYear('pronto')).toBeUndefined();
+	});
+
+	it('should fill placeholders and pick plural forms', () => {
+		const english = createI18n('en');
+		expect(english.t('status.periodLoaded', { label: '1492 AD', count: 187 })).toBe(
+			'1492 AD, 187 territories loaded'
+		);
+		expect(english.t('status.periodLoaded', { label: '1492 AD', count: 1 })).toBe(
+			'1492 AD, 1 territory loaded'
+		);
+		expect(createI18n('fr').t('info.moreNeighbours', { count: 3 })).toBe('et 3 autres');
+		expect(english.t('error.period')).toBe('Failed to load historical data: {detail}');
+	});
+
+	it('should format numbers for the locale', () => {
+		expect(createI18n('en').formatNumber(1234567.8)).toBe('1,234,568');
+		expect(createI18n('de').formatNumber(1234567)).toBe('1.234.567');
+	});
+
+	it('should have every message in every catalog', () => {
+		for (const { code } of LOCALES) {
+			const i18n = createI18n(code);
+			for (const key of Object.keys(en) as Array<keyof typeof en>) {
+				expect(i18n.t(key, { count: 2 }), `${code} ${key}`).not.toBe('');
+			}
+		}
+	});
+});
+
+describe('localizePeriods', () => {
+	it('should return the periods unchanged in English with BC/AD', () => {
+		expect(localizePeriods(PERIODS, createI18n('en'))).toBe(PERIODS);
+	});
+
+	it('should relabel generated labels and keep hand-written ones', () => {
+		const periods: Period[] = [
+			{ year: -500, label: '500 BC', file: 'a.topojson' },
+			{ year: 1492, label: '1492 AD · borders.geojson', file: 'blob:1' },
+			{ year: 1815, label: 'Congress of Vienna', file: 'b.topojson' }
+		];
+		expect(localizePeriods(periods, createI18n('fr')).map((p) => p.label)).toEqual([
+			'500 av. J.-C.',
+			'1492 apr. J.-C. · borders.geojson',
+			'Congress of Vienna'
+		]);
+		expect(localizePeriods(periods, createI18n('fr'))[2]).toBe(periods[2]);
+	});
+});
+
+describe('localizeLabels', () => {
+	const labels: TerritoryLabels = {
+		type: 'FeatureCollection',
+		features: ['Rome', 'Carthage'].map((name) => ({
+			type: 'Feature',
+			geometry: { type: 'Point', coordinates: [0, 0] },
+			properties: { name, km2: 1, minzoom: 0 }
+		}))
+	};
+
+	it('should add the translation of each translated name as its text', () => {
+		const localized = localizeLabels(labels, { Rome: 'Roma' });
+		expect(localized.features.map((f) => f.properties.text)).toEqual(['Roma', undefined]);
+		expect(localized.features[1]).toBe(labels.features[1]);
+		expect(localizeLabels(labels, null)).toBe(labels);
+	});
+
+	it('should fall back to the name itself', () => {
+		expect(localName('Rome', { Rome: 'Roma' })).toBe('Roma');
+		expect(localName('Carthage', { Rome: 'Roma' })).toBe('Carthage');
+		expect(localName('Carthage', null)).toBe('Carthage');
+	});
+});
+
+describe('shipped name tables', () => {
+	const names = new Set(
+		Object.values(territoryIndex.periods).flatMap((entries) =>
+			entries.flatMap((entry) => [entry.n, 's' in entry ? entry.s : entry.n])
+		)
+	);
+
+	it('should only translate names that occur in the dataset', () => {
+		for (const [locale, table] of Object.entries({ fr, es, de })) {
+			for (const [name, translation] of Object.entries(table)) {
+				expect(names.has(name), `${locale}: ${name}`).toBe(true);
+				expect(translation, `${locale}: ${name}`).not.toBe(name);
+			}
+		}
+	});
+});
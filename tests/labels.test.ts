@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import type { FeatureCollection, Polygon, Position } from 'geojson';
+import { labelMinZoom, labelPoint, territoryLabels } from '../src/lib/labels.js';
+import { feature, square } from './fixtures.js';
+
+/** A 10° "C" shape open to the east, whose centroid lies outside it. */
+const C_SHAPE: Position[][] = [
+	[
+		[0, 0],
+		[0, 10],
+		[10, 10],
+		[10, 7],
+		[3, 7],
+		[3, 3],
+		[10, 3],
+		[10, 0],
+		[0, 0]
+	]
+];
+
+describe('labelPoint', () => {
+	it('should place the label at the centre of a square', () => {
+		const [x, y] = labelPoint([square(0, 0, 10)]);
+		expect(x).toBeCloseTo(5, 0);
+		expect(y).toBeCloseTo(5, 0);
+	});
+
+	it('should keep the label inside a concave polygon', () => {
+		const [x] = labelPoint(C_SHAPE);
+		expect(x).toBeLessThan(3);
+	});
+});
+
+describe('labelMinZoom', () => {
+	it('should show larger territories from lower zooms', () => {
+		expect(labelMinZoom(1e7)).toBeLessThan(labelMinZoom(1e5));
+		expect(labelMinZoom(1e9)).toBe(0);
+	});
+});
+
+describe('territoryLabels', () => {
+	it('should label each named entity once, in its largest polygon, largest first', () => {
+		const collection: FeatureCollection<Polygon> = {
+			type: 'FeatureCollection',
+			features: [
+				feature('Island', [square(40, 0, 1)]),
+				feature('Island', [square(20, 0, 4)]),
+				feature('Mainland', [square(0, 0, 10)]),
+				feature(null, [square(60, 0, 20)])
+			]
+		};
+		const labels = territoryLabels(collection);
+		expect(labels.features.map((f) => f.properties.name)).toEqual(['Mainland', 'Island']);
+
+		const island = labels.features[1];
+		expect(island.geometry.coordinates[0]).toBeCloseTo(22, 0);
+		expect(island.properties.km2).toBeGreaterThan(
+			territoryLabels({ ...collection, features: [collection.features[1]] }).features[0].properties
+				.km2
+		);
+	});
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_DATASET } from '../src/lib/datasets.js';
+import {
+	DATA_CACHE,
+	DATA_CACHE_PREFIX,
+	dataUrls,
+	formatBytes,
+	fullVariantUrl,
+	isDataRequest,
+	isImmutableDataRequest
+} from '../src/lib/offline.js';
+
+describe('dataUrls', () => {
+	it('should list every full-resolution period file and the territory index', () => {
+		const urls = dataUrls(DEFAULT_DATASET);
+		expect(urls).toHaveLength(DEFAULT_DATASET.periods.length + 1);
+		expect(urls[0]).toBe(`/data/${DEFAULT_DATASET.periods[0].file}`);
+		expect(urls.some((url) => url.endsWith('.coarse.topojson'))).toBe(false);
+		expect(urls).toContain('/data/territory-index.json');
+	});
+
+	it('should skip periods loaded from user files', () => {
+		const periods = [...DEFAULT_DATASET.periods, { year: 1500, label: 'x', file: 'blob:x' }];
+		expect(dataUrls({ ...DEFAULT_DATASET, periods })).toEqual(dataUrls(DEFAULT_DATASET));
+	});
+
+	it('should skip the territory index of datasets without one', () => {
+		const dataset = {
+			...DEFAULT_DATASET,
+			index: undefined,
+			detail: undefined,
+			baseUrl: '/data/in-house/'
+		};
+		expect(dataUrls(dataset)).toEqual(
+			DEFAULT_DATASET.periods.map((period) => `/data/in-house/${period.file}`)
+		);
+	});
+});
+
+describe('isDataRequest', () => {
+	it('should match files under /data/ only', () => {
+		expect(isDataRequest(new URL('https://example.com/data/world_1492.topojson'))).toBe(true);
+		expect(isDataRequest(new URL('https://example.com/_app/immutable/app.js'))).toBe(false);
+	});
+});
+
+describe('isImmutableDataRequest', () => {
+	it('should match period files named after their content', () => {
+		const url = (path: string) => new URL(`https://example.com${path}`);
+		for (const file of dataUrls(DEFAULT_DATASET).filter((u) => u.endsWith('.topojson'))) {
+			expect(isImmutableDataRequest(url(file))).toBe(true);
+		}
+		expect(isImmutableDataRequest(url('/data/world_1492.3f9a1c2b7d.coarse.topojson'))).toBe(true);
+		expect(isImmutableDataRequest(url('/data/territory-index.json'))).toBe(false);
+		expect(isImmutableDataRequest(url('/data/world_1492.topojson'))).toBe(false);
+		expect(isImmutableDataRequest(url('/world_1492.3f9a1c2b7d.topojson'))).toBe(false);
+	});
+});
+
+describe('fullVariantUrl', () => {
+	const url = (path: string) => new URL(`https://example.com${path}`);
+
+	it('should map a coarse variant to its full-resolution file', () => {
+		expect(fullVariantUrl(url('/data/world_1492.3f9a1c2b7d.coarse.topojson'))?.href).toBe(
+			'https://example.com/data/world_1492.3f9a1c2b7d.topojson'
+		);
+	});
+
+	it('should return null for other files', () => {
+		expect(fullVariantUrl(url('/data/world_1492.3f9a1c2b7d.topojson'))).toBeNull();
+		expect(fullVariantUrl(url('/data/territory-index.json'))).toBeNull();
+		expect(fullVariantUrl(url('/data/world_1492.coarse.topojson'))).toBeNull();
+	});
+});
+
+describe('formatBytes', () => {
+	it('should pick a readable unit', () => {
+		expect(formatBytes(512)).toBe('512 B');
+		expect(formatBytes(1536)).toBe('1.5 KB');
+		expect(formatBytes(22 * 1024 * 1024)).toBe('22 MB');
+	});
+});
+
+describe('DATA_CACHE', () => {
+	it('should be versioned under the shared prefix', () => {
+		expect(DATA_CACHE.startsWith(DATA_CACHE_PREFIX)).toBe(true);
+		expect(DATA_CACHE).toMatch(/v\d+$/);
+	});
+});
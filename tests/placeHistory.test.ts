@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import type { FeatureCollection } from 'geojson';
+import {
+	boxIndex,
+	candidates,
+	containsPoint,
+	normalizePoint,
+	parseCoordinates,
+	territoriesAt
+} from '../src/lib/placeHistory.js';
+import { feature, square } from './fixtures.js';
+
+// An empire with a hole, a kingdom of two overlapping parts inside it and an
+// unnamed area around both
+const COLLECTION: FeatureCollection = {
+	type: 'FeatureCollection',
+	features: [
+		feature('Empire', [square(0, 0, 20), square(12, 12, 4)]),
+		feature('Kingdom', [square(2, 2, 4)]),
+		feature(null, [square(-10, -10, 40)]),
+		feature('Kingdom', [square(3, 3, 2)]),
+		{ type: 'Feature', properties: { NAME: 'River' }, geometry: null as never }
+	]
+};
+
+const BOXES = boxIndex(COLLECTION);
+
+describe('boxIndex', () => {
+	it('should store the bounding box of each feature', () => {
+		expect([...BOXES.slice(0, 4)]).toEqual([0, 0, 20, 20]);
+		expect(BOXES).toHaveLength(COLLECTION.features.length * 4);
+	});
+
+	it('should give features without area a box nothing falls in', () => {
+		expect(candidates(BOXES, [0, 0])).not.toContain(4);
+	});
+});
+
+describe('candidates', () => {
+	it('should find the features whose box contains the point', () => {
+		expect(candidates(BOXES, [2.5, 2.5])).toEqual([0, 1, 2]);
+		expect(candidates(BOXES, [50, 50])).toEqual([]);
+	});
+});
+
+describe('containsPoint', () => {
+	it('should exclude holes', () => {
+		const geometry = COLLECTION.features[0].geometry;
+		expect(containsPoint(geometry, [5, 5])).toBe(true);
+		expect(containsPoint(geometry, [14, 14])).toBe(false);
+		expect(containsPoint(geometry, [25, 5])).toBe(false);
+	});
+
+	it('should test every polygon of a multipolygon', () => {
+		const geometry = {
+			type: 'MultiPolygon' as const,
+			coordinates: [[square(0, 0, 1)], [square(5, 5, 1)]]
+		};
+		expect(containsPoint(geometry, [5.5, 5.5])).toBe(true);
+		expect(containsPoint(geometry, [3, 3])).toBe(false);
+	});
+});
+
+describe('territoriesAt', () => {
+	it('should list the covering territories smallest first', () => {
+		expect(territoriesAt(COLLECTION, BOXES, [2.5, 2.5])).toEqual(['Kingdom', 'Empire', null]);
+	});
+
+	it('should list an entity once', () => {
+		// Both parts of the kingdom contain the point
+		expect(territoriesAt(COLLECTION, BOXES, [4, 4])).toEqual(['Kingdom', 'Empire', null]);
+	});
+
+	it('should see through holes to what lies beneath', () => {
+		expect(territoriesAt(COLLECTION, BOXES, [14, 14])).toEqual([null]);
+	});
+
+	it('should return nothing outside every territory', () => {
+		expect(territoriesAt(COLLECTION, BOXES, [100, 0])).toEqual([]);
+	});
+});
+
+describe('normalizePoint', () => {
+	it('should wrap longitudes into [-180, 180)', () => {
+		expect(normalizePoint([190, 10])).toEqual([-170, 10]);
+		expect(normalizePoint([-200, 10])).toEqual([160, 10]);
+		expect(normalizePoint([2.35, 48.85])).toEqual([2.35, 48.85]);
+	});
+});
+
+describe('parseCoordinates', () => {
+	it('should read latitude first', () => {
+		expect(parseCoordinates('48.85, 2.35')).toEqual([2.35, 48.85]);
+		expect(parseCoordinates('-33.9 18.4')).toEqual([18.4, -33.9]);
+	});
+
+	it('should read hemispheres', () => {
+		expect(parseCoordinates('40.4° N, 3.7° W')).toEqual([-3.7, 40.4]);
+		expect(parseCoordinates('33.9S 151.2E')).toEqual([151.2, -33.9]);
+	});
+
+	it('should reject other text and out-of-range values', () => {
+		expect(parseCoordinates('Paris')).toBeNull();
+		expect(parseCoordinates('95, 10')).toBeNull();
+		expect(parseCoordinates('')).toBeNull();
+	});
+});
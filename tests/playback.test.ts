@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+	BASE_DWELL_MS,
+	PLAYBACK_SPEEDS,
+	dwellTime,
+	nextSpeed,
+	playbackStart,
+	scheduleAdvance,
+	stepIndex
+} from '../src/lib/playback.js';
+
+describe('nextSpeed', () => {
+	it('should cycle through the speeds and wrap around', () => {
+		expect(nextSpeed(0.5)).toBe(1);
+		expect(nextSpeed(1)).toBe(2);
+		expect(nextSpeed(2)).toBe(4);
+		expect(nextSpeed(4)).toBe(0.5);
+	});
+
+	it('should visit every speed once per cycle', () => {
+		let speed = 1;
+		const seen = new Set<number>();
+		for (let i = 0; i < PLAYBACK_SPEEDS.length; i++) {
+			speed = nextSpeed(speed);
+			seen.add(speed);
+		}
+		expect(speed).toBe(1);
+		expect([...seen].sort()).toEqual([...PLAYBACK_SPEEDS].sort());
+	});
+});
+
+describe('dwellTime', () => {
+	it('should shorten the dwell time as the speed goes up', () => {
+		expect(dwellTime(1)).toBe(BASE_DWELL_MS);
+		expect(dwellTime(2)).toBe(BASE_DWELL_MS / 2);
+		expect(dwellTime(0.5)).toBe(BASE_DWELL_MS * 2);
+	});
+});
+
+describe('playbackStart', () => {
+	it('should play from the current period', () => {
+		expect(playbackStart(0, 5)).toBe(0);
+		expect(playbackStart(3, 5)).toBe(3);
+	});
+
+	it('should start over from the first period at the last one', () => {
+		expect(playbackStart(4, 5)).toBe(0);
+	});
+});
+
+describe('stepIndex', () => {
+	it('should step to the adjacent period', () => {
+		expect(stepIndex(2, 1, 5)).toBe(3);
+		expect(stepIndex(2, -1, 5)).toBe(1);
+	});
+
+	it('should not step past either end', () => {
+		expect(stepIndex(0, -1, 5)).toBe(-1);
+		expect(stepIndex(4, 1, 5)).toBe(-1);
+	});
+});
+
+describe('scheduleAdvance', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('should advance to the next period once the dwell time is over', () => {
+		vi.useFakeTimers();
+		const onadvance = vi.fn();
+		const onstop = vi.fn();
+		scheduleAdvance(1, 5, 1, onadvance, onstop);
+
+		vi.advanceTimersByTime(BASE_DWELL_MS - 1);
+		expect(onadvance).not.toHaveBeenCalled();
+		vi.advanceTimersByTime(1);
+		expect(onadvance).toHaveBeenCalledExactlyOnceWith(2);
+		expect(onstop).not.toHaveBeenCalled();
+	});
+
+	it('should wait according to the speed', () => {
+		vi.useFakeTimers();
+		const onadvance = vi.fn();
+		scheduleAdvance(1, 5, 4, onadvance, () => {});
+
+		vi.advanceTimersByTime(BASE_DWELL_MS / 4);
+		expect(onadvance).toHaveBeenCalledExactlyOnceWith(2);
+	});
+
+	it('should stop at the last period', () => {
+		vi.useFakeTimers();
+		const onadvance = vi.fn();
+		const onstop = vi.fn();
+		scheduleAdvance(4, 5, 1, onadvance, onstop);
+
+		vi.advanceTimersByTime(BASE_DWELL_MS);
+		expect(onstop).toHaveBeenCalledOnce();
+		expect(onadvance).not.toHaveBeenCalled();
+	});
+
+	it('should not advance once paused', () => {
+		vi.useFakeTimers();
+		const onadvance = vi.fn();
+		const cancel = scheduleAdvance(1, 5, 1, onadvance, () => {});
+
+		cancel();
+		vi.advanceTimersByTime(BASE_DWELL_MS * 2);
+		expect(onadvance).not.toHaveBeenCalled();
+	});
+
+	it('should play every period in turn and stop at the end', () => {
+		vi.useFakeTimers();
+		const shown: number[] = [];
+		let playing = true;
+		const play = (index: number) => {
+			shown.push(index);
+			scheduleAdvance(index, 4, 2, play, () => (playing = false));
+		};
+		play(playbackStart(3, 4));
+
+		vi.advanceTimersByTime(dwellTime(2) * 10);
+		expect(shown).toEqual([0, 1, 2, 3]);
+		expect(playing).toBe(false);
+	});
+});
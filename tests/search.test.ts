@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import type { Period } from '../src/lib/periodsConfig.js';
+import { normalize, searchTerritories } from '../src/lib/search.js';
+import type { TerritoryIndex } from '../src/lib/territoryIndex.js';
+
+const periods: Period[] = [
+	{ year: 100, file: 'world_100.topojson', label: '100 AD' },
+	{ year: 200, file: 'world_200.topojson', label: '200 AD' },
+	{ year: 300, file: 'world_300.topojson', label: '300 AD' }
+];
+
+const b: [number, number, number, number] = [0, 0, 10, 10];
+
+const index: TerritoryIndex = {
+	version: 2,
+	periods: {
+		'world_100.topojson': [
+			{ n: 'Roman Empire', a: 'Rome', km2: 1, b },
+			{ n: 'Gaul', s: 'Roman Empire', km2: 1, b },
+			{ n: 'Chimú', km2: 1, b }
+		],
+		'world_200.topojson': [
+			{ n: 'Parthian Empire', km2: 1, b },
+			{ n: 'Empire of Rome', km2: 1, b }
+		],
+		'world_300.topojson': [{ n: 'Aksum', p: 'Roman Empire', km2: 1, b }]
+	}
+};
+
+describe('normalize', () => {
+	it('should lowercase and strip diacritics', () => {
+		expect(normalize('  Chimú ')).toBe('chimu');
+	});
+});
+
+describe('searchTerritories', () => {
+	it('should return nothing for a blank query', () => {
+		expect(searchTerritories(index, periods, '   ')).toEqual([]);
+	});
+
+	it('should group results by period in chronological order', () => {
+		const groups = searchTerritories(index, periods, 'roman');
+		expect(groups.map((g) => g.periodIndex)).toEqual([0, 2]);
+	});
+
+	it('should rank name matches above matches on the overlord', () => {
+		const [first] = searchTerritories(index, periods, 'roman');
+		expect(first.results.map((r) => [r.name, r.field])).toEqual([
+			['Roman Empire', 'NAME'],
+			['Gaul', 'SUBJECTO']
+		]);
+	});
+
+	it('should match PARTOF and ABBREVN', () => {
+		const groups = searchTerritories(index, periods, 'rome');
+		const results = groups.flatMap((g) => g.results);
+		expect(results.map((r) => [r.name, r.field, r.value])).toEqual([
+			['Roman Empire', 'ABBREVN', 'Rome'],
+			['Empire of Rome', 'NAME', 'Empire of Rome']
+		]);
+	});
+
+	it('should ignore diacritics in the query and the names', () => {
+		const groups = searchTerritories(index, periods, 'CHIMU');
+		expect(groups[0].results[0].name).toBe('Chimú');
+	});
+
+	it('should keep the best matches when limited', () => {
+		const groups = searchTerritories(index, periods, 'empire', 2);
+		const names = groups.flatMap((g) => g.results.map((r) => r.name));
+		expect(names).toHaveLength(2);
+		expect(names).toContain('Empire of Rome');
+	});
+
+	it('should carry the territory bounds', () => {
+		const [group] = searchTerritories(index, periods, 'aksum');
+		expect(group.results[0].bounds).toEqual(b);
+	});
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import type { FeatureCollection } from 'geojson';
+import type { PropertySchema } from '../src/lib/datasets.js';
+import {
+	displayEntries,
+	formatCoordinates,
+	linkText,
+	territoryFacts
+} from '../src/lib/territoryDetails.js';
+import { feature, square } from './fixtures.js';
+
+const SCHEMA: PropertySchema[] = [
+	{ key: 'SUBJECTO', label: 'Subject of', type: 'entity' },
+	{ key: 'PARTOF', label: 'Part of', type: 'entity' },
+	{ key: 'BORDERPRECISION', label: 'Border precision', type: 'precision' },
+	{ key: 'weblnks', label: 'Links', type: 'url' }
+];
+
+describe('displayEntries', () => {
+	it('should format properties by their schema type', () => {
+		const entries = displayEntries(
+			{
+				NAME: 'Egypt',
+				SUBJECTO: 'Rome',
+				PARTOF: 'Egypt',
+				BORDERPRECISION: 1,
+				weblnks: 'https://en.wikipedia.org/wiki/Roman_Egypt'
+			},
+			SCHEMA
+		);
+		expect(entries.map((e) => [e.label, e.kind, e.value])).toEqual([
+			['Subject of', 'entity', 'Rome'],
+			['Border precision', 'text', 'Approximate'],
+			['Links', 'links', 'https://en.wikipedia.org/wiki/Roman_Egypt']
+		]);
+		expect(entries[2].links).toEqual([
+			{ href: 'https://en.wikipedia.org/wiki/Roman_Egypt', text: 'Wikipedia: Roman Egypt' }
+		]);
+	});
+
+	it('should prettify undescribed keys and link URL values', () => {
+		const entries = displayEntries(
+			{ NAME: 'Gaul', local_name: 'Gallia', source: 'https://doi.org/x' },
+			[]
+		);
+		expect(entries.map((e) => [e.label, e.kind])).toEqual([
+			['Local Name', 'text'],
+			['Source', 'links']
+		]);
+	});
+
+	it('should drop URL properties without an address', () => {
+		expect(displayEntries({ weblnks: 'none' }, SCHEMA)).toEqual([]);
+	});
+});
+
+describe('linkText', () => {
+	it('should name links by their host', () => {
+		expect(linkText('http://www.nationalgeographic.com.au/australia/x.aspx')).toBe(
+			'nationalgeographic.com.au'
+		);
+		expect(linkText('https://en.wikipedia.org/wiki/Kwakwaka%CA%BCwakw')).toBe(
+			'Wikipedia: Kwakwakaʼwakw'
+		);
+	});
+});
+
+describe('territoryFacts', () => {
+	const collection: FeatureCollection = {
+		type: 'FeatureCollection',
+		features: [
+			feature('Rome', [square(0, 0, 10)]),
+			feature('Rome', [square(20, 0, 10)]),
+			feature('Gaul', [square(0, 10, 10)]),
+			feature('Egypt', [square(30, 0, 2)]),
+			feature('Parthia', [square(50, 0, 10)]),
+			feature(null, [square(10, 0, 10)])
+		]
+	};
+
+	it('should sum the area and centre of the entity', () => {
+		const facts = territoryFacts(collection, 'Rome');
+		expect(facts.km2).toBeGreaterThan(2 * 1.2e6);
+		expect(facts.centroid?.[0]).toBeCloseTo(15);
+		expect(facts.centroid?.[1]).toBeCloseTo(5);
+	});
+
+	it('should list named neighbours, longest shared border first', () => {
+		expect(territoryFacts(collection, 'Rome').neighbours).toEqual(['Gaul', 'Egypt']);
+		expect(territoryFacts(collection, 'Parthia').neighbours).toEqual([]);
+	});
+
+	it('should subtract holes from the centre', () => {
+		const ring = square(0, 0, 10);
+		const hole = square(0, 0, 5).reverse();
+		const facts = territoryFacts(
+			{ type: 'FeatureCollection', features: [feature('L', [ring, hole])] },
+			'L'
+		);
+		expect(facts.centroid?.[0]).toBeGreaterThan(5);
+	});
+});
+
+describe('formatCoordinates', () => {
+	it('should use hemispheres', () => {
+		expect(formatCoordinates([-3.71, 40.42])).toBe('40.4° N, 3.7° W');
+		expect(formatCoordinates([151.2, -33.87])).toBe('33.9° S, 151.2° E');
+	});
+});
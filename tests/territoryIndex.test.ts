@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import type { Period } from '../src/lib/periodsConfig.js';
+import {
+	entityKeyFromProperties,
+	findLineage,
+	type TerritoryIndex
+} from '../src/lib/territoryIndex.js';
+
+const periods: Period[] = [
+	{ year: 1400, file: 'world_1400.topojson', label: '1400 AD' },
+	{ year: 1492, file: 'world_1492.topojson', label: '1492 AD' },
+	{ year: 1500, file: 'world_1500.topojson', label: '1500 AD' },
+	{ year: 1530, file: 'world_1530.topojson', label: '1530 AD' },
+	{ year: 1600, file: 'world_1600.topojson', label: '1600 AD' }
+];
+
+const b: [number, number, number, number] = [-80, -20, -70, 0];
+
+const index: TerritoryIndex = {
+	version: 2,
+	periods: {
+		'world_1400.topojson': [{ n: 'Chimú', km2: 100, b }],
+		'world_1492.topojson': [
+			{ n: 'Inca Empire', a: 'Inca', km2: 1800000, b },
+			{ n: 'Chimú', s: 'Inca Empire', km2: 90, b }
+		],
+		'world_1500.topojson': [{ n: 'Tawantinsuyu', a: 'Inca', km2: 2000000, b }],
+		'world_1530.topojson': [
+			{ n: 'Quito', s: 'Inca Empire', km2: 300, b },
+			{ n: 'Cusco', s: 'Inca Empire', km2: 700, b }
+		]
+	}
+};
+
+describe('findLineage', () => {
+	const key = { name: 'Inca Empire', abbrevn: 'Inca' };
+
+	it('should match on NAME first', () => {
+		const lineage = findLineage(index, periods, key);
+		expect(lineage[0]).toEqual({
+			periodIndex: 1,
+			name: 'Inca Empire',
+			match: 'name',
+			areaKm2: 1800000
+		});
+	});
+
+	it('should fall back to ABBREVN when the entity was renamed', () => {
+		const entry = findLineage(index, periods, key).find((e) => e.periodIndex === 2);
+		expect(entry).toEqual({
+			periodIndex: 2,
+			name: 'Tawantinsuyu',
+			match: 'abbrevn',
+			areaKm2: 2000000
+		});
+	});
+
+	it('should sum the territories subject to the entity', () => {
+		const entry = findLineage(index, periods, key).find((e) => e.periodIndex === 3);
+		expect(entry).toEqual({
+			periodIndex: 3,
+			name: 'Inca Empire',
+			match: 'subjecto',
+			areaKm2: 1000
+		});
+	});
+
+	it('should skip periods without a match or missing from the index', () => {
+		const lineage = findLineage(index, periods, key);
+		expect(lineage.map((e) => e.periodIndex)).toEqual([1, 2, 3]);
+	});
+
+	it('should return entries in chronological order', () => {
+		const lineage = findLineage(index, periods, { name: 'Chimú' });
+		expect(lineage.map((e) => e.periodIndex)).toEqual([0, 1]);
+	});
+});
+
+describe('entityKeyFromProperties', () => {
+	it('should keep ABBREVN when present', () => {
+		expect(
+			entityKeyFromProperties({ NAME: 'Quito', ABBREVN: 'Quito', SUBJECTO: 'Inca Empire' }, 'Quito')
+		).toEqual({ name: 'Quito', abbrevn: 'Quito' });
+	});
+
+	it('should omit empty or non-string values', () => {
+		expect(entityKeyFromProperties({ NAME: 'X', ABBREVN: '' }, 'X')).toEqual({ name: 'X' });
+		expect(entityKeyFromProperties({ NAME: 'X', ABBREVN: 3 }, 'X')).toEqual({ name: 'X' });
+	});
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import type { FeatureCollection, Position } from 'geojson';
+import type { TerritoryLabels } from '../src/lib/labels.js';
+import { navStops, nearestStop, stepStop, territoryNames } from '../src/lib/territoryNav.js';
+
+function labels(points: Array<[string, Position]>): TerritoryLabels {
+	return {
+		type: 'FeatureCollection',
+		features: points.map(([name, coordinates]) => ({
+			type: 'Feature',
+			properties: { name, km2: 1, minzoom: 0 },
+			geometry: { type: 'Point', coordinates }
+		}))
+	};
+}
+
+// A plus sign around Centre, with a far-off stop up and to the right
+const STOPS = navStops(
+	labels([
+		['Centre', [0, 5]],
+		['East', [10, 6]],
+		['West', [-10, 4]],
+		['North', [1, 15]],
+		['South', [-1, -5]],
+		['Far', [30, 25]]
+	])
+);
+
+const index = (name: string) => STOPS.findIndex((stop) => stop.name === name);
+
+describe('navStops', () => {
+	it('should order stops north to south, then west to east', () => {
+		expect(STOPS.map((stop) => stop.name)).toEqual([
+			'Far',
+			'North',
+			'West',
+			'Centre',
+			'East',
+			'South'
+		]);
+	});
+});
+
+describe('nearestStop', () => {
+	it('should find the closest stop', () => {
+		expect(nearestStop(STOPS, [8, 2])).toBe(index('East'));
+	});
+
+	it('should return -1 without stops', () => {
+		expect(nearestStop([], [0, 0])).toBe(-1);
+	});
+});
+
+describe('stepStop', () => {
+	it('should move to the nearest stop in each direction', () => {
+		const from = index('Centre');
+		expect(stepStop(STOPS, from, 'right')).toBe(index('East'));
+		expect(stepStop(STOPS, from, 'left')).toBe(index('West'));
+		expect(stepStop(STOPS, from, 'up')).toBe(index('North'));
+		expect(stepStop(STOPS, from, 'down')).toBe(index('South'));
+	});
+
+	it('should prefer stops in line with the direction of travel', () => {
+		// Diagonal is closer, but Ahead lies straight to the right
+		const stops = navStops(
+			labels([
+				['Start', [0, 0]],
+				['Diagonal', [5, 5]],
+				['Ahead', [12, 0]]
+			])
+		);
+		const from = stops.findIndex((stop) => stop.name === 'Start');
+		expect(stops[stepStop(stops, from, 'right')].name).toBe('Ahead');
+	});
+
+	it('should stay put when nothing lies in that direction', () => {
+		expect(stepStop(STOPS, index('Far'), 'up')).toBe(index('Far'));
+	});
+});
+
+describe('territoryNames', () => {
+	it('should list each named entity once, alphabetically', () => {
+		const collection: FeatureCollection = {
+			type: 'FeatureCollection',
+			features: ['Rome', 'Carthage', 'Rome', null].map((NAME) => ({
+				type: 'Feature',
+				properties: { NAME },
+				geometry: { type: 'Point', coordinates: [0, 0] }
+			}))
+		};
+		expect(territoryNames(collection)).toEqual(['Carthage', 'Rome']);
+	});
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import type { FeatureCollection } from 'geojson';
+import {
+	OTHER_TYPE,
+	buildLegend,
+	entityColor,
+	isLowPrecision,
+	isThematicStyle,
+	precisionLabel,
+	thematicColor,
+	thematicKey,
+	typeCategory
+} from '../src/lib/thematic.js';
+import { feature, square } from './fixtures.js';
+
+const COLLECTION: FeatureCollection = {
+	type: 'FeatureCollection',
+	features: [
+		feature('Rome', [square(0, 0, 10)], { SUBJECTO: 'Rome' }),
+		feature('Egypt', [square(20, 0, 5)], { SUBJECTO: 'Rome' }),
+		feature('Parthia', [square(40, 0, 8)]),
+		feature(null, [square(60, 0, 1)])
+	]
+};
+
+describe('isThematicStyle', () => {
+	it('should recognise stored styles', () => {
+		expect(isThematicStyle('partof')).toBe(true);
+		expect(isThematicStyle('bogus')).toBe(false);
+	});
+});
+
+describe('entityColor', () => {
+	it('should give an entity the same color every time', () => {
+		expect(entityColor('Roman Empire', 'light')).toBe(entityColor('Roman Empire', 'light'));
+		expect(entityColor('Roman Empire', 'light')).toMatch(/^#[0-9a-f]{6}$/);
+	});
+
+	it('should give different entities different colors', () => {
+		const colors = new Set(
+			['Rome', 'Parthia', 'Han', 'Kushan', 'Aksum'].map((n) => entityColor(n, 'dark'))
+		);
+		expect(colors.size).toBe(5);
+	});
+});
+
+describe('thematicKey', () => {
+	it('should group territories under their overlord, or themselves', () => {
+		expect(thematicKey({ NAME: 'Egypt', SUBJECTO: 'Rome' }, 'subjecto')).toBe('Rome');
+		expect(thematicKey({ NAME: 'Parthia', SUBJECTO: ' ' }, 'subjecto')).toBe('Parthia');
+		expect(thematicKey({ NAME: 'Gaul', PARTOF: 'Rome' }, 'partof')).toBe('Rome');
+		expect(thematicKey({ NAME: null }, 'subjecto')).toBeNull();
+	});
+
+	it('should group society types into categories', () => {
+		expect(thematicKey({ type: 'state society' }, 'type')).toBe('States');
+		expect(thematicKey({ TYPE: 'pastoral nomads' }, 'type')).toBe('Pastoralists');
+		expect(thematicKey({ type: 'complex farming society / chiefdom' }, 'type')).toBe(
+			'Farming societies'
+		);
+		expect(thematicKey({ type: 'N. European Bronze Age cultures' }, 'type')).toBe('Cultures');
+		expect(thematicKey({ NAME: 'Rome' }, 'type')).toBeNull();
+		expect(typeCategory('La Almagra')).toBe(OTHER_TYPE);
+	});
+
+	it('should not color anything under the default style', () => {
+		expect(thematicColor({ NAME: 'Rome' }, 'default', 'light')).toBeNull();
+		expect(thematicColor({ NAME: 'Rome' }, 'subjecto', 'light')).toBe(entityColor('Rome', 'light'));
+	});
+});
+
+describe('isLowPrecision', () => {
+	it('should flag approximate borders only', () => {
+		expect(isLowPrecision({ BORDERPRECISION: 1 })).toBe(true);
+		expect(isLowPrecision({ BORDERPRECISION: 3 })).toBe(false);
+		expect(isLowPrecision({ BORDERPRECISION: null })).toBe(false);
+	});
+});
+
+describe('precisionLabel', () => {
+	it('should describe known precision levels only', () => {
+		expect(precisionLabel(3)).toBe('Determined by international law');
+		expect(precisionLabel('1')).toBe('Approximate');
+		expect(precisionLabel(0)).toBeNull();
+		expect(precisionLabel(null)).toBeNull();
+	});
+});
+
+describe('buildLegend', () => {
+	it('should list groups by area and count unspecified features', () => {
+		const legend = buildLegend(COLLECTION, 'subjecto', 'light');
+		expect(legend.entries.map((e) => [e.label, e.count])).toEqual([
+			['Rome', 2],
+			['Parthia', 1]
+		]);
+		expect(legend.entries[0].color).toBe(entityColor('Rome', 'light'));
+		expect(legend.unspecified).toBe(1);
+		expect(legend.others).toBe(0);
+	});
+
+	it('should count the groups beyond the limit', () => {
+		const legend = buildLegend(COLLECTION, 'partof', 'light', 1);
+		expect(legend.entries.map((e) => e.label)).toEqual(['Rome']);
+		expect(legend.others).toBe(2);
+	});
+});
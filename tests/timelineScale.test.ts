@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { PERIODS, type Period } from '../src/lib/periodsConfig.js';
+import {
+	isTimelineScale,
+	nearestPeriodAt,
+	periodPositions,
+	timelineLabels
+} from '../src/lib/timelineScale.js';
+
+const periods: Period[] = [
+	{ year: -1000, file: 'a.topojson', label: '1000 BC' },
+	{ year: 0, file: 'b.topojson', label: '0' },
+	{ year: 500, file: 'c.topojson', label: '500 AD' },
+	{ year: 1000, file: 'd.topojson', label: '1000 AD' }
+];
+
+describe('periodPositions', () => {
+	it('should space periods evenly on the index scale', () => {
+		expect(periodPositions(periods, 'index')).toEqual([0, 1 / 3, 2 / 3, 1]);
+	});
+
+	it('should place periods proportionally to their year on the linear scale', () => {
+		expect(periodPositions(periods, 'linear')).toEqual([0, 0.5, 0.75, 1]);
+	});
+
+	it('should span 0 to 1 and stay increasing on the log scale', () => {
+		const positions = periodPositions(PERIODS, 'log');
+		expect(positions[0]).toBeCloseTo(0);
+		expect(positions[positions.length - 1]).toBeCloseTo(1);
+		for (let i = 1; i < positions.length; i++) {
+			expect(positions[i]).toBeGreaterThan(positions[i - 1]);
+		}
+	});
+
+	it('should give recent periods more room on the log scale than on the linear scale', () => {
+		const i1492 = PERIODS.findIndex((p) => p.year === 1492);
+		const linear = periodPositions(PERIODS, 'linear');
+		const log = periodPositions(PERIODS, 'log');
+		expect(log[i1492 + 1] - log[i1492]).toBeGreaterThan(linear[i1492 + 1] - linear[i1492]);
+	});
+
+	it('should handle a single period', () => {
+		expect(periodPositions(periods.slice(0, 1), 'linear')).toEqual([0]);
+		expect(periodPositions([], 'log')).toEqual([]);
+	});
+});
+
+describe('nearestPeriodAt', () => {
+	it('should snap to the closest position', () => {
+		const positions = [0, 0.5, 0.75, 1];
+		expect(nearestPeriodAt(0.6, positions)).toBe(1);
+		expect(nearestPeriodAt(0.7, positions)).toBe(2);
+		expect(nearestPeriodAt(1.2, positions)).toBe(3);
+	});
+
+	it('should resolve ties to the earlier period', () => {
+		expect(nearestPeriodAt(0.25, [0, 0.5])).toBe(0);
+	});
+
+	it('should return -1 without positions', () => {
+		expect(nearestPeriodAt(0.5, [])).toBe(-1);
+	});
+});
+
+describe('timelineLabels', () => {
+	it('should always label the first and last periods', () => {
+		const labels = timelineLabels(PERIODS, periodPositions(PERIODS, 'linear'));
+		expect(labels[0].periodIndex).toBe(0);
+		expect(labels[labels.length - 1].periodIndex).toBe(PERIODS.length - 1);
+		expect(labels[0].major).toBe(true);
+	});
+
+	it('should keep labels at least the minimum gap apart', () => {
+		for (const scale of ['linear', 'log', 'index'] as const) {
+			const labels = timelineLabels(PERIODS, periodPositions(PERIODS, scale), 0.14);
+			for (let i = 1; i < labels.length; i++) {
+				expect(labels[i].position - labels[i - 1].position).toBeGreaterThanOrEqual(0.14);
+			}
+		}
+	});
+
+	it('should prefer round years', () => {
+		const candidates: Period[] = [
+			{ year: 1000, file: 'a.topojson', label: '1000 AD' },
+			{ year: 1279, file: 'b.topojson', label: '1279 AD' },
+			{ year: 1300, file: 'c.topojson', label: '1300 AD' },
+			{ year: 2000, file: 'd.topojson', label: '2000 AD' }
+		];
+		const labels = timelineLabels(candidates, [0, 0.49, 0.51, 1], 0.3, 0.3);
+		expect(labels.map((l) => l.periodIndex)).toEqual([0, 2, 3]);
+	});
+});
+
+describe('isTimelineScale', () => {
+	it('should accept known scales only', () => {
+		expect(isTimelineScale('log')).toBe(true);
+		expect(isTimelineScale('exponential')).toBe(false);
+		expect(isTimelineScale(null)).toBe(false);
+	});
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import {
+	parseTour,
+	parseTourFile,
+	parseTourMarkdown,
+	parseTourRegistry,
+	textBlocks,
+	type Tour
+} from '../src/lib/tours.js';
+import { findNearestPeriodIndex, PERIODS } from '../src/lib/periodsConfig.js';
+import shippedRegistry from '../static/tours/index.json';
+import territoryIndex from '../static/data/territory-index.json';
+
+const MARKDOWN = `# The Age of Discovery
+
+Two kingdoms claim the world.
+
+## Two crowns
+year: 1492
+center: -6, 39.5
+zoom: 4.5
+highlight: Castille, Portugal
+
+Castile and Portugal **divide** the ocean.
+
+A second paragraph.
+
+## Conquest
+Year: 500 BC
+highlight: Rome
+
+Text.
+`;
+
+describe('parseTourMarkdown', () => {
+	it('should read the title, introduction and steps', () => {
+		const tour = parseTourMarkdown(MARKDOWN);
+		expect(tour.title).toBe('The Age of Discovery');
+		expect(tour.description).toBe('Two kingdoms claim the world.');
+		expect(tour.steps).toHaveLength(2);
+		expect(tour.steps[0]).toEqual({
+			title: 'Two crowns',
+			year: 1492,
+			view: { center: [-6, 39.5], zoom: 4.5 },
+			highlight: ['Castille', 'Portugal'],
+			text: 'Castile and Portugal **divide** the ocean.\n\nA second paragraph.'
+		});
+	});
+
+	it('should read era years and leave the camera out when not given', () => {
+		const step = parseTourMarkdown(MARKDOWN).steps[1];
+		expect(step.year).toBe(-500);
+		expect(step.view).toBeUndefined();
+	});
+
+	it('should reject tours without a title, steps or readable fields', () => {
+		expect(() => parseTourMarkdown('## Step\nyear: 1492')).toThrow('needs a title');
+		expect(() => parseTourMarkdown('# Tour\n\nNo steps.')).toThrow('no steps');
+		expect(() => parseTourMarkdown('# Tour\n## Step\ntext')).toThrow('step 1 needs a year');
+		expect(() => parseTourMarkdown('# Tour\n## Step\nyear: 1492\ncenter: Paris')).toThrow(
+			'unreadable center'
+		);
+		expect(() => parseTourMarkdown('# Tour\n## Step\nyear: 1492\ncenter: 1, 2\nzoom: far')).toThrow(
+			'zoom of step 1 must be a number'
+		);
+		expect(() => parseTourMarkdown('# Tour\n## Step\nyear: 1492\ncenter: 40, 120')).toThrow(
+			'center of step 1'
+		);
+	});
+});
+
+describe('parseTour', () => {
+	const json = {
+		title: 'Rome',
+		dataset: 'historical-basemaps',
+		steps: [
+			{ year: -200, center: [12, 38], highlight: ['Rome', 3], text: 'Punic Wars.' },
+			{ year: '400 AD', title: 'Division' }
+		]
+	};
+
+	it('should read steps, defaulting the zoom and dropping malformed names', () => {
+		const tour = parseTour(json);
+		expect(tour.dataset).toBe('historical-basemaps');
+		expect(tour.steps[0].view).toEqual({ center: [12, 38], zoom: 4 });
+		expect(tour.steps[0].highlight).toEqual(['Rome']);
+		expect(tour.steps[1]).toEqual({ title: 'Division', year: 400, highlight: [], text: '' });
+	});
+
+	it('should reject malformed steps', () => {
+		expect(() => parseTour({ title: 'Rome', steps: [{ text: 'No year' }] })).toThrow(
+			'step 1 needs a year'
+		);
+		expect(() => parseTour({ title: 'Rome', steps: [{ year: 1, center: [1] }] })).toThrow(
+			'center of step 1'
+		);
+		expect(() => parseTour({ title: 'Rome' })).toThrow('steps must be an array');
+	});
+});
+
+describe('parseTourFile', () => {
+	it('should tell JSON from Markdown', () => {
+		expect(parseTourFile(JSON.stringify({ title: 'A', steps: [{ year: 1 }] })).title).toBe('A');
+		expect(parseTourFile(MARKDOWN).title).toBe('The Age of Discovery');
+	});
+});
+
+describe('textBlocks', () => {
+	it('should split paragraphs and join their lines', () => {
+		expect(textBlocks('One\nline.\n\n  \nTwo.')).toEqual([
+			[{ text: 'One line.' }],
+			[{ text: 'Two.' }]
+		]);
+	});
+
+	it('should recognize bold, italic and links', () => {
+		expect(textBlocks('A **bold** and *italic* [link](https://example.com).')).toEqual([
+			[
+				{ text: 'A ' },
+				{ text: 'bold', strong: true },
+				{ text: ' and ' },
+				{ text: 'italic', em: true },
+				{ text: ' ' },
+				{ text: 'link', href: 'https://example.com' },
+				{ text: '.' }
+			]
+		]);
+	});
+
+	it('should only read underscores outside words as italic', () => {
+		expect(textBlocks('_Reconquista_ ends; see snake_case_name.')).toEqual([
+			[{ text: 'Reconquista', em: true }, { text: ' ends; see snake_case_name.' }]
+		]);
+	});
+
+	it('should keep links to other schemes as text', () => {
+		expect(textBlocks('[x](javascript:alert(1))')).toEqual([
+			[{ text: '[x](javascript:alert(1))' }]
+		]);
+	});
+});
+
+describe('parseTourRegistry', () => {
+	it('should reject entries without a URL', () => {
+		expect(() => parseTourRegistry({ tours: [{ title: 'A' }] })).toThrow('entry 0 needs a URL');
+	});
+});
+
+describe('shipped tours', () => {
+	const files = import.meta.glob('../static/tours/*.{md,json}', {
+		query: '?raw',
+		import: 'default',
+		eager: true
+	}) as Record<string, string>;
+	const registry = parseTourRegistry(shippedRegistry);
+	const periods = territoryIndex.periods as Record<string, Array<{ n: string }>>;
+
+	it('should list every tour file', () => {
+		expect(registry.map((entry) => `../static${entry.url}`).sort()).toEqual(
+			Object.keys(files)
+				.filter((file) => !file.endsWith('index.json'))
+				.sort()
+		);
+	});
+
+	it.each(registry)('$title should highlight territories of its periods', ({ url }) => {
+		const tour: Tour = parseTourFile(files[`../static${url}`]);
+		for (const step of tour.steps) {
+			const file = PERIODS[findNearestPeriodIndex(step.year)].file;
+			const names = new Set(periods[file].map((entry) => entry.n));
+			expect(step.highlight.filter((name) => !names.has(name))).toEqual([]);
+		}
+	});
+});
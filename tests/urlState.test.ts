@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { applyUrlState, isHistoryChange, parseUrlState, parseYear } from '../src/lib/urlState.js';
+
+describe('parseYear', () => {
+	it('should parse signed years', () => {
+		expect(parseYear('1492')).toBe(1492);
+		expect(parseYear('-500')).toBe(-500);
+	});
+
+	it('should parse era suffixes', () => {
+		expect(parseYear('500BC')).toBe(-500);
+		expect(parseYear('500 bc')).toBe(-500);
+		expect(parseYear('1492AD')).toBe(1492);
+		expect(parseYear('500 BCE')).toBe(-500);
+		expect(parseYear('1492 CE')).toBe(1492);
+	});
+
+	it('should reject non-numeric values', () => {
+		expect(parseYear('abc')).toBeUndefined();
+		expect(parseYear('')).toBeUndefined();
+		expect(parseYear(null)).toBeUndefined();
+	});
+});
+
+describe('parseUrlState', () => {
+	it('should read year, view and territory', () => {
+		const params = new URLSearchParams(
+			'year=1492&lat=-13.5&lng=-72&zoom=4&territory=Inca%20Empire'
+		);
+		expect(parseUrlState(params)).toEqual({
+			year: 1492,
+			view: { center: [-72, -13.5], zoom: 4 },
+			territory: 'Inca Empire'
+		});
+	});
+
+	it('should read the comparison period and mode', () => {
+		expect(parseUrlState(new URLSearchParams('year=1914&compare=1920&mode=split')).compare).toEqual(
+			{
+				year: 1920,
+				mode: 'split'
+			}
+		);
+		expect(parseUrlState(new URLSearchParams('compare=500bc')).compare).toEqual({
+			year: -500,
+			mode: 'swipe'
+		});
+	});
+
+	it('should read the tour step counting from 1', () => {
+		expect(parseUrlState(new URLSearchParams('tour=/tours/a.md&step=3')).tour).toEqual({
+			url: '/tours/a.md',
+			step: 2
+		});
+		expect(parseUrlState(new URLSearchParams('tour=/tours/a.md&step=0')).tour?.step).toBe(0);
+	});
+
+	it('should return an empty state for an empty query', () => {
+		expect(parseUrlState(new URLSearchParams())).toEqual({});
+	});
+
+	it('should ignore an incomplete or out-of-range view', () => {
+		expect(parseUrlState(new URLSearchParams('lat=10&zoom=3')).view).toBeUndefined();
+		expect(parseUrlState(new URLSearchParams('lat=95&lng=0&zoom=3')).view).toBeUndefined();
+	});
+});
+
+describe('applyUrlState', () => {
+	it('should round-trip through parseUrlState', () => {
+		const state = {
+			year: -323,
+			view: { center: [23.7, 37.98] as [number, number], zoom: 5.25 },
+			territory: 'Macedonian Empire',
+			compare: { year: -300, mode: 'split' as const },
+			dataset: 'in-house',
+			tour: { url: '/tours/rome.json', step: 2 }
+		};
+		const url = applyUrlState(new URL('https://example.com/'), state);
+		expect(parseUrlState(url.searchParams)).toEqual(state);
+	});
+
+	it('should round coordinates and zoom', () => {
+		const url = applyUrlState(new URL('https://example.com/'), {
+			view: { center: [-72.123456789, -13.5], zoom: 4.56789 }
+		});
+		expect(url.searchParams.get('lng')).toBe('-72.1235');
+		expect(url.searchParams.get('lat')).toBe('-13.5');
+		expect(url.searchParams.get('zoom')).toBe('4.57');
+	});
+
+	it('should remove absent fields and keep unrelated parameters', () => {
+		const url = applyUrlState(
+			new URL('https://example.com/?year=1000&territory=Song&utm_source=chat'),
+			{ year: 1000 }
+		);
+		expect(url.searchParams.get('territory')).toBeNull();
+		expect(url.searchParams.get('utm_source')).toBe('chat');
+	});
+});
+
+describe('isHistoryChange', () => {
+	const view = { center: [-72, -13.5] as [number, number], zoom: 4 };
+
+	it('should not add an entry for camera moves', () => {
+		expect(
+			isHistoryChange({ year: 1492, view }, { year: 1492, view: { center: [0, 0], zoom: 2 } })
+		).toBe(false);
+		expect(isHistoryChange({ year: 1492 }, { year: 1492, view })).toBe(false);
+	});
+
+	it('should add an entry when the period or the selection changes', () => {
+		expect(isHistoryChange({ year: 1492, view }, { year: 1500, view })).toBe(true);
+		expect(isHistoryChange({ year: 1492 }, { year: 1492, territory: 'Inca Empire' })).toBe(true);
+		expect(isHistoryChange({ year: 1492, territory: 'Inca Empire' }, { year: 1492 })).toBe(true);
+	});
+
+	it('should add an entry when the comparison, dataset or tour step changes', () => {
+		const state = { year: 1492, view };
+		expect(isHistoryChange(state, { ...state, compare: { year: 1500, mode: 'swipe' } })).toBe(true);
+		expect(isHistoryChange(state, { ...state, dataset: 'other' })).toBe(true);
+		expect(
+			isHistoryChange(
+				{ ...state, tour: { url: '/tours/a.json', step: 0 } },
+				{ ...state, tour: { url: '/tours/a.json', step: 1 } }
+			)
+		).toBe(true);
+	});
+
+	it('should compare states read back from the URL', () => {
+		const url = new URL('https://example.com/?year=1492AD&lat=1&lng=2&zoom=3');
+		expect(isHistoryChange(parseUrlState(url.searchParams), { year: 1492, view })).toBe(false);
+	});
+});
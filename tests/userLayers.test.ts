@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import type { FeatureCollection } from 'geojson';
+import {
+	customPeriod,
+	layerName,
+	overlayCollection,
+	type UserLayer
+} from '../src/lib/userLayers.js';
+
+function collection(name: string): FeatureCollection {
+	return {
+		type: 'FeatureCollection',
+		features: [
+			{
+				type: 'Feature',
+				properties: { NAME: name },
+				geometry: { type: 'Point', coordinates: [0, 0] }
+			}
+		]
+	};
+}
+
+function overlay(id: number, visible: boolean): UserLayer {
+	return {
+		id,
+		name: `layer ${id}`,
+		mode: 'overlay',
+		data: collection(`f${id}`),
+		period: null,
+		visible
+	};
+}
+
+describe('layerName', () => {
+	it('should drop the extension', () => {
+		expect(layerName('andes-1500.geojson')).toBe('andes-1500');
+		expect(layerName('.hidden')).toBe('.hidden');
+	});
+});
+
+describe('customPeriod', () => {
+	it('should label the period with its year and a shortened file name', () => {
+		expect(customPeriod(-500, 'greek-colonies', 'blob:x')).toEqual({
+			year: -500,
+			label: '500 BC · greek-colonies',
+			file: 'blob:x'
+		});
+		expect(customPeriod(1500, 'a'.repeat(40), 'blob:y').label).toBe(`1500 AD · ${'a'.repeat(23)}…`);
+	});
+});
+
+describe('overlayCollection', () => {
+	it('should merge visible overlays only', () => {
+		const merged = overlayCollection([overlay(1, true), overlay(2, false), overlay(3, true)]);
+		expect(merged?.features.map((f) => f.properties?.NAME)).toEqual(['f1', 'f3']);
+	});
+
+	it('should return null without visible overlays', () => {
+		expect(overlayCollection([overlay(1, false)])).toBeNull();
+	});
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import type { Feature } from 'geojson';
+import {
+	buildReport,
+	checkPeriodFiles,
+	checkPropertyKeys,
+	validateCollection
+} from '../scripts/validate-data.js';
+import { feature, square } from './fixtures.js';
+
+function codes(features: Feature[]) {
+	return validateCollection({ type: 'FeatureCollection', features }).issues.map((i) => i.code);
+}
+
+describe('validateCollection', () => {
+	it('should accept neighbours sharing a border', () => {
+		expect(codes([feature('A', [square(0, 0, 10)]), feature('B', [square(10, 0, 10)])])).toEqual(
+			[]
+		);
+	});
+
+	it('should reject files that are not a FeatureCollection', () => {
+		const { issues } = validateCollection({ type: 'Feature' });
+		expect(issues).toMatchObject([{ severity: 'error', code: 'invalid-collection' }]);
+	});
+
+	it('should reject unclosed and degenerate rings', () => {
+		const open = square(0, 0, 1).slice(0, 4);
+		const { issues } = validateCollection({
+			type: 'FeatureCollection',
+			features: [
+				feature('Open', [[...open, [0, 0.5]]]),
+				feature('Line', [
+					[
+						[0, 0],
+						[1, 1],
+						[0, 0]
+					]
+				])
+			]
+		});
+		expect(issues[0]).toMatchObject({ severity: 'error', code: 'invalid-ring' });
+		expect(issues[0].features?.map((f) => f.reason)).toEqual([
+			'ring is not closed',
+			'ring has fewer than 4 positions'
+		]);
+	});
+
+	it('should report self-intersections, overlaps and missing names', () => {
+		const bowTie = [
+			[
+				[20, 0],
+				[30, 10],
+				[30, 0],
+				[20, 10],
+				[20, 0]
+			]
+		];
+		expect(codes([feature('Bow tie', bowTie)])).toEqual(['self-intersection']);
+		expect(codes([feature('A', [square(0, 0, 10)]), feature('B', [square(5, 5, 10)])])).toEqual([
+			'overlap'
+		]);
+		// An enclave drawn on top of its surroundings rather than cut out of them
+		expect(codes([feature('A', [square(0, 0, 10)]), feature(null, [square(2, 2, 2)])])).toEqual([
+			'missing-name',
+			'overlap'
+		]);
+	});
+
+	it('should fail on self-intersections and overlaps unless their features are known', () => {
+		const features = [
+			feature('A', [square(0, 0, 10)]),
+			feature('B', [square(5, 5, 10)]),
+			feature('C', [square(12, 12, 10)])
+		];
+		const collection = { type: 'FeatureCollection', features };
+		const found = validateCollection(collection);
+		expect(found.issues).toMatchObject([{ severity: 'error', code: 'overlap' }]);
+		expect(found.issues[0].overlaps).toHaveLength(2);
+		expect(found.flagged).toEqual({ 'self-intersection': [], overlap: [0, 1, 2] });
+
+		const { issues } = validateCollection(collection, { overlap: [0, 1] });
+		expect(issues.map((i) => [i.severity, i.overlaps?.map(({ pair }) => pair[1].name)])).toEqual([
+			['error', ['C']],
+			['warning', ['B']]
+		]);
+	});
+
+	it('should collect property keys', () => {
+		const { keys } = validateCollection({
+			type: 'FeatureCollection',
+			features: [feature('A', [square(0, 0, 1)], { weblnks: null })]
+		});
+		expect([...keys]).toEqual(['NAME', 'weblnks']);
+	});
+});
+
+describe('checkPropertyKeys', () => {
+	it('should report keys only some files use, with their other spellings', () => {
+		const issues = checkPropertyKeys(
+			new Map([
+				['a.geojson', new Set(['NAME', 'type'])],
+				['b.geojson', new Set(['NAME', 'TYPE'])],
+				['c.geojson', new Set(['NAME', 'type'])]
+			])
+		);
+		expect(issues.map((i) => [i.key, i.variants])).toEqual([
+			['type', ['TYPE']],
+			['TYPE', ['type']]
+		]);
+		expect(issues[0].missingFrom).toEqual(['b.geojson']);
+		expect(issues[1].presentIn).toEqual(['b.geojson']);
+	});
+});
+
+describe('checkPeriodFiles', () => {
+	it('should fail on files without a year and on years given twice', () => {
+		const issues = checkPeriodFiles([
+			'world_100.geojson',
+			'world_0100.geojson',
+			'notes.geojson',
+			'world_bc100.geojson'
+		]);
+		expect(issues.map((i) => [i.code, i.file, i.year])).toEqual([
+			['duplicate-year', 'world_0100.geojson', 100],
+			['unknown-year', 'notes.geojson', undefined]
+		]);
+		expect(issues.every((i) => i.severity === 'error')).toBe(true);
+	});
+});
+
+describe('buildReport', () => {
+	it('should count errors and warnings', () => {
+		const keys = new Map([
+			['world_100.geojson', new Set(['NAME', 'type'])],
+			['world_200.geojson', new Set(['NAME'])]
+		]);
+		const report = buildReport(
+			['notes.geojson', 'world_100.geojson', 'world_200.geojson'],
+			[...checkPeriodFiles(['notes.geojson']), ...checkPropertyKeys(keys)]
+		);
+		expect(report).toMatchObject({ version: 1, files: 3, errors: 1, warnings: 1 });
+	});
+});